@@ -6,12 +6,77 @@ const config = {
     candles: {
         scanCount: 100,
         minWidth: 3,
+        extractor: 'components', // 'components' (body segmentation + wick tracing) or 'columns' (legacy column scan)
+        minBodyWidth: 3, // Narrower horizontal runs are wicks
+        mergedBodyRatio: 1.6, // Bodies wider than this many median widths are touching candles
+        wickGapTolerance: 1, // Anti-aliasing gaps bridged while tracing a wick
+        columnScanConfidence: 0.5, // Confidence given to candles from the legacy column scan
         chartAreaRatio: 0.85,
-        greenCandle: (r, g, b) => g > r * 1.2 && g > b * 1.2 && g > 80,
-        redCandle: (r, g, b) => r > g * 1.2 && r > b * 1.2 && r > 80,
+        colorProfile: 'auto', // 'auto' or a key of colorProfilePresets
+        colorTolerance: 48, // RGB distance for matching profile colours
+        autoDetectMinShare: 0.002, // Min share of plot pixels for an auto-detected colour
         dojiBodyRatio: 0.1,
         wickRatio: 2.0
     },
+    plotArea: {
+        foregroundDistance: 30, // RGB distance from the background counted as drawn content
+        axisLineCoverage: 0.9, // Share of a row/column a separator or axis line must cover
+        gridlineCoverage: 0.45, // Dashed gridlines cover roughly half their span
+        priceScaleMaxRatio: 0.35, // Price scale lies within this right-hand share of the image
+        maxCandleRunWidth: 30,
+        maxLabelHeight: 24, // Wider-but-shorter colour blocks are price tags, not candles
+        minPaneHeight: 20,
+        volumeAnchoredRatio: 0.6, // Share of columns resting on the pane floor for a volume pane
+        anchorTolerance: 3,
+        margin: 2
+    },
+    dataImport: {
+        columnMapping: {}, // e.g. { time: 'Date', close: 'Last' } or column indexes for headerless files
+        maxCandles: 300, // Most recent rows analysed from an imported file
+        chartWidth: 1000,
+        chartHeight: 560
+    },
+    liveData: {
+        historyLimit: 200, // Candles requested from a feed before streaming starts
+        maxCandles: 300, // Rolling window analysed on each closed candle
+        replayIntervalMs: 1000, // File replay: time per candle
+        ticksPerCandle: 4, // File replay: forming updates before a candle closes
+        websocketUrl: 'ws://localhost:8765',
+        reconnectDelayMs: 3000,
+        historyTimeoutMs: 5000
+    },
+    header: {
+        enabled: true, // Read symbol and timeframe from the chart legend
+        regionWidthRatio: 0.5, // Legend sits in the top-left of the screenshot
+        regionHeightRatio: 0.08,
+        minOCRConfidence: 50
+    },
+    overlays: {
+        enabled: true, // Remove indicator lines and legend text before candle detection
+        minChroma: 40, // Gray pixels cannot match candle colours and are left alone
+        colorTolerance: 60, // RGB distance for pixels belonging to the same line or glyph
+        maxLineThickness: 4, // Taller single-colour column runs are candles, not lines
+        minLineSpan: 40, // Horizontal extent (px) of a removed polyline
+        bridgeDistance: 2, // Columns bridged between segments of one line
+        maxTextHeight: 14,
+        minGlyphs: 3 // Glyphs in a row before it counts as text
+    },
+    volume: {
+        overlayAnchoredRatio: 0.6, // Share of candles with a bar on the price-pane floor
+        maxOverlayRatio: 0.35 // Overlaid volume occupies at most this share of the pane
+    },
+    calibration: {
+        enabled: true,
+        ocrScriptUrl: 'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js',
+        ocrLanguage: 'eng',
+        ocrUpscale: 2,
+        axisStripRatio: 0.12, // Right-hand share of the image searched for price labels
+        minOCRConfidence: 60,
+        minLabels: 3,
+        maxLabelResidual: 0.02, // Max deviation from the fit, as a share of the label span
+        minR2: 0.995,
+        logScaleMinGain: 0.002 // Log scale must beat the linear fit's r² by this much
+    },
     supportResistance: {
         zoneProximity: 0.02,
         minTouches: 3,
@@ -21,6 +86,131 @@ const config = {
         periods: [20, 50],
         breakoutThreshold: 0.02
     },
+    quantitative: {
+        rsiPeriod: 14,
+        rsiOverbought: 70,
+        rsiOversold: 30,
+        macd: {
+            fast: 12,
+            slow: 26,
+            signal: 9
+        },
+        maPeriods: [9, 20, 50], // Fastest first
+        bollinger: {
+            period: 20,
+            stdDev: 2
+        },
+        atrPeriod: 14,
+        stochastic: {
+            kPeriod: 14,
+            dPeriod: 3,
+            overbought: 80,
+            oversold: 20
+        },
+        trendPeriod: 20,
+        minTrendStrength: 0.3, // Trend score needed before it votes
+        fullAgreementWeight: 3, // Net vote weight that counts as full strength
+        minSignalStrength: 0.3
+    },
+    liquidity: {
+        swingLookback: 2, // Bars on each side of a swing high/low
+        equalLevelTolerance: 0.01, // Share of the visible range for "equal" highs/lows
+        minPoolTouches: 2,
+        sweepLookahead: 30, // Bars after a swing in which a sweep can happen
+        maxRangeHeight: 0.12, // Consolidation height as a share of the visible range
+        minRangeCandles: 8,
+        minGapRatio: 0.005, // Smallest fair-value gap as a share of the visible range
+        recentCandles: 5, // Sweeps and ranges this recent drive the signal
+        minSignalScore: 0.3,
+        maxZones: 3
+    },
+    smartMoney: {
+        swingLookback: 3, // Bars on each side of a structural swing
+        orderBlockSearch: 10, // Bars searched back from the leg's extreme for the order-block candle
+        maxOrderBlocks: 4,
+        equilibriumBand: 0.05, // Share of the dealing range treated as equilibrium around the midpoint
+        eventDecayCandles: 30, // A BOS/CHoCH loses weight over this many bars
+        minSignalScore: 0.3
+    },
+    chartPatterns: {
+        pivotLookback: 3,
+        equalTolerance: 0.03, // Share of the visible range for "equal" tops/bottoms
+        minDepth: 0.08, // Smallest pullback between tops/bottoms as a share of the range
+        minPivots: 4, // Pivots in a trendline window (at least two highs and two lows)
+        maxWindowPivots: 6,
+        minLineFit: 0.6, // r² each trendline must reach
+        flatSlope: 0.08, // Slope over the pattern below this share of the range counts as flat
+        parallelTolerance: 0.35, // Height change across the pattern still treated as parallel
+        poleMinMove: 0.25, // Flag pole as a share of the range
+        poleMaxBars: 10,
+        flagMinBars: 3,
+        flagMaxBars: 20,
+        flagMaxRetrace: 0.5, // Consolidation may give back at most half the pole
+        recentBars: 15, // Patterns ending this close to the last candle are active
+        crossPatternOverlap: 0.8, // Share of a pattern inside a different, kept pattern before it is dropped
+        maxActive: 3,
+        minSignalScore: 0.3
+    },
+    fibonacci: {
+        lookbackBars: 120, // Window searched for the dominant swing leg
+        swingLookback: 5,
+        minLegRatio: 0.3, // Leg must span this share of the visible range
+        retracements: [0.236, 0.382, 0.5, 0.618, 0.786],
+        extensions: [1.272, 1.414, 1.618, 2.0, 2.618],
+        goldenPocket: [0.618, 0.65],
+        confluenceTolerance: 0.01 // Share of the range within which an S/R level confirms a Fib level
+    },
+    harmonics: {
+        pivotLookback: 3,
+        tolerance: 0.1, // Relative miss allowed outside each ratio window
+        recentBars: 5 // D must be this close to the last candle
+    },
+    elliottWave: {
+        pivotLookback: 4,
+        minScore: 0.4, // Counts breaking a hard rule score 0 and are dropped
+        maxAlternates: 3
+    },
+    divergence: {
+        swingLookback: 3,
+        swingTolerance: 2, // Bars either side of a price swing searched for the oscillator extreme
+        minBars: 5, // Swing pair spacing
+        maxBars: 60,
+        maxPairs: 3, // Earlier swings paired with the latest one
+        recentBars: 8, // Latest swing must be this close to the last candle
+        minOscillatorDelta: 0.03, // Oscillator difference as a share of its scale
+        lineTolerance: 0.03, // Share of the pair's range price may poke through the swing line
+        minSignalScore: 0.4
+    },
+    ichimoku: {
+        tenkanPeriod: 9,
+        kijunPeriod: 26,
+        senkouBPeriod: 52,
+        displacement: 26,
+        crossLookback: 3, // Bars back a TK cross still counts
+        breakoutLookback: 3, // A close inside/beyond the cloud this recently makes the current position a breakout
+        twistLookback: 3,
+        minSignalScore: 0.5
+    },
+    volumeProfile: {
+        minCandles: 10,
+        bins: 24,
+        valueAreaShare: 0.7,
+        highVolumeRatio: 1.3, // Node volume against the average bin
+        lowVolumeRatio: 0.5,
+        vwapAnchor: 'start', // 'start' of the visible range, or its 'high' / 'low'
+        vwapBands: [1, 2], // Standard deviations
+        histogramWidth: 0.18 // Share of the canvas width for the longest profile bar
+    },
+    tradeLevels: {
+        stopBufferAtr: 0.25, // Stop this far beyond the protecting level
+        minStopAtr: 0.5, // Closer stops sit inside ordinary noise
+        maxStopAtr: 3, // Further structure is ignored in favour of the ATR stop
+        atrStop: 1.5, // Stop distance when no structure qualifies
+        minRiskReward: 1, // Nearer structure is skipped as a target
+        targetSpacingAtr: 0.5, // Minimum gap between consecutive targets
+        fallbackRiskRewards: [1.5, 2.5, 4], // Targets in R when structure runs out
+        boxBars: 12 // Position box width in candles
+    },
     scores: {
         doji: 1.5,
         hammer: 3.0,
@@ -36,10 +226,90 @@ const config = {
         strongSupport: 5.0,
         strongResistance: 5.0,
         upperBreakout: 4.0,
-        lowerBreakout: 4.0
+        lowerBreakout: 4.0,
+        headAndShoulders: 4.5,
+        inverseHeadAndShoulders: 4.5,
+        doubleTop: 4.0,
+        doubleBottom: 4.0,
+        tripleTop: 4.5,
+        tripleBottom: 4.5,
+        ascendingTriangle: 3.5,
+        descendingTriangle: 3.5,
+        symmetricalTriangle: 3.0,
+        risingWedge: 3.5,
+        fallingWedge: 3.5,
+        flag: 3.5,
+        pennant: 3.5,
+        ascendingChannel: 2.5,
+        descendingChannel: 2.5,
+        horizontalChannel: 2.0,
+        goldenPocket: 3.5,
+        fibonacciConfluence: 2.5,
+        gartley: 4.0,
+        bat: 4.0,
+        butterfly: 4.0,
+        crab: 4.5,
+        cypher: 3.5,
+        regularDivergence: 3.0,
+        hiddenDivergence: 2.0,
+        tkCross: 3.0,
+        kumoBreakout: 3.0,
+        kumoTwist: 2.0,
+        chikouConfirmation: 1.5
+    },
+    outcomes: {
+        priorWeight: 4, // Pseudo-outcomes at 50% that pattern accuracy starts from
+        maxOpenTrades: 3 // Open trades offered for marking in the results
+    },
+    strategies: {
+        weightedVote: {
+            minVotes: 2 // Modules with a signal needed before voting counts
+        },
+        logistic: {
+            minSamples: 20, // Recorded outcomes before the model is trained
+            epochs: 300,
+            learningRate: 0.5,
+            l2: 0.01
+        }
+    },
+    backtest: {
+        warmupBars: 60, // History before the first recommendation
+        windowBars: 150, // Candles visible to the modules at each step, like one chart screenshot
+        step: 1, // Bars between recommendations while flat
+        maxHoldBars: 50, // Close at market if neither target nor stop is reached
+        positionSize: 1, // Share of equity per trade
+        feePercent: 0.1, // Round-trip cost taken from every trade
+        yieldEvery: 5 // Bars between UI repaints
+    },
+    optimizer: {
+        method: 'random', // 'grid', 'random' or 'genetic'
+        objective: 'expectancy', // Backtest metric to maximise: 'expectancy', 'sharpe', 'profitFactor' or 'totalReturn'
+        folds: 3, // Walk-forward train/test splits per file
+        trainRatio: 0.7, // Share of each file in one training window
+        maxEvaluations: 30, // Backtests per training window
+        minTrades: 5, // Training runs with fewer trades cannot win
+        scoreRange: [0, 2], // Search range for every config.scores weight, as multiples of its default
+        fixedScores: ['doji'], // Weights that never reach a factor (a Doji only signals HOLD), left out of the search
+        ranges: {
+            'supportResistance.zoneProximity': { min: 0.005, max: 0.04 },
+            'supportResistance.minTouches': { min: 2, max: 5, integer: true },
+            'supportResistance.clusterTolerance': { min: 0.005, max: 0.03 },
+            'recommendation.confidenceThreshold': { min: 55, max: 85, integer: true }
+        },
+        gridParameters: ['recommendation.confidenceThreshold', 'supportResistance.zoneProximity'], // All others stay put in a grid search
+        gridSteps: 5,
+        population: 10, // Genetic search
+        eliteCount: 2,
+        mutationRate: 0.2
     },
     recommendation: {
         confidenceThreshold: 65, // As requested by user
+        strategy: 'additive', // Key in recommendationStrategies (strategies.js)
+        tiers: [ // Highest first: the first tier the confidence reaches sets the target and stop
+            { minConfidence: 85, profitTarget: 'aggressive', riskLevel: 0.02 },
+            { minConfidence: 75, profitTarget: 'moderate', riskLevel: 0.015 },
+            { minConfidence: 0, profitTarget: 'conservative', riskLevel: 0.01 }
+        ],
         profitTargets: {
             conservative: 0.02,
             moderate: 0.035,
@@ -57,7 +327,14 @@ class RealTimeAnalyzer {
             donchian: this.analyzeDonchianChannels.bind(this),
             quantitative: this.performQuantitativeAnalysis.bind(this),
             liquidity: this.performLiquidityAnalysis.bind(this),
-            trend: this.performTrendAnalysis.bind(this)
+            trend: this.performTrendAnalysis.bind(this),
+            smartMoney: this.analyzeSmartMoney.bind(this),
+            chartPatterns: this.detectChartPatterns.bind(this),
+            fibonacci: this.analyzeFibonacci.bind(this),
+            elliottWave: this.analyzeElliottWaves.bind(this),
+            divergence: this.detectDivergences.bind(this),
+            ichimoku: this.analyzeIchimoku.bind(this),
+            volumeProfile: this.analyzeVolumeProfile.bind(this)
         };
     }
 
@@ -65,30 +342,154 @@ class RealTimeAnalyzer {
     async analyzeChartImage(file) {
         try {
             // Load image data
-            const [imageData, img] = await this.loadImageData(file);
+            const [imageData, img, overlays] = await this.loadImageData(file);
             
-            // Extract OHLC data from image
-            const ohlcData = this.extractOHLCData(imageData);
+            // Pick the bull/bear candle colours for this chart
+            const colorProfile = resolveColorProfile(imageData, {
+                left: 0,
+                top: 0,
+                right: Math.round(imageData.width * (1 - config.calibration.axisStripRatio)),
+                bottom: Math.round(imageData.height * config.candles.chartAreaRatio)
+            });
             
-            // Process through all analysis modules
-            const results = await this.processAllModules(ohlcData, imageData);
+            // Locate the candle pane and price scale
+            const plotArea = detectPlotArea(imageData, colorProfile);
             
-            // Generate final recommendation
-            const recommendation = await this.generateRecommendation(results);
+            // Extract OHLC data from image (pixel rows)
+            const pixelCandles = this.extractOHLCData(imageData, colorProfile, plotArea);
             
-            // Return complete analysis
-            return {
-                ohlcData: ohlcData,
-                analysisResults: results,
-                recommendation: recommendation,
-                image: img
-            };
+            // Read the volume histogram aligned to the candle columns
+            const volumeRegion = findVolumeRegion(imageData, plotArea, pixelCandles);
+            if (volumeRegion) {
+                attachVolumeData(imageData, pixelCandles, volumeRegion, plotArea);
+            }
+            
+            // Read the price axis so candles can be expressed in real prices
+            const priceScale = await this.calibratePriceScale(img, imageData, plotArea);
+            
+            // Identify the market and interval from the chart legend
+            const header = await this.detectChartHeader(img, imageData);
+            
+            return await this.analyzeWithPriceScale({
+                pixelCandles: pixelCandles,
+                imageData: imageData,
+                image: img,
+                colorProfile: colorProfile,
+                plotArea: plotArea,
+                volumeRegion: volumeRegion,
+                overlays: overlays,
+                symbol: header ? header.symbol : null,
+                timeframe: header ? header.timeframe : null,
+                timeframeMinutes: header ? header.timeframeMinutes : null,
+                exchange: header ? header.exchange : null
+            }, priceScale);
         } catch (error) {
             console.error('❌ REAL-TIME ANALYSIS FAILED:', error);
             throw new Error(`Analysis Error: ${error.message}`);
         }
     }
 
+    // Analyse a CSV/JSON OHLCV export through the same pipeline as a screenshot
+    async analyzeDataFile(file) {
+        try {
+            const records = parseOHLCVFile(await file.text(), file.name);
+            const fileHeader = parseChartHeader(file.name.replace(/\.[^.]+$/, '').replace(/[-_.]+/g, ' ').toUpperCase());
+
+            if (config.debug) console.log(`📄 IMPORTED ${records.length} CANDLES from ${file.name}`);
+
+            return await this.analyzeRecords(records, {
+                symbol: fileHeader ? fileHeader.symbol : null,
+                exchange: fileHeader ? fileHeader.exchange : null
+            });
+        } catch (error) {
+            console.error('❌ DATA IMPORT FAILED:', error);
+            throw new Error(`Import Error: ${error.message}`);
+        }
+    }
+
+    // Render OHLCV records as a chart and run them through the image pipeline's analysis stage
+    async analyzeRecords(records, market = {}) {
+        const chart = renderImportedChart(records);
+        const timeframe = market.timeframe ?
+            { label: market.timeframe, minutes: market.timeframeMinutes } :
+            inferTimeframe(records);
+
+        // Bars in this series may settle trades opened by earlier analyses of the same market
+        analysisDB.resolveOutcomesFromSeries(market.symbol, timeframe ? timeframe.label : null, records);
+
+        return await this.analyzeWithPriceScale({
+            pixelCandles: chart.pixelCandles,
+            imageData: chart.imageData,
+            image: chart.canvas,
+            colorProfile: null,
+            plotArea: null,
+            volumeRegion: chart.hasVolume ? { type: 'data' } : null,
+            overlays: null,
+            symbol: market.symbol || null,
+            timeframe: timeframe ? timeframe.label : null,
+            timeframeMinutes: timeframe ? timeframe.minutes : null,
+            exchange: market.exchange || null,
+            source: market.source || 'data'
+        }, chart.priceScale);
+    }
+
+    // Convert a chart's pixel candles with the given scale and run the full pipeline
+    async analyzeWithPriceScale(chart, priceScale) {
+        const ohlcData = convertCandlesToPrice(chart.pixelCandles, priceScale);
+        
+        // Process through all analysis modules
+        const results = await this.processAllModules(ohlcData, {
+            imageData: chart.imageData,
+            priceScale: priceScale,
+            timeframeMinutes: chart.timeframeMinutes || null
+        });
+        
+        // Generate final recommendation
+        const recommendation = await this.generateRecommendation(results);
+
+        // Every scoring strategy's call on the same chart, for side-by-side comparison
+        const strategyComparison = await compareRecommendationStrategies(results.candlestick, this.getTechnicalAnalysis(results));
+        
+        // Return complete analysis, keeping the chart details for display and re-calibration
+        return {
+            ...chart,
+            ohlcData: ohlcData,
+            analysisResults: results,
+            recommendation: recommendation,
+            strategyComparison: strategyComparison,
+            priceScale: priceScale
+        };
+    }
+
+    // Calibrate the price axis, falling back to inverted pixel rows when labels cannot be read
+    async calibratePriceScale(img, imageData, plotArea) {
+        if (config.calibration.enabled) {
+            try {
+                const scale = await calibratePriceAxis(img, imageData, plotArea);
+                if (scale) return scale;
+            } catch (error) {
+                console.warn('⚠️ PRICE AXIS CALIBRATION UNAVAILABLE:', error.message);
+            }
+        }
+
+        // Reuse a manual calibration saved for the same chart template
+        const savedScale = loadCalibrationTemplate(imageData, plotArea);
+        if (savedScale) return savedScale;
+
+        return PriceScale.fromPixelHeight(imageData.height);
+    }
+
+    // Read symbol and timeframe from the header text; unknown when OCR is unavailable
+    async detectChartHeader(img, imageData) {
+        if (!config.header.enabled) return null;
+        try {
+            return await readChartHeader(img, imageData);
+        } catch (error) {
+            console.warn('⚠️ CHART HEADER UNREADABLE:', error.message);
+            return null;
+        }
+    }
+
     // Load image data from file
     loadImageData(file) {
         return new Promise((resolve, reject) => {
@@ -118,7 +519,9 @@ class RealTimeAnalyzer {
 
                 try {
                     const imageData = ctx.getImageData(0, 0, width, height);
-                    resolve([imageData, img]);
+                    // Strip indicator lines and text so they are not read as candles
+                    const overlays = config.overlays.enabled ? suppressOverlays(imageData) : null;
+                    resolve([imageData, img, overlays]);
                 } catch (e) {
                     reject(new Error('Failed to read image data'));
                 }
@@ -130,24 +533,49 @@ class RealTimeAnalyzer {
     }
 
     // Extract OHLC data from image data
-    extractOHLCData(imageData) {
+    extractOHLCData(imageData, colorProfile = colorProfilePresets.classic, plotArea = null) {
+        // Scan the detected plot box, or the top of the image when none is given
+        const area = plotArea || {
+            left: 0,
+            top: 0,
+            right: imageData.width,
+            bottom: imageData.height * config.candles.chartAreaRatio
+        };
+
+        if (config.candles.extractor === 'components') {
+            const candles = extractCandlesByComponents(imageData, colorProfile, area);
+            if (candles.length > 0) {
+                if (config.debug) {
+                    const averageConfidence = candles.reduce((sum, c) => sum + c.confidence, 0) / candles.length;
+                    console.log(`🕯️ CANDLES EXTRACTED: ${candles.length} (components, avg confidence ${averageConfidence.toFixed(2)})`);
+                }
+                return candles;
+            }
+            if (config.debug) console.log('🕯️ Component extraction found no bodies, falling back to column scan');
+        }
+
+        return this.scanCandleColumns(imageData, colorProfile, area);
+    }
+
+    // Legacy extractor: one candle per run of coloured columns, measured along its centre column
+    scanCandleColumns(imageData, colorProfile, area) {
         const {
             data: pixels,
             width,
             height
         } = imageData;
         const cfg = config.candles;
-        const chartAreaHeight = height * cfg.chartAreaRatio;
+        const colors = createColorMatcher(colorProfile);
 
         // Enhanced candle detection
         let candles = [];
         let currentCandle = null;
 
-        for (let x = width - 1; x > 0; x--) {
+        for (let x = area.right - 1; x > area.left; x--) {
             let isCandleColumn = false;
-            for (let y = 0; y < chartAreaHeight; y++) {
+            for (let y = area.top; y < area.bottom; y++) {
                 const i = (y * width + x) * 4;
-                if (cfg.greenCandle(pixels[i], pixels[i + 1], pixels[i + 2]) || cfg.redCandle(pixels[i], pixels[i + 1], pixels[i + 2])) {
+                if (colors.isBull(pixels[i], pixels[i + 1], pixels[i + 2]) || colors.isBear(pixels[i], pixels[i + 1], pixels[i + 2])) {
                     isCandleColumn = true;
                     break;
                 }
@@ -169,12 +597,14 @@ class RealTimeAnalyzer {
         }
 
         if (candles.length === 0) {
-            throw new Error("No candles detected in chart image");
+            throw new Error(`No candles detected in chart image (colour profile: ${colorProfile.name})`);
         }
 
         // Process each candle with enhanced statistics
         for (const candle of candles) {
             const midX = Math.round((candle.x_start + candle.x_end) / 2);
+            // Hollow bodies are only outlined, so measure the body on its left edge
+            const bodyX = colors.hollow ? candle.x_start : midX;
             let high = height,
                 low = 0,
                 bodyHigh = height,
@@ -183,9 +613,9 @@ class RealTimeAnalyzer {
                 redPixels = 0;
 
             // Find candle boundaries
-            for (let y = 0; y < chartAreaHeight; y++) {
+            for (let y = area.top; y < area.bottom; y++) {
                 const i = (y * width + midX) * 4;
-                if (cfg.greenCandle(pixels[i], pixels[i + 1], pixels[i + 2]) || cfg.redCandle(pixels[i], pixels[i + 1], pixels[i + 2])) {
+                if (colors.isBull(pixels[i], pixels[i + 1], pixels[i + 2]) || colors.isBear(pixels[i], pixels[i + 1], pixels[i + 2])) {
                     if (high === height) high = y;
                     low = y;
                 }
@@ -194,8 +624,8 @@ class RealTimeAnalyzer {
             // Determine candle color
             for (let y = high; y <= low; y++) {
                 const i = (y * width + midX) * 4;
-                if (cfg.greenCandle(pixels[i], pixels[i + 1], pixels[i + 2])) greenPixels++;
-                if (cfg.redCandle(pixels[i], pixels[i + 1], pixels[i + 2])) redPixels++;
+                if (colors.isBull(pixels[i], pixels[i + 1], pixels[i + 2])) greenPixels++;
+                if (colors.isBear(pixels[i], pixels[i + 1], pixels[i + 2])) redPixels++;
             }
 
             candle.isGreen = greenPixels > redPixels;
@@ -204,9 +634,9 @@ class RealTimeAnalyzer {
             // Find body boundaries
             let inBody = false;
             for (let y = high; y <= low; y++) {
-                const i = (y * width + midX) * 4;
-                const isColorMatch = (candle.isGreen && cfg.greenCandle(pixels[i], pixels[i + 1], pixels[i + 2])) ||
-                    (candle.isRed && cfg.redCandle(pixels[i], pixels[i + 1], pixels[i + 2]));
+                const i = (y * width + bodyX) * 4;
+                const isColorMatch = (candle.isGreen && colors.isBull(pixels[i], pixels[i + 1], pixels[i + 2])) ||
+                    (candle.isRed && colors.isBear(pixels[i], pixels[i + 1], pixels[i + 2]));
                 if (isColorMatch) {
                     if (!inBody) bodyHigh = y;
                     bodyLow = y;
@@ -228,6 +658,7 @@ class RealTimeAnalyzer {
             candle.bodyRatio = candle.bodyHeight / candle.totalHeight;
             candle.upperWickRatio = candle.upperWick / candle.totalHeight;
             candle.lowerWickRatio = candle.lowerWick / candle.totalHeight;
+            candle.confidence = cfg.columnScanConfidence;
         }
 
         candles.reverse();
@@ -237,7 +668,7 @@ class RealTimeAnalyzer {
     }
 
     // Process all analysis modules
-    async processAllModules(ohlcData, imageData) {
+    async processAllModules(ohlcData, context) {
         const results = {};
         
         // Run all analysis modules in parallel for efficiency
@@ -246,7 +677,7 @@ class RealTimeAnalyzer {
                 if (moduleName === 'candlestick') {
                     results[moduleName] = await this.analysisModules[moduleName](ohlcData);
                 } else {
-                    results[moduleName] = await this.analysisModules[moduleName](ohlcData, imageData);
+                    results[moduleName] = await this.analysisModules[moduleName](ohlcData, context);
                 }
             } catch (error) {
                 console.error(`❌ MODULE ${moduleName} FAILED:`, error);
@@ -263,107 +694,121 @@ class RealTimeAnalyzer {
         return analyzeProfessionalCandlesticks({ candles: candles });
     }
 
-    async analyzeSupportResistance(candles, imageData) {
-        return analyzeSupportResistance(candles, imageData.height);
+    async analyzeSupportResistance(candles, context) {
+        return analyzeSupportResistance(candles, getPriceRange(candles), context.timeframeMinutes);
     }
 
     async analyzeDonchianChannels(candles) {
         return analyzeDonchianChannels(candles);
     }
 
-    async performQuantitativeAnalysis(candles, imageData) {
+    async performQuantitativeAnalysis(candles) {
         return performQuantitativeAnalysis(candles);
     }
 
-    async performLiquidityAnalysis(candles, imageData) {
-        return performLiquidityAnalysis(candles, imageData.height);
+    async performLiquidityAnalysis(candles) {
+        return performLiquidityAnalysis(candles, getPriceRange(candles));
     }
 
-    async performTrendAnalysis(candles, imageData) {
+    async performTrendAnalysis(candles) {
         return performTrendAnalysis(candles);
     }
 
+    async analyzeSmartMoney(candles) {
+        return analyzeSmartMoneyConcepts(candles, getPriceRange(candles));
+    }
+
+    async detectChartPatterns(candles) {
+        return detectChartPatterns(candles, getPriceRange(candles));
+    }
+
+    // Confluence needs the S/R levels, so they are computed alongside rather than read from the other module
+    async analyzeFibonacci(candles, context) {
+        const priceRange = getPriceRange(candles);
+        const supportResistance = analyzeSupportResistance(candles, priceRange, context.timeframeMinutes);
+        return analyzeFibonacciLevels(candles, priceRange, supportResistance);
+    }
+
+    async analyzeElliottWaves(candles) {
+        return analyzeElliottWaves(candles);
+    }
+
+    async detectDivergences(candles) {
+        return detectDivergences(candles);
+    }
+
+    async analyzeIchimoku(candles) {
+        return analyzeIchimoku(candles);
+    }
+
+    async analyzeVolumeProfile(candles) {
+        return analyzeVolumeProfile(candles);
+    }
+
     // Generate final recommendation
     async generateRecommendation(analysisResults) {
         return generateProfessionalRecommendation(
             analysisResults.candlestick,
-            {
-                supportResistance: analysisResults.supportResistance,
-                donchianChannels: analysisResults.donchian,
-                quantitative: analysisResults.quantitative,
-                liquidity: analysisResults.liquidity,
-                trend: analysisResults.trend
-            }
+            this.getTechnicalAnalysis(analysisResults)
         );
     }
+
+    // Map module results to the technical analysis shape used by the recommender and display
+    getTechnicalAnalysis(analysisResults) {
+        return {
+            supportResistance: analysisResults.supportResistance,
+            donchianChannels: analysisResults.donchian,
+            quantitative: analysisResults.quantitative,
+            liquidity: analysisResults.liquidity,
+            trend: analysisResults.trend,
+            smartMoney: analysisResults.smartMoney,
+            chartPatterns: analysisResults.chartPatterns,
+            fibonacci: analysisResults.fibonacci,
+            elliottWave: analysisResults.elliottWave,
+            divergence: analysisResults.divergence,
+            ichimoku: analysisResults.ichimoku,
+            volumeProfile: analysisResults.volumeProfile
+        };
+    }
 }
 
 // Initialize the real-time analyzer
 const realTimeAnalyzer = new RealTimeAnalyzer();
 
-// Update the main analysis function to use the new framework
-async function performAdvancedAnalysis(file) {
-    if (config.debug) {
-        console.clear();
-        console.log('🚀 PROFESSIONAL ANALYSIS ENGINE v7.0 STARTED');
-    }
-
-    const startTime = Date.now();
-    const progressFill = document.getElementById('progressFill');
-    const steps = {
-        step1: document.getElementById('step1'),
-        step2: document.getElementById('step2'),
-        step3: document.getElementById('step3'),
-        step4: document.getElementById('step4'),
-    };
-
-    try {
-        document.getElementById('analysisArea').style.display = 'block';
-        document.getElementById('resultsArea').style.display = 'none';
-        Object.values(steps).forEach(step => {
-            if (step) step.classList.remove('active');
-        });
-
-        if (progressFill) progressFill.style.width = '15%';
-        if (steps.step1) steps.step1.classList.add('active');
-        
-        // Use the new real-time analyzer framework
-        const analysisResult = await realTimeAnalyzer.analyzeChartImage(file);
-
-        if (progressFill) progressFill.style.width = '100%';
-        const analysisTime = ((Date.now() - startTime) / 1000).toFixed(2);
-
-        setTimeout(() => {
-            displayProfessionalResults(
-                analysisResult.recommendation, 
-                analysisResult.analysisResults.candlestick, 
-                {
-                    supportResistance: analysisResult.analysisResults.supportResistance,
-                    donchianChannels: analysisResult.analysisResults.donchian,
-                    quantitative: analysisResult.analysisResults.quantitative,
-                    liquidity: analysisResult.analysisResults.liquidity,
-                    trend: analysisResult.analysisResults.trend
-                }, 
-                analysisTime, 
-                analysisResult.image
-            );
-        }, 800);
+// Analysis currently shown in the results area, kept for re-calibration
+let currentAnalysis = null;
+
+// Derive body and wick measurements from a candle's open/high/low/close (price units)
+function computeCandleMetrics(candle) {
+    candle.totalHeight = candle.high - candle.low;
+    candle.bodyTop = Math.max(candle.open, candle.close);
+    candle.bodyBottom = Math.min(candle.open, candle.close);
+    candle.bodyHeight = candle.bodyTop - candle.bodyBottom;
+    candle.upperWick = candle.high - candle.bodyTop;
+    candle.lowerWick = candle.bodyBottom - candle.low;
+    candle.bodyRatio = candle.totalHeight > 0 ? candle.bodyHeight / candle.totalHeight : 0;
+    candle.upperWickRatio = candle.totalHeight > 0 ? candle.upperWick / candle.totalHeight : 0;
+    candle.lowerWickRatio = candle.totalHeight > 0 ? candle.lowerWick / candle.totalHeight : 0;
+    return candle;
+}
 
-    } catch (error) {
-        console.error('❌ ANALYSIS FAILED:', error);
-        showError(`Analysis Error: ${error.message}`);
-        resetAnalyzer();
-    } finally {
-        analysisInProgress = false;
-    }
+// Price span covered by the candles, used to scale level tolerances
+function getPriceRange(candles) {
+    if (candles.length === 0) return 1;
+    const highest = Math.max(...candles.map(c => c.high));
+    const lowest = Math.min(...candles.map(c => c.low));
+    return highest - lowest || 1;
 }
 
 // Modified candlestick analysis function for the new framework
 async function analyzeProfessionalCandlesticks(data) {
     const candles = data.candles;
     
-    // Professional pattern detection
-    const patterns = detectAllCandlestickPatterns(candles);
+    // Professional pattern detection, with harmonic XABCD reversals appended and scored alongside
+    const patterns = [
+        ...detectAllCandlestickPatterns(candles),
+        ...detectHarmonicPatterns(candles)
+    ];
 
     return {
         candles: candles,
@@ -478,6 +923,7 @@ function detectAllCandlestickPatterns(candles) {
     if (c0.isGreen && c1.isRed && c0.close > c1.open && c0.open < c1.close) {
         patterns.push({
             name: 'Bullish Engulfing',
+            scoreKey: 'engulfing',
             signal: 'BUY',
             strength: 0.9,
             description: 'Strong Bullish Reversal',
@@ -488,6 +934,7 @@ function detectAllCandlestickPatterns(candles) {
     if (c0.isRed && c1.isGreen && c0.close < c1.open && c0.open > c1.close) {
         patterns.push({
             name: 'Bearish Engulfing',
+            scoreKey: 'engulfing',
             signal: 'SELL',
             strength: 0.9,
             description: 'Strong Bearish Reversal',
@@ -521,6 +968,7 @@ function detectAllCandlestickPatterns(candles) {
             (c1.isRed && c0.isRed && c0.open < c1.close && c0.close > c1.close))) {
         patterns.push({
             name: c1.isGreen ? 'Bullish Harami' : 'Bearish Harami',
+            scoreKey: 'harami',
             signal: c1.isGreen ? 'SELL' : 'BUY',
             strength: 0.7,
             description: 'Trend Reversal Signal',
@@ -693,12 +1141,10 @@ function detectAllCandlestickPatterns(candles) {
 }
 
 async function performTechnicalAnalysis(candles, imageData) {
-    const {
-        height
-    } = imageData;
+    const priceRange = getPriceRange(candles);
 
     // Advanced Support/Resistance Analysis
-    const srAnalysis = analyzeSupportResistance(candles, height);
+    const srAnalysis = analyzeSupportResistance(candles, priceRange);
 
     // Donchian Channels Analysis
     const donchianAnalysis = analyzeDonchianChannels(candles);
@@ -707,7 +1153,7 @@ async function performTechnicalAnalysis(candles, imageData) {
     const quantAnalysis = performQuantitativeAnalysis(candles);
 
     // Liquidity Analysis
-    const liquidityAnalysis = performLiquidityAnalysis(candles, height);
+    const liquidityAnalysis = performLiquidityAnalysis(candles, priceRange);
 
     // Trend Analysis
     const trendAnalysis = performTrendAnalysis(candles);
@@ -1031,7 +1477,7 @@ function combineTechnicalSignals(srAnalysis, donchianAnalysis, quantAnalysis, li
     };
 }
 
-function analyzeSupportResistance(candles, imageHeight) {
+function analyzeSupportResistance(candles, priceRange, timeframeMinutes = null) {
     if (candles.length < 5) {
         return {
             supports: [],
@@ -1078,8 +1524,8 @@ function analyzeSupportResistance(candles, imageHeight) {
 
     for (let i = 1; i < points.length; i++) {
         const distance = points[i].y - currentLevel.values[currentLevel.values.length - 1];
-        // Dynamic tolerance based on chart height and recent activity
-        const dynamicTolerance = imageHeight * cfg.clusterTolerance *
+        // Dynamic tolerance based on visible price range and recent activity
+        const dynamicTolerance = priceRange * cfg.clusterTolerance *
             (1 - (points[i].index / candles.length) * 0.5);
 
         if (distance < dynamicTolerance) {
@@ -1092,7 +1538,7 @@ function analyzeSupportResistance(candles, imageHeight) {
             if (currentLevel.touches >= cfg.minTouches) {
                 const weightedAverage = currentLevel.sum / currentLevel.weightedSum;
                 levels.push({
-                    level: Math.round(weightedAverage),
+                    level: weightedAverage,
                     touches: currentLevel.touches,
                     strength: Math.min(currentLevel.touches / 5, 1) *
                         (currentLevel.weightedSum / currentLevel.touches / 1.5),
@@ -1113,7 +1559,7 @@ function analyzeSupportResistance(candles, imageHeight) {
     if (currentLevel.touches >= cfg.minTouches) {
         const weightedAverage = currentLevel.sum / currentLevel.weightedSum;
         levels.push({
-            level: Math.round(weightedAverage),
+            level: weightedAverage,
             touches: currentLevel.touches,
             strength: Math.min(currentLevel.touches / 5, 1) *
                 (currentLevel.weightedSum / currentLevel.touches / 1.5),
@@ -1130,24 +1576,26 @@ function analyzeSupportResistance(candles, imageHeight) {
         const isStrongerLevelExists = levels.some(otherLevel =>
             otherLevel !== level &&
             otherLevel.strength > level.strength &&
-            Math.abs(otherLevel.level - level.level) < imageHeight * cfg.clusterTolerance * 2
+            Math.abs(otherLevel.level - level.level) < priceRange * cfg.clusterTolerance * 2
         );
         return !isStrongerLevelExists;
     });
 
-    // Multi-timeframe analysis simulation
-    // In a real implementation, this would use actual data from different timeframes
-    const multiTimeframeAnalysis = performMultiTimeframeAnalysis(candles, imageHeight);
+    // Multi-timeframe analysis from candles aggregated to higher timeframes
+    const multiTimeframeAnalysis = performMultiTimeframeAnalysis(candles, priceRange, timeframeMinutes);
 
-    // Combine current timeframe levels with multi-timeframe levels
-    const combinedLevels = [...validatedLevels, ...multiTimeframeAnalysis.levels];
+    // Volume profile POC and value-area edges when the candles carry volume
+    const volumeLevels = getVolumeProfileLevels(candles);
+
+    // Combine current timeframe levels with multi-timeframe and volume levels
+    const combinedLevels = [...validatedLevels, ...multiTimeframeAnalysis.levels, ...volumeLevels];
 
     const supports = combinedLevels
-        .filter(l => l.level > currentPrice)
-        .sort((a, b) => a.level - b.level);
-    const resistances = combinedLevels
         .filter(l => l.level < currentPrice)
         .sort((a, b) => b.level - a.level);
+    const resistances = combinedLevels
+        .filter(l => l.level > currentPrice)
+        .sort((a, b) => a.level - b.level);
 
     let signal = 'HOLD',
         strength = 0;
@@ -1156,9 +1604,9 @@ function analyzeSupportResistance(candles, imageHeight) {
 
     // Enhanced proximity detection with dynamic zones
     const supportZone = nearestSupport ?
-        imageHeight * cfg.zoneProximity * (1 + (nearestSupport.strength * 0.5)) : 0;
+        priceRange * cfg.zoneProximity * (1 + (nearestSupport.strength * 0.5)) : 0;
     const resistanceZone = nearestResistance ?
-        imageHeight * cfg.zoneProximity * (1 + (nearestResistance.strength * 0.5)) : 0;
+        priceRange * cfg.zoneProximity * (1 + (nearestResistance.strength * 0.5)) : 0;
 
     // False breakout detection
     const falseBreakoutDetected = detectFalseBreakouts(candles, nearestSupport, nearestResistance);
@@ -1185,18 +1633,24 @@ function analyzeSupportResistance(candles, imageHeight) {
 }
 
 // New function for multi-timeframe analysis
-function performMultiTimeframeAnalysis(candles, imageHeight) {
-    // Simulate multi-timeframe analysis
-    // In a real implementation, this would pull data from M1, M5, M15 timeframes
-    const simulatedM5Candles = simulateTimeframeData(candles, 5);
-    const simulatedM15Candles = simulateTimeframeData(candles, 15);
+function performMultiTimeframeAnalysis(candles, priceRange, timeframeMinutes = null) {
+    // With a known chart timeframe, aggregate into the 2nd and 4th standard timeframes above it
+    // (e.g. 15m -> 1h and 4h, 1m -> 5m and 30m); otherwise fall back to fixed 5x and 15x groupings
+    const steps = timeframeMinutes ? getHigherTimeframes(timeframeMinutes, 4) : [];
+    const higherTimeframes = [steps[1], steps[3]].filter(tf => tf && candles.length / tf.multiplier >= 3);
+    const multipliers = higherTimeframes.length === 2 ?
+        higherTimeframes.map(tf => tf.multiplier) : [5, 15];
+
+    const lowerCandles = simulateTimeframeData(candles, multipliers[0]);
+    const higherCandles = simulateTimeframeData(candles, multipliers[1]);
     
     // Combine levels from different timeframes with different weights
-    const m5Levels = extractKeyLevels(simulatedM5Candles, imageHeight, 0.7); // 70% weight
-    const m15Levels = extractKeyLevels(simulatedM15Candles, imageHeight, 0.9); // 90% weight
+    const lowerLevels = extractKeyLevels(lowerCandles, priceRange, 0.7); // 70% weight
+    const higherLevels = extractKeyLevels(higherCandles, priceRange, 0.9); // 90% weight
     
     return {
-        levels: [...m5Levels, ...m15Levels]
+        timeframes: higherTimeframes.length === 2 ? higherTimeframes.map(tf => tf.label) : null,
+        levels: [...lowerLevels, ...higherLevels]
     };
 }
 
@@ -1224,7 +1678,7 @@ function simulateTimeframeData(candles, timeframeMultiplier) {
 }
 
 // Helper function to extract key levels from candles
-function extractKeyLevels(candles, imageHeight, weight) {
+function extractKeyLevels(candles, priceRange, weight) {
     if (candles.length < 3) return [];
     
     const levels = [];
@@ -1357,18 +1811,29 @@ class AnalysisDatabase {
     constructor() {
         this.results = [];
         this.patternAccuracy = new Map(); // Track pattern accuracy
+        this.asOfAccuracy = { key: null, accuracy: new Map() }; // Last as-of rebuild, reused bar to bar by backtests
         this.loadFromLocalStorage();
     }
 
     // Save analysis result
     saveResult(analysisResult) {
+        const recommendation = analysisResult.recommendation;
+        const candles = analysisResult.ohlcData || [];
+        const lastCandle = candles[candles.length - 1];
         const result = {
             id: Date.now(),
             timestamp: new Date().toISOString(),
-            recommendation: analysisResult.recommendation,
+            symbol: analysisResult.symbol || null,
+            timeframe: analysisResult.timeframe || null,
+            key: AnalysisDatabase.getMarketKey(analysisResult.symbol, analysisResult.timeframe),
+            recommendation: recommendation,
             patterns: analysisResult.analysisResults.candlestick.patterns,
-            confidence: analysisResult.recommendation.confidence,
-            action: analysisResult.recommendation.action
+            confidence: recommendation.confidence,
+            action: recommendation.action,
+            // Open time of the last analysed candle, so an imported series can tell which bars came after
+            candleTime: lastCandle && isFinite(lastCandle.time) ? lastCandle.time : null,
+            trade: AnalysisDatabase.buildTradePlan(recommendation, lastCandle),
+            outcome: null
         };
         
         this.results.push(result);
@@ -1378,46 +1843,177 @@ class AnalysisDatabase {
             this.results.shift();
         }
         
-        this.updatePatternAccuracy(analysisResult);
         this.saveToLocalStorage();
         
         return result.id;
     }
 
-    // Update pattern accuracy tracking
-    updatePatternAccuracy(analysisResult) {
-        const patterns = analysisResult.analysisResults.candlestick.patterns;
-        const action = analysisResult.recommendation.action;
-        
-        patterns.forEach(pattern => {
-            if (!this.patternAccuracy.has(pattern.name)) {
-                this.patternAccuracy.set(pattern.name, {
-                    occurrences: 0,
-                    correct: 0,
-                    accuracy: 0.5 // Default 50% accuracy
-                });
-            }
-            
-            const stats = this.patternAccuracy.get(pattern.name);
+    // Entry at the last close with the recommendation's profit target and risk level as target and stop
+    static buildTradePlan(recommendation, lastCandle) {
+        if (!lastCandle || recommendation.action === 'WAIT') return null;
+
+        // Price levels from the chart when the recommendation has them: first target and the stop
+        const levels = recommendation.tradeLevels;
+        if (levels) {
+            return { direction: recommendation.action, entry: levels.entry, target: levels.targets[0].price, stop: levels.stop };
+        }
+        if (!(recommendation.profitTarget > 0)) return null;
+
+        const direction = recommendation.action === 'BUY' ? 1 : -1;
+        const entry = lastCandle.close;
+        return {
+            direction: recommendation.action,
+            entry: entry,
+            target: entry * (1 + direction * recommendation.profitTarget / 100),
+            stop: entry * (1 - direction * recommendation.riskLevel / 100)
+        };
+    }
+
+    // Mark whether the target or the stop was hit first; P&L is a percentage of the entry.
+    // `knownAt` is the open time of the bar that decided it, when that is known from data
+    recordOutcome(id, hit, exitPrice = null, source = 'manual', knownAt = null) {
+        const result = this.results.find(r => r.id === id);
+        if (!result || !result.trade) return null;
+
+        const { trade } = result;
+        const exit = exitPrice !== null ? exitPrice : (hit === 'target' ? trade.target : trade.stop);
+        const direction = trade.direction === 'BUY' ? 1 : -1;
+        result.outcome = {
+            hit: hit,
+            entry: trade.entry,
+            exit: exit,
+            pnl: direction * (exit - trade.entry) / trade.entry * 100,
+            source: source,
+            knownAt: knownAt,
+            recordedAt: new Date().toISOString()
+        };
+
+        this.recomputePatternAccuracy();
+        this.saveToLocalStorage();
+        return result.outcome;
+    }
+
+    // Resolve open trades for a market from a price series: the first bar after the analysis that reaches
+    // the target or stop decides; a bar reaching both counts as the stop
+    resolveOutcomesFromSeries(symbol, timeframe, records) {
+        if (!symbol) return 0;
+
+        let resolved = 0;
+        this.getHistory(symbol, timeframe)
+            .filter(result => result.trade && !result.outcome && result.candleTime !== null)
+            .forEach(result => {
+                const { trade } = result;
+                const long = trade.direction === 'BUY';
+                const hitBar = records.find(r => r.time > result.candleTime &&
+                    (long ? r.low <= trade.stop || r.high >= trade.target : r.high >= trade.stop || r.low <= trade.target));
+                if (!hitBar) return;
+
+                const stopped = long ? hitBar.low <= trade.stop : hitBar.high >= trade.stop;
+                this.recordOutcome(result.id, stopped ? 'stop' : 'target', null, 'data', hitBar.time);
+                resolved++;
+            });
+
+        if (config.debug && resolved > 0) console.log(`🎯 OUTCOMES RESOLVED FROM DATA: ${resolved}`);
+        return resolved;
+    }
+
+    // Trades with an outcome, optionally for one symbol/timeframe
+    getOutcomeStats(symbol = null, timeframe = null) {
+        const closed = this.results.filter(r => r.outcome &&
+            (!symbol || r.symbol === symbol) && (!timeframe || r.timeframe === timeframe));
+        const wins = closed.filter(r => r.outcome.hit === 'target').length;
+
+        return {
+            trades: closed.length,
+            wins: wins,
+            losses: closed.length - wins,
+            winRate: closed.length > 0 ? wins / closed.length : null,
+            totalPnl: closed.reduce((sum, r) => sum + r.outcome.pnl, 0)
+        };
+    }
+
+    // History key for a market and interval; unreadable headers share one bucket
+    static getMarketKey(symbol, timeframe) {
+        return `${symbol || 'UNKNOWN'}|${timeframe || 'UNKNOWN'}`;
+    }
+
+    // Saved results for one symbol/timeframe, oldest first
+    getHistory(symbol, timeframe) {
+        const key = AnalysisDatabase.getMarketKey(symbol, timeframe);
+        return this.results.filter(result => result.key === key);
+    }
+
+    // Results with a recorded outcome. Given a candle time, only outcomes decided by a bar no later than it,
+    // so a replay of that bar cannot learn from what came after; manual and older outcomes have no time and drop out
+    getResolvedResults(asOf = null) {
+        return this.results.filter(result => result.outcome && result.trade &&
+            (asOf === null || (Number.isFinite(result.outcome.knownAt) && result.outcome.knownAt <= asOf)));
+    }
+
+    // Rebuild pattern accuracy from every recorded outcome
+    recomputePatternAccuracy() {
+        this.patternAccuracy = this.buildPatternAccuracy(this.getResolvedResults());
+    }
+
+    // Pattern accuracy from the given results. A pattern was right when its signal matches the side
+    // that won: the trade's direction if the target was hit, the opposite one if the stop was.
+    // Accuracy is the Beta-smoothed rate, pulled toward 50% until enough outcomes accumulate
+    buildPatternAccuracy(results) {
+        const prior = config.outcomes.priorWeight;
+        const smooth = stats => {
+            stats.accuracy = (stats.correct + prior * 0.5) / (stats.occurrences + prior);
+            return stats;
+        };
+        const count = (stats, correct) => {
             stats.occurrences++;
-            
-            // Simplified accuracy calculation - in a real system, this would compare with actual outcomes
-            // For now, we'll assume patterns that lead to high confidence recommendations are more accurate
-            if (analysisResult.recommendation.confidence > 70) {
-                stats.correct++;
-            }
-            
-            stats.accuracy = stats.correct / stats.occurrences;
-            this.patternAccuracy.set(pattern.name, stats);
+            if (correct) stats.correct++;
+        };
+        const bucket = (map, key) => map[key] || (map[key] = { occurrences: 0, correct: 0, accuracy: 0.5 });
+
+        const patternAccuracy = new Map();
+        results.forEach(result => {
+            const winningSide = result.outcome.hit === 'target' ? result.trade.direction :
+                (result.trade.direction === 'BUY' ? 'SELL' : 'BUY');
+
+            (result.patterns || []).filter(pattern => pattern.signal === 'BUY' || pattern.signal === 'SELL').forEach(pattern => {
+                if (!patternAccuracy.has(pattern.name)) {
+                    patternAccuracy.set(pattern.name, { occurrences: 0, correct: 0, accuracy: 0.5, bySymbol: {}, byTimeframe: {} });
+                }
+                const stats = patternAccuracy.get(pattern.name);
+                const correct = pattern.signal === winningSide;
+                count(stats, correct);
+                count(bucket(stats.bySymbol, result.symbol || 'UNKNOWN'), correct);
+                count(bucket(stats.byTimeframe, result.timeframe || 'UNKNOWN'), correct);
+            });
         });
+
+        patternAccuracy.forEach(stats => {
+            smooth(stats);
+            Object.values(stats.bySymbol).forEach(smooth);
+            Object.values(stats.byTimeframe).forEach(smooth);
+        });
+        return patternAccuracy;
+    }
+
+    // Pattern accuracy from the outcomes known by a candle time, rebuilt only when that set changes
+    getPatternAccuracyAsOf(asOf) {
+        const results = this.getResolvedResults(asOf);
+        const key = results.map(result => result.id).join(',');
+        if (this.asOfAccuracy.key !== key) {
+            this.asOfAccuracy = { key: key, accuracy: this.buildPatternAccuracy(results) };
+        }
+        return this.asOfAccuracy.accuracy;
     }
 
-    // Get pattern accuracy statistics
-    getPatternAccuracy(patternName) {
-        return this.patternAccuracy.get(patternName) || {
+    // Get pattern accuracy statistics, from every outcome or only those known by `asOf`
+    getPatternAccuracy(patternName, asOf = null) {
+        const accuracy = asOf === null ? this.patternAccuracy : this.getPatternAccuracyAsOf(asOf);
+        return accuracy.get(patternName) || {
             occurrences: 0,
             correct: 0,
-            accuracy: 0.5
+            accuracy: 0.5,
+            bySymbol: {},
+            byTimeframe: {}
         };
     }
 
@@ -1450,7 +2046,8 @@ class AnalysisDatabase {
             if (data) {
                 const parsed = JSON.parse(data);
                 this.results = parsed.results || [];
-                this.patternAccuracy = new Map(parsed.patternAccuracy || []);
+                // Rebuilt rather than loaded: older saves counted confident recommendations as correct
+                this.recomputePatternAccuracy();
             }
         } catch (e) {
             console.warn('Could not load from localStorage:', e);
@@ -1468,33 +2065,30 @@ class AnalysisDatabase {
 // Initialize the analysis database
 const analysisDB = new AnalysisDatabase();
 
-// Enhanced recommendation function that uses the database for learning
-async function generateProfessionalRecommendation(candleAnalysis, technicalAnalysis) {
-    let buyScore = 0,
-        sellScore = 0;
-    const summary = [];
+// config.scores key for a pattern name: "Shooting Star" -> "shootingStar"
+function toScoreKey(name) {
+    const key = name.replace(/\s/g, '');
+    return key.charAt(0).toLowerCase() + key.slice(1);
+}
+
+// Every signal the modules produced, as scorable factors. `weight` is the additive score (config.scores weight
+// times strength); `style` marks trend-following vs mean-reversion evidence for the style-restricted strategies.
+// With `asOf` (a candle time) pattern accuracy uses only outcomes known by then
+function collectRecommendationFactors(candleAnalysis, technicalAnalysis, asOf = null) {
+    const factors = [];
+    const addFactor = (source, style, direction, weight, strength, text) =>
+        factors.push({ source, style, direction, weight, strength, text });
 
     // Score candlestick patterns with accuracy weighting
     candleAnalysis.patterns.forEach(pattern => {
         // Get pattern accuracy from database
-        const accuracyStats = analysisDB.getPatternAccuracy(pattern.name);
+        const accuracyStats = analysisDB.getPatternAccuracy(pattern.name, asOf);
         const accuracyWeight = accuracyStats.accuracy || 0.5;
         
-        const score = (config.scores[pattern.name.replace(/\s/g, '')] || 2.0) * accuracyWeight;
-        if (pattern.signal === 'BUY') {
-            buyScore += score * pattern.strength;
-            summary.push({
-                type: 'bullish',
-                text: `🕯️ ${pattern.name}: ${pattern.description} (+${(score * pattern.strength).toFixed(1)})`,
-                impact: score * pattern.strength
-            });
-        } else if (pattern.signal === 'SELL') {
-            sellScore += score * pattern.strength;
-            summary.push({
-                type: 'bearish',
-                text: `🕯️ ${pattern.name}: ${pattern.description} (+${(score * pattern.strength).toFixed(1)})`,
-                impact: score * pattern.strength
-            });
+        const score = (config.scores[pattern.scoreKey || toScoreKey(pattern.name)] || 2.0) * accuracyWeight;
+        if (pattern.signal === 'BUY' || pattern.signal === 'SELL') {
+            addFactor('candlestick', 'reversion', pattern.signal, score * pattern.strength, pattern.strength,
+                `🕯️ ${pattern.name}: ${pattern.description} (+${(score * pattern.strength).toFixed(1)})`);
         }
     });
 
@@ -1503,169 +2097,157 @@ async function generateProfessionalRecommendation(candleAnalysis, technicalAnaly
     const srSignal = technicalAnalysis.supportResistance;
     if (srSignal.signal === 'BUY') {
         const score = config.scores.strongSupport * srSignal.strength;
-        buyScore += score;
-        summary.push({
-            type: 'bullish',
-            text: `📈 Strong Support Level Detected (+${score.toFixed(1)})`,
-            impact: score
-        });
+        addFactor('supportResistance', 'reversion', 'BUY', score, srSignal.strength, `📈 Strong Support Level Detected (+${score.toFixed(1)})`);
     } else if (srSignal.signal === 'SELL') {
         const score = config.scores.strongResistance * srSignal.strength;
-        sellScore += score;
-        summary.push({
-            type: 'bearish',
-            text: `📉 Strong Resistance Level Detected (+${score.toFixed(1)})`,
-            impact: score
-        });
+        addFactor('supportResistance', 'reversion', 'SELL', score, srSignal.strength, `📉 Strong Resistance Level Detected (+${score.toFixed(1)})`);
     }
 
     // Donchian Channels
     const donchianSignal = technicalAnalysis.donchianChannels;
     if (donchianSignal.signal === 'BUY') {
         const score = config.scores.upperBreakout * donchianSignal.strength;
-        buyScore += score;
-        summary.push({
-            type: 'bullish',
-            text: `🚀 Donchian Upper Breakout Detected (+${score.toFixed(1)})`,
-            impact: score
-        });
+        addFactor('donchian', 'trend', 'BUY', score, donchianSignal.strength, `🚀 Donchian Upper Breakout Detected (+${score.toFixed(1)})`);
     } else if (donchianSignal.signal === 'SELL') {
         const score = config.scores.lowerBreakout * donchianSignal.strength;
-        sellScore += score;
-        summary.push({
-            type: 'bearish',
-            text: `📉 Donchian Lower Breakout Detected (+${score.toFixed(1)})`,
-            impact: score
-        });
+        addFactor('donchian', 'trend', 'SELL', score, donchianSignal.strength, `📉 Donchian Lower Breakout Detected (+${score.toFixed(1)})`);
     }
 
-    // Quantitative Analysis
+    // Quantitative Analysis: oscillators and moving averages together, so it counts for both styles
     const quantSignal = technicalAnalysis.quantitative;
-    if (quantSignal && quantSignal.signal !== 'HOLD') {
+    if (quantSignal && (quantSignal.signal === 'BUY' || quantSignal.signal === 'SELL')) {
         const score = 3.0 * quantSignal.strength; // Base score for quantitative signals
-        if (quantSignal.signal === 'BUY') {
-            buyScore += score;
-            summary.push({
-                type: 'bullish',
-                text: `📊 Quantitative Analysis: ${quantSignal.signal} (+${score.toFixed(1)})`,
-                impact: score
-            });
-        } else if (quantSignal.signal === 'SELL') {
-            sellScore += score;
-            summary.push({
-                type: 'bearish',
-                text: `📊 Quantitative Analysis: ${quantSignal.signal} (+${score.toFixed(1)})`,
-                impact: score
-            });
-        }
+        addFactor('quantitative', 'both', quantSignal.signal, score, quantSignal.strength,
+            `📊 Quantitative Analysis: ${quantSignal.signal} (+${score.toFixed(1)})`);
     }
 
-    // Liquidity Analysis
+    // Liquidity Analysis: sweeps of resting liquidity fade the move
     const liquiditySignal = technicalAnalysis.liquidity;
-    if (liquiditySignal && liquiditySignal.signal !== 'HOLD') {
+    if (liquiditySignal && (liquiditySignal.signal === 'BUY' || liquiditySignal.signal === 'SELL')) {
         const score = 2.5 * liquiditySignal.strength; // Base score for liquidity signals
-        if (liquiditySignal.signal === 'BUY') {
-            buyScore += score;
-            summary.push({
-                type: 'bullish',
-                text: `💧 Liquidity Analysis: ${liquiditySignal.signal} (+${score.toFixed(1)})`,
-                impact: score
-            });
-        } else if (liquiditySignal.signal === 'SELL') {
-            sellScore += score;
-            summary.push({
-                type: 'bearish',
-                text: `💧 Liquidity Analysis: ${liquiditySignal.signal} (+${score.toFixed(1)})`,
-                impact: score
-            });
-        }
+        addFactor('liquidity', 'reversion', liquiditySignal.signal, score, liquiditySignal.strength,
+            `💧 Liquidity Analysis: ${liquiditySignal.signal} (+${score.toFixed(1)})`);
     }
 
     // Trend Analysis
     const trendSignal = technicalAnalysis.trend;
-    if (trendSignal && trendSignal.signal !== 'HOLD') {
+    if (trendSignal && (trendSignal.signal === 'BUY' || trendSignal.signal === 'SELL')) {
         const score = 3.5 * trendSignal.strength; // Base score for trend signals
-        if (trendSignal.signal === 'BUY') {
-            buyScore += score;
-            summary.push({
-                type: 'bullish',
-                text: `🧭 Trend Analysis: ${trendSignal.signal} (+${score.toFixed(1)})`,
-                impact: score
-            });
-        } else if (trendSignal.signal === 'SELL') {
-            sellScore += score;
-            summary.push({
-                type: 'bearish',
-                text: `🧭 Trend Analysis: ${trendSignal.signal} (+${score.toFixed(1)})`,
-                impact: score
-            });
-        }
+        addFactor('trend', 'trend', trendSignal.signal, score, trendSignal.strength,
+            `🧭 Trend Analysis: ${trendSignal.signal} (+${score.toFixed(1)})`);
+    }
+
+    // Smart Money Concepts
+    const smcSignal = technicalAnalysis.smartMoney;
+    if (smcSignal && (smcSignal.signal === 'BUY' || smcSignal.signal === 'SELL')) {
+        const score = 3.0 * smcSignal.strength; // Base score for market-structure signals
+        const lastEvent = smcSignal.events[smcSignal.events.length - 1];
+        const detail = lastEvent ? ` after ${lastEvent.direction} ${lastEvent.type}` : '';
+        addFactor('smartMoney', 'trend', smcSignal.signal, score, smcSignal.strength,
+            `🏦 Smart Money: ${smcSignal.signal}${detail} (+${score.toFixed(1)})`);
+    }
+
+    // Chart Patterns
+    const chartPatterns = technicalAnalysis.chartPatterns;
+    if (chartPatterns && chartPatterns.activePatterns) {
+        chartPatterns.activePatterns.forEach(pattern => {
+            const score = (config.scores[pattern.scoreKey] || 3.0) * pattern.strength;
+            if (pattern.signal === 'BUY' || pattern.signal === 'SELL') {
+                addFactor('chartPatterns', pattern.type === 'continuation' ? 'trend' : 'reversion', pattern.signal, score, pattern.strength,
+                    `📐 ${pattern.name} (${pattern.status}, ${pattern.completion}%) → ${formatPrice(pattern.target)} (+${score.toFixed(1)})`);
+            }
+        });
     }
 
-    // Calculate final recommendation with enhanced confidence scoring
-    const totalScore = buyScore + sellScore;
-    const scoreDifference = Math.abs(buyScore - sellScore);
+    // Fibonacci: golden pocket pullbacks and retracements confirmed by S/R
+    const fibSignal = technicalAnalysis.fibonacci;
+    if (fibSignal && (fibSignal.signal === 'BUY' || fibSignal.signal === 'SELL')) {
+        const score = (fibSignal.atGoldenPocket ? config.scores.goldenPocket : config.scores.fibonacciConfluence) * fibSignal.strength;
+        const text = fibSignal.atGoldenPocket ?
+            `🌀 Price at Golden Pocket (${formatPrice(fibSignal.goldenPocket.low)} - ${formatPrice(fibSignal.goldenPocket.high)}) (+${score.toFixed(1)})` :
+            `🌀 Fibonacci ${fibSignal.nearestLevel.label} + S/R Confluence (+${score.toFixed(1)})`;
+        // Buying the pullback means trading with the swing that was retraced
+        addFactor('fibonacci', 'trend', fibSignal.signal, score, fibSignal.strength, text);
+    }
+
+    // Divergences: every price/oscillator divergence near the right edge is its own factor.
+    // Regular divergences call a reversal, hidden ones a continuation
+    const divergenceSignal = technicalAnalysis.divergence;
+    if (divergenceSignal && divergenceSignal.divergences) {
+        divergenceSignal.divergences.forEach(divergence => {
+            const score = config.scores[`${divergence.type}Divergence`] * divergence.strength;
+            addFactor('divergence', divergence.type === 'regular' ? 'reversion' : 'trend',
+                divergence.direction === 'bullish' ? 'BUY' : 'SELL', score, divergence.strength,
+                `〽️ ${divergence.type === 'regular' ? 'Regular' : 'Hidden'} ${divergence.direction === 'bullish' ? 'Bullish' : 'Bearish'} ` +
+                `${divergence.oscillator} Divergence (+${score.toFixed(1)})`);
+        });
+    }
 
-    let action, confidence, profitTarget, riskLevel, color;
+    // Ichimoku: TK cross, Kumo position/breakout, Kumo twist and Chikou each score on their own
+    const ichimokuSignal = technicalAnalysis.ichimoku;
+    if (ichimokuSignal && ichimokuSignal.signals) {
+        ichimokuSignal.signals.forEach(signal => {
+            const score = config.scores[signal.scoreKey] * signal.strength;
+            addFactor('ichimoku', 'trend', signal.direction === 'bullish' ? 'BUY' : 'SELL', score, signal.strength,
+                `⛩️ Ichimoku ${signal.description} (+${score.toFixed(1)})`);
+        });
+    }
 
-    if (totalScore === 0 || scoreDifference < 1.0) {
-        action = 'WAIT';
-        confidence = 45;
-        profitTarget = 0;
-        riskLevel = 0;
+    return factors;
+}
+
+// Enhanced recommendation function that uses the database for learning.
+// The scoring strategy (see strategies.js) turns the factors into a direction and confidence;
+// tiers, the confidence threshold and the profit adjustments are shared by all strategies.
+// `asOf` limits what is learnt from recorded outcomes to those known by that candle time (for backtests)
+async function generateProfessionalRecommendation(candleAnalysis, technicalAnalysis, strategyKey = config.recommendation.strategy, asOf = null) {
+    const factors = collectRecommendationFactors(candleAnalysis, technicalAnalysis, asOf);
+    const strategyName = recommendationStrategies[strategyKey] ? strategyKey : 'additive';
+    const scored = recommendationStrategies[strategyName].score(factors, asOf);
+    const { buyScore, sellScore } = scored;
+    let { action, confidence } = scored;
+
+    const summary = factors.map(factor => ({
+        type: factor.direction === 'BUY' ? 'bullish' : 'bearish',
+        text: factor.text,
+        impact: factor.weight
+    }));
+    (scored.notes || []).forEach(note => summary.push({ type: 'neutral', text: note, impact: 0 }));
+
+    let profitTarget = 0,
+        riskLevel = 0,
         color = 'var(--text-muted)';
-    } else {
-        // Enhanced confidence calculation with more precise scoring
-        const rawConfidence = 50 + (scoreDifference / (totalScore + 1)) * 50;
-        confidence = Math.min(98, Math.round(rawConfidence));
-
-        if (buyScore > sellScore) {
-            action = 'BUY';
-            color = 'var(--success-green)';
-
-            // Calculate profit targets based on confidence and quantitative indicators
-            if (confidence >= 85) {
-                profitTarget = config.recommendation.profitTargets.aggressive;
-                riskLevel = 0.02; // 2%
-            } else if (confidence >= 75) {
-                profitTarget = config.recommendation.profitTargets.moderate;
-                riskLevel = 0.015; // 1.5%
-            } else {
-                profitTarget = config.recommendation.profitTargets.conservative;
-                riskLevel = 0.01; // 1%
-            }
-        } else {
-            action = 'SELL';
-            color = 'var(--danger-red)';
-
-            // Calculate profit targets for short positions
-            if (confidence >= 85) {
-                profitTarget = config.recommendation.profitTargets.aggressive;
-                riskLevel = 0.02;
-            } else if (confidence >= 75) {
-                profitTarget = config.recommendation.profitTargets.moderate;
-                riskLevel = 0.015;
-            } else {
-                profitTarget = config.recommendation.profitTargets.conservative;
-                riskLevel = 0.01;
-            }
-        }
+
+    if (action !== 'WAIT') {
+        color = action === 'BUY' ? 'var(--success-green)' : 'var(--danger-red)';
+
+        // Calculate profit targets based on confidence tier, the same for long and short positions
+        const tier = config.recommendation.tiers.find(t => confidence >= t.minConfidence);
+        profitTarget = config.recommendation.profitTargets[tier.profitTarget];
+        riskLevel = tier.riskLevel;
     }
 
-    // Apply 65% confidence threshold as requested by user
-    if (confidence < 65) {
+    // Apply the confidence threshold (65% as requested by user, tunable by the optimiser)
+    const { confidenceThreshold } = config.recommendation;
+    if (confidence < confidenceThreshold) {
         action = 'WAIT';
         profitTarget = 0;
         summary.push({
             type: 'neutral',
-            text: `⚠️ Confidence below 65% threshold - Recommendation: WAIT`,
+            text: `⚠️ Confidence below ${confidenceThreshold}% threshold - Recommendation: WAIT`,
             impact: 0
         });
     }
 
+    // Concrete entry, stop and targets from ATR and chart structure; when available the percentages describe TP1 and the stop
+    const tradeLevels = action !== 'WAIT' ? calculateTradeLevels(action, candleAnalysis.candles, technicalAnalysis) : null;
+
     // Enhanced profit calculation with risk management
     let realProfitPercentage = 0;
-    if (action !== 'WAIT' && profitTarget > 0) {
+    if (tradeLevels) {
+        realProfitPercentage = Math.round(Math.abs(tradeLevels.targets[0].price - tradeLevels.entry) / tradeLevels.entry * 100 * 10) / 10;
+        riskLevel = tradeLevels.risk / tradeLevels.entry;
+    } else if (action !== 'WAIT' && profitTarget > 0) {
         // Adjust profit target based on volatility and trend strength
         const quantData = technicalAnalysis.quantitative;
         if (quantData && quantData.indicators) {
@@ -1701,6 +2283,10 @@ async function generateProfessionalRecommendation(candleAnalysis, technicalAnaly
             buy: buyScore.toFixed(1),
             sell: sellScore.toFixed(1)
         },
+        tradeLevels: tradeLevels,
+        strategy: strategyName,
+        // Signed per-source strengths, saved with the result so the logistic scorer can learn from outcomes
+        features: buildFactorFeatures(factors),
         // Add detailed reasoning for the recommendation
         reasoning: generateDetailedReasoning(action, confidence, candleAnalysis, technicalAnalysis)
     };
@@ -1734,6 +2320,41 @@ function generateDetailedReasoning(action, confidence, candleAnalysis, technical
         reasons.push(`Liquidity: ${liquidityAnalysis.signal === 'BUY' ? 'Accumulation' : 'Distribution'} zone detected`);
     }
     
+    // Add market structure reason
+    const smcAnalysis = technicalAnalysis.smartMoney;
+    if (smcAnalysis && smcAnalysis.signal && smcAnalysis.signal !== 'HOLD' && smcAnalysis.trend) {
+        const zone = smcAnalysis.premiumDiscount ? `, price in ${smcAnalysis.premiumDiscount.zone}` : '';
+        reasons.push(`Market Structure: ${smcAnalysis.trend === 'bullish' ? 'Bullish' : 'Bearish'} structure${zone}`);
+    }
+    
+    // Add chart pattern reason
+    const patternAnalysis = technicalAnalysis.chartPatterns;
+    if (patternAnalysis && patternAnalysis.activePatterns && patternAnalysis.activePatterns.length > 0) {
+        const pattern = patternAnalysis.activePatterns[0];
+        reasons.push(`Chart Pattern: ${pattern.name} ${pattern.status === 'confirmed' ? 'breakout confirmed' : `${pattern.completion}% complete`}`);
+    }
+    
+    // Add Fibonacci reason
+    const fibAnalysis = technicalAnalysis.fibonacci;
+    if (fibAnalysis && fibAnalysis.signal && fibAnalysis.signal !== 'HOLD') {
+        reasons.push(fibAnalysis.atGoldenPocket ?
+            `Fibonacci: Pullback into the golden pocket of the ${fibAnalysis.leg.direction} leg` :
+            `Fibonacci: ${fibAnalysis.nearestLevel.label} retracement aligned with S/R`);
+    }
+    
+    // Add divergence reason
+    const divergenceAnalysis = technicalAnalysis.divergence;
+    if (divergenceAnalysis && divergenceAnalysis.signal && divergenceAnalysis.signal !== 'HOLD') {
+        const matching = divergenceAnalysis.divergences.filter(d => d.direction === (divergenceAnalysis.signal === 'BUY' ? 'bullish' : 'bearish'));
+        reasons.push(`Divergence: ${divergenceAnalysis.signal === 'BUY' ? 'Bullish' : 'Bearish'} on ${matching.map(d => d.oscillator).join(', ')}`);
+    }
+    
+    // Add Ichimoku reason
+    const ichimokuAnalysis = technicalAnalysis.ichimoku;
+    if (ichimokuAnalysis && ichimokuAnalysis.pricePosition) {
+        reasons.push(`Ichimoku: Price ${ichimokuAnalysis.pricePosition} a ${ichimokuAnalysis.cloud.color} cloud`);
+    }
+    
     // Add quantitative reason
     const quantAnalysis = technicalAnalysis.quantitative;
     if (quantAnalysis && quantAnalysis.indicators) {
@@ -1748,7 +2369,7 @@ function generateDetailedReasoning(action, confidence, candleAnalysis, technical
 }
 
 // Enhanced display function that saves results to the database
-function displayProfessionalResults(recommendation, candleAnalysis, technicalAnalysis, analysisTime, img) {
+function displayProfessionalResults(recommendation, candleAnalysis, technicalAnalysis, analysisTime, img, chart) {
     document.getElementById('analysisArea').style.display = 'none';
     const resultsArea = document.getElementById('resultsArea');
     if (resultsArea) {
@@ -1763,6 +2384,27 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
         return element;
     };
 
+    // Show which market and interval the chart was read as; the names come from OCR or a feed, so as text only
+    const marketEl = el('chartMarket');
+    if (marketEl) {
+        const history = analysisDB.getHistory(chart.symbol, chart.timeframe);
+        const addBadge = (className, text) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            marketEl.appendChild(span);
+        };
+        marketEl.innerHTML = '';
+        if (chart.symbol || chart.timeframe) {
+            addBadge('market-symbol', chart.symbol || 'Unknown symbol');
+            addBadge('market-timeframe', chart.timeframe || '?');
+            if (chart.exchange) addBadge('market-exchange', chart.exchange);
+            addBadge('market-history', `${history.length} saved ${history.length === 1 ? 'analysis' : 'analyses'}`);
+        } else {
+            addBadge('market-history', 'Symbol and timeframe not detected');
+        }
+    }
+
     // Enhanced visual analysis with S/R and Donchian overlay
     const canvas = el('visualAnalysisCanvas');
     if (!canvas) {
@@ -1783,6 +2425,24 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
     // Draw scaled image
     ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
+    // Map price levels back onto the canvas through the chart's price scale
+    const toCanvasY = price => chart.priceScale.toPixel(price) * (canvas.height / chart.height);
+
+    // Outline the region that was scanned for candles
+    if (chart.plotArea) {
+        const areaScale = canvas.width / chart.width;
+        ctx.strokeStyle = 'rgba(59, 130, 246, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.strokeRect(
+            chart.plotArea.left * areaScale,
+            chart.plotArea.top * areaScale,
+            (chart.plotArea.right - chart.plotArea.left) * areaScale,
+            (chart.plotArea.bottom - chart.plotArea.top) * areaScale
+        );
+        ctx.setLineDash([]);
+    }
+
     // Draw Support/Resistance levels
     ctx.lineWidth = isMobile ? 1 : 2;
     ctx.font = isMobile ? "12px Orbitron" : "14px Orbitron";
@@ -1793,7 +2453,7 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
     // Draw resistance levels
     if (srAnalysis.resistances && srAnalysis.resistances.length > 0) {
         srAnalysis.resistances.slice(0, 3).forEach((level, i) => {
-            const scaledLevel = level.level * scale;
+            const scaledLevel = toCanvasY(level.level);
             ctx.strokeStyle = `rgba(239, 68, 68, ${0.8 - i * 0.2})`;
             ctx.fillStyle = `rgba(239, 68, 68, ${0.9 - i * 0.1})`;
             ctx.textAlign = "left";
@@ -1801,14 +2461,14 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
             ctx.moveTo(0, scaledLevel);
             ctx.lineTo(canvas.width, scaledLevel);
             ctx.stroke();
-            ctx.fillText(`Resistance ${level.touches} touches`, 5, scaledLevel - 5);
+            ctx.fillText(level.source ? `Resistance (${level.source})` : `Resistance ${level.touches} touches`, 5, scaledLevel - 5);
         });
     }
 
     // Draw support levels
     if (srAnalysis.supports && srAnalysis.supports.length > 0) {
         srAnalysis.supports.slice(0, 3).forEach((level, i) => {
-            const scaledLevel = level.level * scale;
+            const scaledLevel = toCanvasY(level.level);
             ctx.strokeStyle = `rgba(34, 197, 94, ${0.8 - i * 0.2})`;
             ctx.fillStyle = `rgba(34, 197, 94, ${0.9 - i * 0.1})`;
             ctx.textAlign = "left";
@@ -1816,7 +2476,7 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
             ctx.moveTo(0, scaledLevel);
             ctx.lineTo(canvas.width, scaledLevel);
             ctx.stroke();
-            ctx.fillText(`Support ${level.touches} touches`, 5, scaledLevel + 15);
+            ctx.fillText(level.source ? `Support (${level.source})` : `Support ${level.touches} touches`, 5, scaledLevel + 15);
         });
     }
 
@@ -1824,9 +2484,9 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
     const donchianData = technicalAnalysis.donchianChannels.allPeriods;
     if (donchianData && donchianData.length > 0) {
         const primary = donchianData[0]; // Use primary period
-        const scaledHighest = primary.highest * scale;
-        const scaledLowest = primary.lowest * scale;
-        const scaledMiddle = primary.middle * scale;
+        const scaledHighest = toCanvasY(primary.highest);
+        const scaledLowest = toCanvasY(primary.lowest);
+        const scaledMiddle = toCanvasY(primary.middle);
 
         // Upper channel
         ctx.strokeStyle = 'rgba(139, 92, 246, 0.6)';
@@ -1862,7 +2522,7 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
         // Draw accumulation zones
         if (liquidityData.accumulationZones && liquidityData.accumulationZones.length > 0) {
             liquidityData.accumulationZones.forEach((zone, i) => {
-                const scaledLevel = zone.level * scale;
+                const scaledLevel = toCanvasY(zone.level);
                 ctx.strokeStyle = `rgba(34, 197, 94, ${0.5 - i * 0.1})`;
                 ctx.fillStyle = `rgba(34, 197, 94, ${0.3 - i * 0.05})`;
                 ctx.beginPath();
@@ -1876,7 +2536,7 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
         // Draw distribution zones
         if (liquidityData.distributionZones && liquidityData.distributionZones.length > 0) {
             liquidityData.distributionZones.forEach((zone, i) => {
-                const scaledLevel = zone.level * scale;
+                const scaledLevel = toCanvasY(zone.level);
                 ctx.strokeStyle = `rgba(239, 68, 68, ${0.5 - i * 0.1})`;
                 ctx.fillStyle = `rgba(239, 68, 68, ${0.3 - i * 0.05})`;
                 ctx.beginPath();
@@ -1888,6 +2548,63 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
         }
     }
 
+    // Shade the Ichimoku cloud first so the structure overlays stay on top
+    const ichimokuData = technicalAnalysis.ichimoku;
+    if (ichimokuData && !ichimokuData.error) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawIchimokuCloud(ctx, ichimokuData, candleAnalysis.candles, toCanvasX, toCanvasY);
+    }
+
+    // Volume profile sideways on the right edge, with the anchored VWAP
+    const volumeProfileData = technicalAnalysis.volumeProfile;
+    if (volumeProfileData && volumeProfileData.available) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawVolumeProfile(ctx, volumeProfileData, candleAnalysis.candles, toCanvasX, toCanvasY, canvas.width);
+    }
+
+    // Draw order blocks and market structure breaks
+    const smartMoneyData = technicalAnalysis.smartMoney;
+    if (smartMoneyData && !smartMoneyData.error) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawSmartMoneyOverlay(ctx, smartMoneyData, candleAnalysis.candles, toCanvasX, toCanvasY, canvas.width);
+    }
+
+    // Outline active chart patterns with their breakout level and target
+    const chartPatternData = technicalAnalysis.chartPatterns;
+    if (chartPatternData && !chartPatternData.error) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawChartPatternOutlines(ctx, chartPatternData, candleAnalysis.candles, toCanvasX, toCanvasY);
+    }
+
+    // Draw Fibonacci retracements and extensions of the dominant leg
+    const fibonacciData = technicalAnalysis.fibonacci;
+    if (fibonacciData && !fibonacciData.error) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawFibonacciLevels(ctx, fibonacciData, candleAnalysis.candles, toCanvasX, toCanvasY, canvas.width);
+    }
+
+    // Draw harmonic XABCD legs and their reversal zones
+    if (candleAnalysis.patterns.some(pattern => pattern.harmonic)) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawHarmonicPatterns(ctx, candleAnalysis.patterns, candleAnalysis.candles, toCanvasX, toCanvasY, canvas.width);
+    }
+
+    // Connect diverging price swings
+    const divergenceData = technicalAnalysis.divergence;
+    if (divergenceData && !divergenceData.error) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawDivergenceLines(ctx, divergenceData, candleAnalysis.candles, toCanvasX, toCanvasY);
+    }
+
+    // Long/short position box with the stop and take-profit levels
+    if (recommendation.tradeLevels) {
+        const toCanvasX = x => x * (canvas.width / chart.width);
+        drawPositionBox(ctx, recommendation.tradeLevels, candleAnalysis.candles, toCanvasX, toCanvasY, canvas.width);
+    }
+
+    // Every scoring strategy's call, so they can be compared on this chart
+    drawStrategyComparison(ctx, chart.strategyComparison, canvas.height);
+
     // Display recommendation with professional formatting
     const recommendationEl = el('recommendation');
     const confidenceEl = el('confidence');
@@ -1906,7 +2623,15 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
 
     // Enhanced strength display with profit targets
     if (strengthEl) {
-        if (recommendation.action !== 'WAIT' && recommendation.profitTarget > 0) {
+        const levels = recommendation.tradeLevels;
+        if (recommendation.action !== 'WAIT' && levels) {
+            strengthEl.innerHTML = `
+                <div>Entry: ${formatPrice(levels.entry)} · Stop: <span style="color: var(--danger-red);">${formatPrice(levels.stop)}</span> (${levels.stopSource}, -${recommendation.riskLevel}%)</div>
+                ${levels.targets.map(target => `
+                    <div>${target.label}: <span style="color: var(--success-green);">${formatPrice(target.price)}</span> (${target.source}, R:R 1:${target.riskReward.toFixed(1)})</div>
+                `).join('')}
+            `;
+        } else if (recommendation.action !== 'WAIT' && recommendation.profitTarget > 0) {
             strengthEl.innerHTML = `
                 <div>Expected Profit: <span style="color: var(--success-green);">${recommendation.profitTarget}%</span></div>
                 <div>Risk Level: <span style="color: var(--danger-red);">${recommendation.riskLevel}%</span></div>
@@ -1944,12 +2669,20 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
         // Add quantitative analysis display if available
         const quantData = technicalAnalysis.quantitative;
         if (quantData && quantData.indicators) {
+            const { macd, stochastic, bollinger, movingAverages } = quantData.indicators;
+            const divergences = technicalAnalysis.divergence && technicalAnalysis.divergence.divergences || [];
             const quantContainer = document.createElement('div');
             quantContainer.className = 'detail-card';
             quantContainer.innerHTML = `
                 <div class="detail-title">Quantitative Indicators</div>
                 <div class="detail-value">
                     RSI: ${quantData.indicators.rsi ? quantData.indicators.rsi.toFixed(1) : 'N/A'}<br>
+                    MACD: ${macd ? `${macd.histogram >= 0 ? '+' : ''}${formatPrice(macd.histogram)}${macd.crossover ? ` (${macd.crossover} cross)` : ''}` : 'N/A'}<br>
+                    Stochastic: ${stochastic ? `${stochastic.k.toFixed(0)}/${stochastic.d.toFixed(0)}` : 'N/A'}<br>
+                    Bollinger %B: ${bollinger ? bollinger.percentB.toFixed(2) : 'N/A'}<br>
+                    EMAs: ${movingAverages ? movingAverages.alignment : 'N/A'}<br>
+                    Divergences: ${divergences.length > 0 ?
+                        divergences.map(d => `${d.type === 'hidden' ? 'hidden ' : ''}${d.direction} ${d.oscillator}`).join(', ') : 'None'}<br>
                     Volatility: ${(quantData.indicators.volatility * 100).toFixed(2)}%<br>
                     Trend: ${quantData.indicators.trendStrength ? (quantData.indicators.trendStrength > 0 ? 'Bullish' : 'Bearish') : 'Neutral'}
                 </div>
@@ -1965,8 +2698,8 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
             trendContainer.innerHTML = `
                 <div class="detail-title">Trend Analysis</div>
                 <div class="detail-value">
-                    ${trendData.ema50 ? `EMA50: ${trendData.ema50.value.toFixed(2)}<br>` : ''}
-                    ${trendData.ema200 ? `EMA200: ${trendData.ema200.value.toFixed(2)}<br>` : ''}
+                    ${trendData.ema50 ? `EMA50: ${formatPrice(trendData.ema50.value)}<br>` : ''}
+                    ${trendData.ema200 ? `EMA200: ${formatPrice(trendData.ema200.value)}<br>` : ''}
                     ${trendData.adx ? `ADX: ${trendData.adx.value.toFixed(1)} (${trendData.adx.value > 25 ? 'Strong' : trendData.adx.value > 20 ? 'Moderate' : 'Weak'})` : 'N/A'}
                 </div>
             `;
@@ -1983,12 +2716,236 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
                 <div class="detail-value">
                     Accumulation Zones: ${liquidityDataDisplay.accumulationZones ? liquidityDataDisplay.accumulationZones.length : 0}<br>
                     Distribution Zones: ${liquidityDataDisplay.distributionZones ? liquidityDataDisplay.distributionZones.length : 0}<br>
-                    Hidden Liquidity: ${liquidityDataDisplay.hiddenLiquidity ? liquidityDataDisplay.hiddenLiquidity.length : 0}
+                    Hidden Liquidity: ${liquidityDataDisplay.hiddenLiquidity ? liquidityDataDisplay.hiddenLiquidity.length : 0}<br>
+                    Sweeps: ${liquidityDataDisplay.sweeps ? liquidityDataDisplay.sweeps.length : 0}<br>
+                    Open FVGs: ${liquidityDataDisplay.fairValueGaps ? liquidityDataDisplay.fairValueGaps.filter(gap => !gap.filled).length : 0}
                 </div>
             `;
             detailsContainer.appendChild(liquidityContainer);
         }
         
+        // Add market structure display if available
+        const smcData = technicalAnalysis.smartMoney;
+        if (smcData && smcData.events) {
+            const lastEvent = smcData.events[smcData.events.length - 1];
+            const smcContainer = document.createElement('div');
+            smcContainer.className = 'detail-card';
+            smcContainer.innerHTML = `
+                <div class="detail-title">Smart Money Concepts</div>
+                <div class="detail-value">
+                    Structure: ${smcData.trend ? (smcData.trend === 'bullish' ? 'Bullish' : 'Bearish') : 'Undefined'}<br>
+                    Last Break: ${lastEvent ? `${lastEvent.type} ${lastEvent.direction} @ ${formatPrice(lastEvent.level)}` : 'None'}<br>
+                    Order Blocks: ${smcData.orderBlocks.filter(b => b.type === 'bullish').length} bullish, ${smcData.orderBlocks.filter(b => b.type === 'bearish').length} bearish<br>
+                    Zone: ${smcData.premiumDiscount ? smcData.premiumDiscount.zone.charAt(0).toUpperCase() + smcData.premiumDiscount.zone.slice(1) : 'N/A'}
+                </div>
+            `;
+            detailsContainer.appendChild(smcContainer);
+        }
+        
+        // Add chart pattern display if available
+        const patternData = technicalAnalysis.chartPatterns;
+        if (patternData && patternData.patterns) {
+            const patternContainer = document.createElement('div');
+            patternContainer.className = 'detail-card';
+            patternContainer.innerHTML = `
+                <div class="detail-title">Chart Patterns</div>
+                <div class="detail-value">
+                    ${patternData.activePatterns.length > 0 ? patternData.activePatterns.map(pattern =>
+                        `${pattern.name}: ${pattern.completion}% (${pattern.status})<br>
+                        Breakout ${formatPrice(pattern.breakoutLevel)} → Target ${formatPrice(pattern.target)}`
+                    ).join('<br>') : 'No active patterns'}<br>
+                    Detected in series: ${patternData.patterns.length}
+                </div>
+            `;
+            detailsContainer.appendChild(patternContainer);
+        }
+        
+        // Add Fibonacci display if available
+        const fibData = technicalAnalysis.fibonacci;
+        if (fibData && fibData.leg) {
+            const confluences = [...fibData.retracements, ...fibData.extensions].filter(level => level.confluence.length > 0);
+            const fibContainer = document.createElement('div');
+            fibContainer.className = 'detail-card';
+            fibContainer.innerHTML = `
+                <div class="detail-title">Fibonacci</div>
+                <div class="detail-value">
+                    Leg: ${fibData.leg.direction === 'up' ? 'Up' : 'Down'} ${formatPrice(fibData.leg.startPrice)} → ${formatPrice(fibData.leg.endPrice)}<br>
+                    Golden Pocket: ${formatPrice(fibData.goldenPocket.low)} - ${formatPrice(fibData.goldenPocket.high)}${fibData.atGoldenPocket ? ' (price inside)' : ''}<br>
+                    Nearest Level: ${fibData.nearestLevel ? `${fibData.nearestLevel.label} @ ${formatPrice(fibData.nearestLevel.price)}` : 'N/A'}<br>
+                    S/R Confluence: ${confluences.length > 0 ? confluences.map(level => level.label).join(', ') : 'None'}
+                </div>
+            `;
+            detailsContainer.appendChild(fibContainer);
+        }
+        
+        // Add Ichimoku display if available
+        const ichimokuInfo = technicalAnalysis.ichimoku;
+        if (ichimokuInfo && ichimokuInfo.kijun !== undefined) {
+            const ichimokuContainer = document.createElement('div');
+            ichimokuContainer.className = 'detail-card';
+            ichimokuContainer.innerHTML = `
+                <div class="detail-title">Ichimoku</div>
+                <div class="detail-value">
+                    Tenkan/Kijun: ${formatPrice(ichimokuInfo.tenkan)} / ${formatPrice(ichimokuInfo.kijun)}<br>
+                    Cloud: ${ichimokuInfo.cloud ? `${formatPrice(ichimokuInfo.cloud.bottom)} - ${formatPrice(ichimokuInfo.cloud.top)} (${ichimokuInfo.cloud.color})` : 'N/A'}<br>
+                    Price: ${ichimokuInfo.pricePosition ? `${ichimokuInfo.pricePosition} cloud` : 'N/A'}<br>
+                    Future Cloud: ${ichimokuInfo.futureCloud || 'N/A'}<br>
+                    Signals: ${ichimokuInfo.signals.length > 0 ? ichimokuInfo.signals.map(s => `${s.name} (${s.direction})`).join(', ') : 'None'}
+                </div>
+            `;
+            detailsContainer.appendChild(ichimokuContainer);
+        }
+        
+        // Add Elliott Wave display if available
+        const waveData = technicalAnalysis.elliottWave;
+        if (waveData && waveData.primary) {
+            const describeCount = count =>
+                `${count.direction === 'bullish' ? 'Bullish' : 'Bearish'} ${count.type === 'impulse' ? 'impulse' : 'ABC'}, ${count.phase} (${(count.score * 100).toFixed(0)}%)`;
+            const broken = waveData.primary.rules.filter(rule => !rule.passed).map(rule => rule.rule);
+            const waveContainer = document.createElement('div');
+            waveContainer.className = 'detail-card';
+            waveContainer.innerHTML = `
+                <div class="detail-title">Elliott Wave (experimental)</div>
+                <div class="detail-value">
+                    Primary: ${describeCount(waveData.primary)}<br>
+                    Next Leg: ${waveData.primary.expectation === 'bullish' ? 'Up' : 'Down'} (if the count holds)<br>
+                    Labels: ${waveData.primary.labels.map(point => `${point.label} ${formatPrice(point.price)}${point.forming ? '*' : ''}`).join(' → ')}<br>
+                    Invalidation: ${formatPrice(waveData.primary.invalidation)}<br>
+                    Guidelines missed: ${broken.length > 0 ? broken.join('; ') : 'None'}<br>
+                    Alternates: ${waveData.alternates.length > 0 ? waveData.alternates.map(count =>
+                        `${describeCount(count)}, invalid at ${formatPrice(count.invalidation)}`).join('<br>') : 'None'}
+                </div>
+            `;
+            detailsContainer.appendChild(waveContainer);
+        }
+        
+        // Add price scale calibration details
+        const priceScale = chart.priceScale;
+        const scaleContainer = document.createElement('div');
+        scaleContainer.className = 'detail-card';
+        scaleContainer.innerHTML = `
+            <div class="detail-title">Price Scale</div>
+            <div class="detail-value">
+                ${priceScale.calibrated ?
+                    `Source: ${priceScale.source.toUpperCase()} (${priceScale.type})<br>
+                    Fit: r² ${priceScale.r2.toFixed(4)}<br>
+                    Visible Range: ${formatPrice(priceScale.toPrice(chart.height))} - ${formatPrice(priceScale.toPrice(0))}` :
+                    'Uncalibrated - levels shown in pixel units'}
+            </div>
+        `;
+        detailsContainer.appendChild(scaleContainer);
+
+        // Add scanned plot area details
+        if (chart.plotArea) {
+            const area = chart.plotArea;
+            const areaContainer = document.createElement('div');
+            areaContainer.className = 'detail-card';
+            areaContainer.innerHTML = `
+                <div class="detail-title">Scanned Area</div>
+                <div class="detail-value">
+                    Plot: ${area.right - area.left}×${area.bottom - area.top}px at (${area.left}, ${area.top})<br>
+                    Price Pane: y ${area.pane.top}–${area.pane.bottom}px<br>
+                    Price Scale: x ≥ ${area.priceScale.left}px<br>
+                    Panes: ${area.panes.length > 0 ? area.panes.map(pane => pane.role).join(', ') : 'N/A'}<br>
+                    Gridlines: ${area.gridlines.horizontal.length} horizontal, ${area.gridlines.vertical.length} vertical<br>
+                    Extraction Confidence: ${(candleAnalysis.candles.reduce((sum, c) => sum + (c.confidence || 0), 0) / Math.max(1, candleAnalysis.candles.length) * 100).toFixed(0)}%<br>
+                    Detection: ${area.source === 'detected' ? 'Automatic' : 'Fixed crop (fallback)'}
+                </div>
+            `;
+            detailsContainer.appendChild(areaContainer);
+        }
+
+        // Add removed overlay details
+        if (chart.overlays) {
+            const overlays = chart.overlays;
+            const overlayContainer = document.createElement('div');
+            overlayContainer.className = 'detail-card';
+            overlayContainer.innerHTML = `
+                <div class="detail-title">Overlays Removed</div>
+                <div class="detail-value">
+                    Lines: ${overlays.lines.length > 0 ? overlays.lines.map(line =>
+                        `<span style="color:${line.color}">■</span> ${line.right - line.left + 1}px`).join(', ') : 'None'}<br>
+                    Text Rows: ${overlays.textRows.length}<br>
+                    Pixels Masked: ${overlays.removedPixels}
+                </div>
+            `;
+            detailsContainer.appendChild(overlayContainer);
+        }
+
+        // Add extracted volume details
+        const lastCandle = candleAnalysis.candles[candleAnalysis.candles.length - 1];
+        if (chart.volumeRegion && lastCandle && lastCandle.volume !== undefined) {
+            const volumes = candleAnalysis.candles.map(c => c.volume);
+            const averageVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+            const volumeContainer = document.createElement('div');
+            volumeContainer.className = 'detail-card';
+            volumeContainer.innerHTML = `
+                <div class="detail-title">Volume</div>
+                <div class="detail-value">
+                    Source: ${{ pane: 'Volume sub-pane', overlay: 'Overlay in price pane', data: 'Imported data' }[chart.volumeRegion.type]}<br>
+                    Last Bar: ${(lastCandle.volume * 100).toFixed(0)}% of max<br>
+                    vs Average: ${averageVolume > 0 ? (lastCandle.volume / averageVolume).toFixed(2) : 'N/A'}x
+                </div>
+            `;
+            detailsContainer.appendChild(volumeContainer);
+        }
+
+        // Add volume profile and VWAP details
+        const profileData = technicalAnalysis.volumeProfile;
+        if (profileData && profileData.available) {
+            const { vwap } = profileData;
+            const profileContainer = document.createElement('div');
+            profileContainer.className = 'detail-card';
+            profileContainer.innerHTML = `
+                <div class="detail-title">Volume Profile</div>
+                <div class="detail-value">
+                    POC: ${formatPrice(profileData.poc)}<br>
+                    Value Area: ${formatPrice(profileData.valueArea.low)} - ${formatPrice(profileData.valueArea.high)}<br>
+                    HVN: ${profileData.highVolumeNodes.length > 0 ? profileData.highVolumeNodes.map(node => formatPrice(node.price)).join(', ') : 'None'}<br>
+                    LVN: ${profileData.lowVolumeNodes.length > 0 ? profileData.lowVolumeNodes.map(node => formatPrice(node.price)).join(', ') : 'None'}<br>
+                    VWAP: ${formatPrice(vwap.value)}${vwap.bands.map(band => `<br>±${band.multiplier}σ: ${formatPrice(band.lower)} - ${formatPrice(band.upper)}`).join('')}
+                </div>
+            `;
+            detailsContainer.appendChild(profileContainer);
+        }
+
+        // Add candle colour profile details
+        if (chart.colorProfile) {
+            const swatches = colors => (colors || [])
+                .map(color => `<span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; background: ${color};"></span>`)
+                .join(' ');
+            const colorContainer = document.createElement('div');
+            colorContainer.className = 'detail-card';
+            colorContainer.innerHTML = `
+                <div class="detail-title">Candle Colours</div>
+                <div class="detail-value">
+                    Profile: ${chart.colorProfile.name}<br>
+                    ${chart.colorProfile.bull ? `Bull: ${swatches(chart.colorProfile.bull)} Bear: ${swatches(chart.colorProfile.bear)}` : 'Green/red ratio rules'}
+                    ${chart.colorProfile.confidence !== undefined ? `<br>Detection Confidence: ${(chart.colorProfile.confidence * 100).toFixed(0)}%` : ''}
+                </div>
+            `;
+            detailsContainer.appendChild(colorContainer);
+        }
+
+        // Side-by-side recommendations of every scoring strategy
+        if (chart.strategyComparison && chart.strategyComparison.length > 0) {
+            const strategyContainer = document.createElement('div');
+            strategyContainer.className = 'detail-card';
+            strategyContainer.innerHTML = `
+                <div class="detail-title">Scoring Strategies</div>
+                <div class="detail-value">
+                    ${chart.strategyComparison.map(entry => {
+                        const r = entry.recommendation;
+                        return `${entry.key === recommendation.strategy ? '▶ ' : ''}${entry.name}: ` +
+                            `<span style="color: ${r.color};">${r.action}</span> ${r.confidence}%` +
+                            (r.action !== 'WAIT' ? ` · TP ${r.profitTarget}% / SL ${r.riskLevel}%` : '') +
+                            ` (${r.scores.buy} / ${r.scores.sell})`;
+                    }).join('<br>')}
+                </div>
+            `;
+            detailsContainer.appendChild(strategyContainer);
+        }
+
         // Add detailed reasoning for the recommendation
         if (recommendation.reasoning && recommendation.reasoning.length > 0) {
             const reasoningContainer = document.createElement('div');
@@ -2007,16 +2964,46 @@ function displayProfessionalResults(recommendation, candleAnalysis, technicalAna
         accuracyContainer.className = 'detail-card';
         let accuracyHTML = '<div class="detail-title">Pattern Accuracy (Learning Model)</div><div class="detail-value">';
         
-        // Show accuracy for top patterns
+        // Show accuracy for top patterns, with this market's symbol and timeframe where they have outcomes
         const topPatterns = candleAnalysis.patterns.slice(0, 3);
+        const breakdown = (label, stats) => stats ? ` · ${label} ${(stats.accuracy * 100).toFixed(0)}% (${stats.correct}/${stats.occurrences})` : '';
         topPatterns.forEach(pattern => {
             const accuracy = analysisDB.getPatternAccuracy(pattern.name);
-            accuracyHTML += `${pattern.name}: ${(accuracy.accuracy * 100).toFixed(1)}% (${accuracy.correct}/${accuracy.occurrences})<br>`;
+            accuracyHTML += `${pattern.name}: ${(accuracy.accuracy * 100).toFixed(1)}% (${accuracy.correct}/${accuracy.occurrences})` +
+                breakdown(chart.symbol, chart.symbol && accuracy.bySymbol[chart.symbol]) +
+                breakdown(chart.timeframe, chart.timeframe && accuracy.byTimeframe[chart.timeframe]) + '<br>';
         });
         
+        const outcomeStats = analysisDB.getOutcomeStats();
+        accuracyHTML += outcomeStats.trades > 0 ?
+            `Outcomes: ${outcomeStats.wins}W / ${outcomeStats.losses}L, P&L ${outcomeStats.totalPnl >= 0 ? '+' : ''}${outcomeStats.totalPnl.toFixed(2)}%` :
+            'Outcomes: none recorded yet';
         accuracyHTML += '</div>';
         accuracyContainer.innerHTML = accuracyHTML;
         detailsContainer.appendChild(accuracyContainer);
+
+        // Open trades for this market, waiting for the user to mark target or stop
+        const openTrades = analysisDB.getHistory(chart.symbol, chart.timeframe)
+            .filter(result => result.trade && !result.outcome)
+            .slice(-config.outcomes.maxOpenTrades)
+            .reverse();
+        if (openTrades.length > 0) {
+            const tradesContainer = document.createElement('div');
+            tradesContainer.className = 'detail-card';
+            tradesContainer.innerHTML = `
+                <div class="detail-title">Trade Outcomes</div>
+                <div class="detail-value">
+                    ${openTrades.map(result => `
+                        <div id="trade-outcome-${result.id}">
+                            ${result.trade.direction} @ ${formatPrice(result.trade.entry)} → TP ${formatPrice(result.trade.target)} / SL ${formatPrice(result.trade.stop)}<br>
+                            <button type="button" class="calibration-button" onclick="recordTradeOutcome(${result.id}, 'target')">Target Hit</button>
+                            <button type="button" class="calibration-button secondary" onclick="recordTradeOutcome(${result.id}, 'stop')">Stop Hit</button>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+            detailsContainer.appendChild(tradesContainer);
+        }
     }
 
     if (config.debug) {
@@ -2056,8 +3043,10 @@ async function performAdvancedAnalysis(file) {
         if (progressFill) progressFill.style.width = '15%';
         if (steps.step1) steps.step1.classList.add('active');
         
-        // Use the new real-time analyzer framework
-        const analysisResult = await realTimeAnalyzer.analyzeChartImage(file);
+        // Use the new real-time analyzer framework; CSV/JSON exports skip image extraction
+        const analysisResult = isOHLCVFile(file) ?
+            await realTimeAnalyzer.analyzeDataFile(file) :
+            await realTimeAnalyzer.analyzeChartImage(file);
         
         // Save result to database for learning
         analysisDB.saveResult(analysisResult);
@@ -2066,19 +3055,7 @@ async function performAdvancedAnalysis(file) {
         const analysisTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
         setTimeout(() => {
-            displayProfessionalResults(
-                analysisResult.recommendation, 
-                analysisResult.analysisResults.candlestick, 
-                {
-                    supportResistance: analysisResult.analysisResults.supportResistance,
-                    donchianChannels: analysisResult.analysisResults.donchian,
-                    quantitative: analysisResult.analysisResults.quantitative,
-                    liquidity: analysisResult.analysisResults.liquidity,
-                    trend: analysisResult.analysisResults.trend
-                }, 
-                analysisTime, 
-                analysisResult.image
-            );
+            showAnalysisResult(analysisResult, analysisTime);
         }, 800);
 
     } catch (error) {
@@ -2090,6 +3067,59 @@ async function performAdvancedAnalysis(file) {
     }
 }
 
+// Display a complete analysis result and remember it as the current chart
+function showAnalysisResult(analysisResult, analysisTime) {
+    resetManualCalibration();
+
+    currentAnalysis = {
+        result: analysisResult,
+        analysisTime: analysisTime
+    };
+
+    displayProfessionalResults(
+        analysisResult.recommendation, 
+        analysisResult.analysisResults.candlestick, 
+        realTimeAnalyzer.getTechnicalAnalysis(analysisResult.analysisResults), 
+        analysisTime, 
+        analysisResult.image,
+        {
+            priceScale: analysisResult.priceScale,
+            colorProfile: analysisResult.colorProfile,
+            plotArea: analysisResult.plotArea,
+            volumeRegion: analysisResult.volumeRegion,
+            overlays: analysisResult.overlays,
+            symbol: analysisResult.symbol,
+            timeframe: analysisResult.timeframe,
+            exchange: analysisResult.exchange,
+            strategyComparison: analysisResult.strategyComparison,
+            width: analysisResult.imageData.width,
+            height: analysisResult.imageData.height
+        }
+    );
+}
+
+// Re-run every module on the current chart with a new price scale
+async function recalibrateCurrentAnalysis(priceScale) {
+    if (!currentAnalysis) return;
+
+    const analysisResult = await realTimeAnalyzer.analyzeWithPriceScale(currentAnalysis.result, priceScale);
+
+    showAnalysisResult(analysisResult, currentAnalysis.analysisTime);
+    cancelResultsCountdown();
+}
+
+// Mark an open trade from the results card; pattern accuracy is rebuilt from the new outcome
+function recordTradeOutcome(id, hit) {
+    const outcome = analysisDB.recordOutcome(id, hit);
+    const row = document.getElementById(`trade-outcome-${id}`);
+    if (outcome && row) {
+        row.textContent = `${hit === 'target' ? 'Target' : 'Stop'} hit: ${formatPrice(outcome.entry)} → ${formatPrice(outcome.exit)} ` +
+            `(${outcome.pnl >= 0 ? '+' : ''}${outcome.pnl.toFixed(2)}%)`;
+    }
+    cancelResultsCountdown();
+}
+
 if (typeof window !== 'undefined') {
     window.performAdvancedAnalysis = performAdvancedAnalysis;
+    window.recordTradeOutcome = recordTradeOutcome;
 }
\ No newline at end of file
@@ -0,0 +1,280 @@
+// Backtester - replays the analysis pipeline bar by bar over imported OHLCV history
+'use strict';
+
+// Price candles straight from records, shaped like the converted candles the modules receive
+function buildBacktestCandles(records) {
+    return records.map((record, i) => computeCandleMetrics({
+        ...record,
+        x_start: i,
+        x_end: i,
+        isGreen: record.close >= record.open,
+        isRed: record.close < record.open,
+        volumeRaw: isFinite(record.volume) ? record.volume : undefined,
+        confidence: 1
+    }));
+}
+
+// The recommendation the live pipeline would have given with only `visible` on the chart. Pattern accuracy and the
+// logistic model learn only from outcomes decided by the last visible bar; an untimed series gets the neutral prior
+async function backtestRecommendation(visible, timeframeMinutes, strategy) {
+    const results = await realTimeAnalyzer.processAllModules(visible, {
+        imageData: null,
+        priceScale: null,
+        timeframeMinutes: timeframeMinutes
+    });
+    const lastTime = visible[visible.length - 1].time;
+    const asOf = Number.isFinite(lastTime) ? lastTime : -Infinity;
+    return generateProfessionalRecommendation(results.candlestick, realTimeAnalyzer.getTechnicalAnalysis(results), strategy, asOf);
+}
+
+// Exit checks run from the bar after entry; a bar touching both levels counts as the stop
+function checkBacktestExit(trade, candle, index, maxHoldBars) {
+    const long = trade.direction === 'BUY';
+    const stopped = long ? candle.low <= trade.stop : candle.high >= trade.stop;
+    const targeted = long ? candle.high >= trade.target : candle.low <= trade.target;
+    if (stopped) return { reason: 'stop', price: trade.stop };
+    if (targeted) return { reason: 'target', price: trade.target };
+    if (index - trade.entryIndex >= maxHoldBars) return { reason: 'timeout', price: candle.close };
+    return null;
+}
+
+// Win rate, expectancy, drawdown, Sharpe and profit factor from the closed trades and the bar-by-bar equity
+function computeBacktestMetrics(trades, equityCurve, timeframeMinutes) {
+    const returns = trades.map(t => t.pnl);
+    const wins = returns.filter(r => r > 0);
+    const losses = returns.filter(r => r <= 0);
+    const grossProfit = wins.reduce((a, b) => a + b, 0);
+    const grossLoss = -losses.reduce((a, b) => a + b, 0);
+
+    let peak = equityCurve.length > 0 ? equityCurve[0].equity : 1,
+        maxDrawdown = 0;
+    equityCurve.forEach(point => {
+        peak = Math.max(peak, point.equity);
+        maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+    });
+
+    // Per-bar equity returns; annualised when the bar interval is known
+    const barReturns = equityCurve.slice(1).map((point, i) => point.equity / equityCurve[i].equity - 1);
+    const mean = barReturns.length > 0 ? barReturns.reduce((a, b) => a + b, 0) / barReturns.length : 0;
+    const std = barReturns.length > 1 ?
+        Math.sqrt(barReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (barReturns.length - 1)) : 0;
+    const annualization = timeframeMinutes ? Math.sqrt(525600 / timeframeMinutes) : 1;
+
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : 1;
+    return {
+        trades: trades.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: trades.length > 0 ? wins.length / trades.length : null,
+        expectancy: trades.length > 0 ? returns.reduce((a, b) => a + b, 0) / trades.length : null,
+        averageWin: wins.length > 0 ? grossProfit / wins.length : null,
+        averageLoss: losses.length > 0 ? -grossLoss / losses.length : null,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+        maxDrawdown: maxDrawdown * 100,
+        sharpe: std > 0 ? mean / std * annualization : null,
+        sharpeAnnualized: !!timeframeMinutes,
+        totalReturn: (finalEquity - 1) * 100
+    };
+}
+
+// Walk the series: each bar without an open trade gets a recommendation from the window ending on it;
+// BUY/SELL opens at that close with profitTarget/riskLevel as take-profit and stop
+async function runBacktest(records, options = {}) {
+    const cfg = { ...config.backtest, strategy: config.recommendation.strategy, ...options };
+    const candles = buildBacktestCandles(records);
+    const timeframe = inferTimeframe(records);
+    const timeframeMinutes = timeframe ? timeframe.minutes : null;
+    if (candles.length <= cfg.warmupBars) {
+        throw new Error(`Need more than ${cfg.warmupBars} candles to backtest (got ${candles.length})`);
+    }
+
+    const trades = [];
+    const equityCurve = [];
+    let equity = 1,
+        open = null;
+
+    const closeTrade = (index, price, reason) => {
+        const direction = open.direction === 'BUY' ? 1 : -1;
+        const pnl = direction * (price - open.entry) / open.entry * 100 - cfg.feePercent;
+        trades.push({ ...open, exitIndex: index, exitTime: candles[index].time, exit: price, exitReason: reason, pnl: pnl });
+        equity *= 1 + pnl / 100 * cfg.positionSize;
+        open = null;
+    };
+
+    // Per-module debug logging on every bar would swamp the console
+    const debug = config.debug;
+    config.debug = false;
+    try {
+        for (let i = cfg.warmupBars - 1; i < candles.length; i++) {
+            if (cfg.shouldStop && cfg.shouldStop()) break;
+            const candle = candles[i];
+
+            if (open) {
+                const exit = checkBacktestExit(open, candle, i, cfg.maxHoldBars);
+                if (exit) closeTrade(i, exit.price, exit.reason);
+            }
+
+            // No entries on the last bar: nothing is left to resolve them
+            if (!open && i < candles.length - 1 && (i - cfg.warmupBars + 1) % cfg.step === 0) {
+                const visible = candles.slice(Math.max(0, i + 1 - cfg.windowBars), i + 1);
+                const recommendation = await backtestRecommendation(visible, timeframeMinutes, cfg.strategy);
+                const plan = AnalysisDatabase.buildTradePlan(recommendation, candle);
+                if (plan) {
+                    open = { ...plan, entryIndex: i, entryTime: candle.time, confidence: recommendation.confidence };
+                }
+            }
+
+            // Mark open trades to market so drawdown sees losses before they are realised
+            const openReturn = open ? (open.direction === 'BUY' ? 1 : -1) * (candle.close - open.entry) / open.entry : 0;
+            equityCurve.push({ index: i, time: candle.time, equity: equity * (1 + openReturn * cfg.positionSize) });
+
+            if (cfg.onProgress) cfg.onProgress(i + 1, candles.length, trades.length);
+            // Let the page repaint between bars
+            if ((i + 1) % cfg.yieldEvery === 0) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (open) {
+            const lastIndex = equityCurve[equityCurve.length - 1].index;
+            closeTrade(lastIndex, candles[lastIndex].close, 'end');
+            equityCurve[equityCurve.length - 1].equity = equity;
+        }
+    } finally {
+        config.debug = debug;
+    }
+
+    const metrics = computeBacktestMetrics(trades, equityCurve, timeframeMinutes);
+    if (config.debug) {
+        console.log(`🧪 BACKTEST: ${metrics.trades} trades, win rate ${metrics.winRate !== null ? (metrics.winRate * 100).toFixed(1) : 'N/A'}%, ` +
+            `return ${metrics.totalReturn.toFixed(2)}%, max DD ${metrics.maxDrawdown.toFixed(2)}%`);
+    }
+
+    return {
+        bars: candles.length,
+        timeframe: timeframe ? timeframe.label : null,
+        trades: trades,
+        equityCurve: equityCurve,
+        metrics: metrics
+    };
+}
+
+// Equity curve with the starting level as a baseline
+function drawEquityCurve(canvas, equityCurve) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width,
+        height = canvas.height;
+    ctx.clearRect(0, 0, width, height);
+    if (equityCurve.length < 2) return;
+
+    const values = equityCurve.map(point => point.equity);
+    const max = Math.max(1, ...values),
+        min = Math.min(1, ...values);
+    const span = max - min || 1;
+    const toX = i => i / (equityCurve.length - 1) * width;
+    const toY = value => height - 4 - (value - min) / span * (height - 8);
+
+    ctx.strokeStyle = 'rgba(160, 160, 160, 0.5)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, toY(1));
+    ctx.lineTo(width, toY(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = values[values.length - 1] >= 1 ? 'rgba(34, 197, 94, 0.9)' : 'rgba(239, 68, 68, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+        if (i === 0) ctx.moveTo(toX(i), toY(value));
+        else ctx.lineTo(toX(i), toY(value));
+    });
+    ctx.stroke();
+}
+
+let backtestRunning = false;
+let backtestStopRequested = false;
+
+function updateBacktestStatus(text) {
+    const status = document.getElementById('backtestStatus');
+    if (status) status.textContent = text;
+}
+
+// Metrics cards and equity curve in the backtest panel
+function showBacktestResults(backtest) {
+    const container = document.getElementById('backtestResults');
+    if (!container) return;
+
+    const m = backtest.metrics;
+    const percent = (value, digits = 2) => value !== null ? `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%` : 'N/A';
+    const exits = ['target', 'stop', 'timeout', 'end'].map(reason =>
+        `${reason}: ${backtest.trades.filter(t => t.exitReason === reason).length}`).join(', ');
+
+    container.innerHTML = `
+        <div class="analysis-details">
+            <div class="detail-card">
+                <div class="detail-title">Performance</div>
+                <div class="detail-value">
+                    Trades: ${m.trades} (${m.wins}W / ${m.losses}L)<br>
+                    Win Rate: ${m.winRate !== null ? (m.winRate * 100).toFixed(1) + '%' : 'N/A'}<br>
+                    Expectancy: ${percent(m.expectancy)} per trade<br>
+                    Total Return: ${percent(m.totalReturn)}
+                </div>
+            </div>
+            <div class="detail-card">
+                <div class="detail-title">Risk</div>
+                <div class="detail-value">
+                    Max Drawdown: ${m.maxDrawdown.toFixed(2)}%<br>
+                    Sharpe${m.sharpeAnnualized ? ' (annualised)' : ' (per bar)'}: ${m.sharpe !== null ? m.sharpe.toFixed(2) : 'N/A'}<br>
+                    Profit Factor: ${m.profitFactor === null ? 'N/A' : m.profitFactor === Infinity ? '∞' : m.profitFactor.toFixed(2)}<br>
+                    Avg Win / Loss: ${percent(m.averageWin)} / ${percent(m.averageLoss)}
+                </div>
+            </div>
+            <div class="detail-card">
+                <div class="detail-title">Exits</div>
+                <div class="detail-value">${exits}</div>
+            </div>
+        </div>
+        <canvas id="backtestEquityCanvas" class="backtest-equity" width="600" height="160"></canvas>
+    `;
+    drawEquityCurve(document.getElementById('backtestEquityCanvas'), backtest.equityCurve);
+}
+
+// Run or stop a backtest of the file chosen in the backtest panel
+async function toggleBacktest() {
+    const button = document.getElementById('backtestButton');
+
+    if (backtestRunning) {
+        backtestStopRequested = true;
+        updateBacktestStatus('Stopping...');
+        return;
+    }
+
+    const file = document.getElementById('backtestFile').files[0];
+    if (!file) {
+        showError('Choose a CSV/JSON file to backtest');
+        return;
+    }
+
+    backtestRunning = true;
+    backtestStopRequested = false;
+    if (button) button.textContent = 'Stop';
+    try {
+        const records = parseOHLCVFile(await file.text(), file.name);
+        const backtest = await runBacktest(records, {
+            shouldStop: () => backtestStopRequested,
+            onProgress: (bar, total, trades) => updateBacktestStatus(`Bar ${bar}/${total}, ${trades} trades`)
+        });
+        showBacktestResults(backtest);
+        updateBacktestStatus(`${backtestStopRequested ? 'Stopped' : 'Done'}: ${backtest.bars} bars${backtest.timeframe ? ` of ${backtest.timeframe}` : ''}, ` +
+            `${recommendationStrategies[config.recommendation.strategy].name} scoring`);
+    } catch (error) {
+        console.error('❌ BACKTEST FAILED:', error);
+        showError(`Backtest error: ${error.message}`);
+        updateBacktestStatus(error.message);
+    } finally {
+        backtestRunning = false;
+        if (button) button.textContent = 'Run';
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.toggleBacktest = toggleBacktest;
+}
@@ -0,0 +1,499 @@
+// Price Axis Calibration - maps chart pixel rows to real prices
+'use strict';
+
+// Pixel-to-price mapping for the vertical chart axis
+class PriceScale {
+    constructor({ type = 'linear', slope, intercept, source = 'ocr', r2 = 1, points = [] }) {
+        this.type = type; // 'linear' or 'log'
+        this.slope = slope;
+        this.intercept = intercept;
+        this.source = source; // 'ocr', 'manual' or 'pixel'
+        this.r2 = r2;
+        this.points = points;
+    }
+
+    // Whether the scale produces real prices rather than inverted pixel rows
+    get calibrated() {
+        return this.source !== 'pixel';
+    }
+
+    toPrice(y) {
+        const value = this.slope * y + this.intercept;
+        return this.type === 'log' ? Math.exp(value) : value;
+    }
+
+    toPixel(price) {
+        const value = this.type === 'log' ? Math.log(price) : price;
+        return (value - this.intercept) / this.slope;
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            slope: this.slope,
+            intercept: this.intercept,
+            source: this.source,
+            r2: this.r2,
+            points: this.points
+        };
+    }
+
+    // Fit a scale through (y, price) pairs, choosing log scale only when it fits clearly better
+    static fromPoints(points, source = 'ocr') {
+        if (points.length < 2) return null;
+
+        const linear = fitLine(points.map(p => p.y), points.map(p => p.price));
+        let best = { type: 'linear', ...linear };
+
+        if (points.length >= 3 && points.every(p => p.price > 0)) {
+            const log = fitLine(points.map(p => p.y), points.map(p => Math.log(p.price)));
+            if (log.r2 > linear.r2 + config.calibration.logScaleMinGain) {
+                best = { type: 'log', ...log };
+            }
+        }
+
+        // Prices must increase towards the top of the image
+        if (!(best.slope < 0)) return null;
+
+        return new PriceScale({
+            type: best.type,
+            slope: best.slope,
+            intercept: best.intercept,
+            source: source,
+            r2: best.r2,
+            points: points
+        });
+    }
+
+    // Fallback scale that keeps "higher on screen = larger value" without real prices
+    static fromPixelHeight(height) {
+        return new PriceScale({
+            type: 'linear',
+            slope: -1,
+            intercept: height,
+            source: 'pixel',
+            r2: 1
+        });
+    }
+}
+
+// Least-squares line fit returning slope, intercept and coefficient of determination
+function fitLine(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let sxx = 0,
+        sxy = 0,
+        syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) ** 2;
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += (ys[i] - meanY) ** 2;
+    }
+
+    const slope = sxx !== 0 ? sxy / sxx : 0;
+    const intercept = meanY - slope * meanX;
+    const r2 = syy !== 0 ? (sxy * sxy) / (sxx * syy) : 1;
+
+    return { slope, intercept, r2 };
+}
+
+// Drop OCR misreads one at a time until every label sits on the fitted line
+function rejectOutlierLabels(points) {
+    const cfg = config.calibration;
+    let kept = points.slice();
+
+    while (kept.length > cfg.minLabels) {
+        const scale = PriceScale.fromPoints(kept);
+        const line = fitLine(kept.map(p => p.y), kept.map(p => p.price));
+        const predict = scale ? y => scale.toPrice(y) : y => line.slope * y + line.intercept;
+        const prices = kept.map(p => p.price);
+        const span = Math.max(...prices) - Math.min(...prices) || 1;
+
+        let worstIndex = -1,
+            worstResidual = 0;
+        kept.forEach((p, i) => {
+            const residual = Math.abs(predict(p.y) - p.price) / span;
+            if (residual > worstResidual) {
+                worstResidual = residual;
+                worstIndex = i;
+            }
+        });
+
+        if (worstResidual <= cfg.maxLabelResidual) break;
+        kept.splice(worstIndex, 1);
+    }
+
+    return kept;
+}
+
+// Parse an axis label such as "1,234.50", "0.00012", "42.5K" or "1 950" into a number
+function parseAxisLabel(text) {
+    let cleaned = String(text).trim()
+        .replace(/[−–]/g, '-')
+        .replace(/[\s']/g, '');
+
+    const suffix = cleaned.match(/([KMB])$/i);
+    const multiplier = suffix ? { K: 1e3, M: 1e6, B: 1e9 }[suffix[1].toUpperCase()] : 1;
+    if (suffix) cleaned = cleaned.slice(0, -1);
+
+    if (cleaned.includes(',') && cleaned.includes('.')) {
+        cleaned = cleaned.replace(/,/g, '');
+    } else if (/^-?\d{1,3}(,\d{3})+$/.test(cleaned)) {
+        cleaned = cleaned.replace(/,/g, '');
+    } else {
+        cleaned = cleaned.replace(',', '.');
+    }
+
+    if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+
+    const value = parseFloat(cleaned) * multiplier;
+    return isFinite(value) ? value : null;
+}
+
+// Lazily load the in-browser OCR engine and keep a single worker around
+let ocrWorkerPromise = null;
+
+function getOCRWorker() {
+    if (ocrWorkerPromise) return ocrWorkerPromise;
+
+    ocrWorkerPromise = new Promise((resolve, reject) => {
+        if (typeof Tesseract !== 'undefined') {
+            resolve(Tesseract);
+            return;
+        }
+        const script = document.createElement('script');
+        script.src = config.calibration.ocrScriptUrl;
+        script.onload = () => resolve(window.Tesseract);
+        script.onerror = () => reject(new Error('OCR engine failed to load'));
+        document.head.appendChild(script);
+    })
+        .then(engine => engine.createWorker(config.calibration.ocrLanguage))
+        .catch(error => {
+            ocrWorkerPromise = null;
+            throw error;
+        });
+
+    return ocrWorkerPromise;
+}
+
+// Run OCR over a canvas and return the recognised words with their bounding boxes
+async function recognizeText(canvas, whitelist = '') {
+    const worker = await getOCRWorker();
+    await worker.setParameters({
+        tessedit_char_whitelist: whitelist
+    });
+    const { data } = await worker.recognize(canvas);
+    return data.words || [];
+}
+
+// Copy a region of the source image into a high-contrast canvas suited for OCR
+function createOCRCanvas(img, region, imageWidth) {
+    const cfg = config.calibration;
+    const sourceScale = (img.naturalWidth || img.width) / imageWidth;
+    const upscale = cfg.ocrUpscale;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(region.width * sourceScale * upscale));
+    canvas.height = Math.max(1, Math.round(region.height * sourceScale * upscale));
+
+    const ctx = canvas.getContext('2d', {
+        willReadFrequently: true
+    });
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(
+        img,
+        region.x * sourceScale, region.y * sourceScale,
+        region.width * sourceScale, region.height * sourceScale,
+        0, 0, canvas.width, canvas.height
+    );
+
+    // Grayscale, and invert dark themes so the OCR always sees dark text on light paper
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = pixels.data;
+    let luminanceSum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const lum = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        data[i] = data[i + 1] = data[i + 2] = lum;
+        luminanceSum += lum;
+    }
+    if (luminanceSum / (data.length / 4) < 128) {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = data[i + 1] = data[i + 2] = 255 - data[i];
+        }
+    }
+    ctx.putImageData(pixels, 0, 0);
+
+    return {
+        canvas,
+        // Converts an OCR y coordinate back to an analysed-image row
+        toImageY: y => region.y + y / (sourceScale * upscale)
+    };
+}
+
+// Locate the right-hand price axis, read its labels and fit a pixel-to-price mapping
+async function calibratePriceAxis(img, imageData, plotArea) {
+    const cfg = config.calibration;
+    const { width, height } = imageData;
+    const axisLeft = plotArea ? plotArea.priceScale.left : Math.round(width * (1 - cfg.axisStripRatio));
+    // Whole pane height, so labels beyond the visible candle range are read too
+    const top = plotArea ? plotArea.pane.top : 0;
+    const bottom = plotArea ? plotArea.pane.bottom : Math.round(height * config.candles.chartAreaRatio);
+    const region = {
+        x: axisLeft,
+        y: top,
+        width: Math.max(1, width - axisLeft),
+        height: bottom - top
+    };
+
+    const { canvas, toImageY } = createOCRCanvas(img, region, width);
+    const words = await recognizeText(canvas, '0123456789.,-KMB');
+
+    const points = words
+        .filter(word => word.confidence >= cfg.minOCRConfidence)
+        .map(word => ({
+            y: toImageY((word.bbox.y0 + word.bbox.y1) / 2),
+            price: parseAxisLabel(word.text),
+            text: word.text
+        }))
+        .filter(p => p.price !== null);
+
+    if (points.length < cfg.minLabels) {
+        if (config.debug) console.log('📏 PRICE AXIS: not enough readable labels', points);
+        return null;
+    }
+
+    const scale = PriceScale.fromPoints(rejectOutlierLabels(points), 'ocr');
+    if (!scale || scale.r2 < cfg.minR2) {
+        if (config.debug) console.log('📏 PRICE AXIS: labels do not form a consistent scale', points);
+        return null;
+    }
+
+    if (config.debug) console.log(`📏 PRICE AXIS CALIBRATED (${scale.type}, r²=${scale.r2.toFixed(4)})`, scale.points);
+    return scale;
+}
+
+// Rewrite pixel-space candles into price units, keeping the original rows for drawing
+function convertCandlesToPrice(candles, priceScale) {
+    return candles.map(candle => computeCandleMetrics({
+        ...candle,
+        pixel: {
+            high: candle.high,
+            low: candle.low,
+            open: candle.open,
+            close: candle.close
+        },
+        high: priceScale.toPrice(candle.high),
+        low: priceScale.toPrice(candle.low),
+        open: priceScale.toPrice(candle.open),
+        close: priceScale.toPrice(candle.close)
+    }));
+}
+
+// Format a price with precision suited to its magnitude
+function formatPrice(price) {
+    if (price === null || price === undefined || !isFinite(price)) return 'N/A';
+    const abs = Math.abs(price);
+    const decimals = abs >= 1000 ? 2 : abs >= 1 ? 4 : abs >= 0.01 ? 6 : 8;
+    return price.toFixed(decimals);
+}
+
+// Key identifying a chart template: same image size and same price pane and scale position,
+// which stay put from one screenshot to the next while the candles inside them move
+function getCalibrationTemplateKey(imageData, plotArea) {
+    const { width, height } = imageData;
+    const area = plotArea ? {
+        top: plotArea.pane.top,
+        bottom: plotArea.pane.bottom,
+        right: plotArea.priceScale.left
+    } : {
+        top: 0,
+        bottom: Math.round(height * config.candles.chartAreaRatio),
+        right: width
+    };
+    return `${width}x${height}|pane:${area.top},${area.bottom},${area.right}`;
+}
+
+// Read all saved manual calibrations from localStorage
+function loadCalibrationTemplates() {
+    try {
+        return JSON.parse(localStorage.getItem('priceCalibrationTemplates')) || {};
+    } catch (e) {
+        console.warn('Could not load calibration templates:', e);
+        return {};
+    }
+}
+
+// Return the saved price scale for this chart template, if any
+function loadCalibrationTemplate(imageData, plotArea) {
+    const saved = loadCalibrationTemplates()[getCalibrationTemplateKey(imageData, plotArea)];
+    return saved ? new PriceScale(saved) : null;
+}
+
+// Remember a manual calibration for screenshots sharing this template
+function saveCalibrationTemplate(imageData, plotArea, priceScale) {
+    try {
+        const templates = loadCalibrationTemplates();
+        templates[getCalibrationTemplateKey(imageData, plotArea)] = priceScale.toJSON();
+        localStorage.setItem('priceCalibrationTemplates', JSON.stringify(templates));
+    } catch (e) {
+        console.warn('Could not save calibration template:', e);
+    }
+}
+
+// Manual two-point calibration state
+let manualCalibration = null;
+
+// Begin collecting two clicked levels on the result canvas
+function startManualCalibration() {
+    if (!currentAnalysis) return;
+
+    cancelResultsCountdown();
+
+    const canvas = document.getElementById('visualAnalysisCanvas');
+    if (!canvas) return;
+
+    manualCalibration = {
+        points: []
+    };
+    canvas.classList.add('calibrating');
+    canvas.onclick = handleCalibrationClick;
+
+    renderCalibrationPanel();
+}
+
+// Record a clicked level, converting canvas coordinates to analysed-image rows
+function handleCalibrationClick(event) {
+    if (!manualCalibration || manualCalibration.points.length >= 2) return;
+
+    const canvas = event.currentTarget;
+    const imageHeight = currentAnalysis.result.imageData.height;
+    const y = event.offsetY * (imageHeight / canvas.clientHeight);
+
+    manualCalibration.points.push({
+        y: y
+    });
+
+    // Mark the chosen level on the canvas
+    const ctx = canvas.getContext('2d');
+    const canvasY = y * (canvas.height / imageHeight);
+    ctx.strokeStyle = 'rgba(249, 115, 22, 0.9)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, canvasY);
+    ctx.lineTo(canvas.width, canvasY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    renderCalibrationPanel();
+}
+
+// Show the hint and price inputs matching the current calibration step
+function renderCalibrationPanel() {
+    const hint = document.getElementById('calibrationHint');
+    const inputs = document.getElementById('calibrationInputs');
+    if (!hint || !inputs) return;
+
+    if (!manualCalibration) {
+        hint.textContent = '';
+        inputs.innerHTML = '';
+        return;
+    }
+
+    const count = manualCalibration.points.length;
+    hint.textContent = count < 2 ?
+        `Click the ${count === 0 ? 'first' : 'second'} horizontal level on the chart` :
+        'Enter the price of each marked level';
+
+    // Preserve prices typed so far when re-rendering
+    const typed = manualCalibration.points.map((p, i) => {
+        const input = document.getElementById(`calibrationPrice${i}`);
+        return input ? input.value : '';
+    });
+
+    inputs.innerHTML = manualCalibration.points.map((p, i) => `
+        <label class="calibration-input">
+            Level ${i + 1} price
+            <input type="text" id="calibrationPrice${i}" inputmode="decimal">
+        </label>
+    `).join('') + `
+        <div class="calibration-actions">
+            ${count === 2 ? '<button type="button" class="calibration-button" onclick="applyManualCalibration()"><i class="fas fa-check"></i> Apply</button>' : ''}
+            <button type="button" class="calibration-button secondary" onclick="cancelManualCalibration()"><i class="fas fa-times"></i> Cancel</button>
+        </div>
+    `;
+
+    // Typed text goes in through the property, never the markup
+    typed.forEach((value, i) => {
+        document.getElementById(`calibrationPrice${i}`).value = value;
+    });
+}
+
+// Fit a scale through the two levels, save it for the template and re-run the analysis
+async function applyManualCalibration() {
+    if (!manualCalibration || manualCalibration.points.length < 2) return;
+
+    const points = manualCalibration.points.map((p, i) => {
+        const input = document.getElementById(`calibrationPrice${i}`);
+        return {
+            y: p.y,
+            price: input ? parseAxisLabel(input.value) : null
+        };
+    });
+
+    if (points.some(p => p.price === null)) {
+        showError('❌ Please enter a valid price for both levels.');
+        return;
+    }
+    if (Math.abs(points[0].y - points[1].y) < 2 || points[0].price === points[1].price) {
+        showError('❌ Pick two clearly separated levels with different prices.');
+        return;
+    }
+
+    const priceScale = PriceScale.fromPoints(points, 'manual');
+    if (!priceScale) {
+        showError('❌ The higher level on the chart must have the higher price.');
+        return;
+    }
+
+    saveCalibrationTemplate(currentAnalysis.result.imageData, currentAnalysis.result.plotArea, priceScale);
+    resetManualCalibration();
+
+    try {
+        await recalibrateCurrentAnalysis(priceScale);
+        showSuccess('✅ Price axis calibrated - analysis updated.');
+    } catch (error) {
+        console.error('❌ RECALIBRATION FAILED:', error);
+        showError(`Analysis Error: ${error.message}`);
+    }
+}
+
+// Abort manual calibration and restore the analysis overlay
+function cancelManualCalibration() {
+    resetManualCalibration();
+    if (currentAnalysis) {
+        showAnalysisResult(currentAnalysis.result, currentAnalysis.analysisTime);
+        cancelResultsCountdown();
+    }
+}
+
+// Clear calibration state and canvas click handling
+function resetManualCalibration() {
+    manualCalibration = null;
+
+    const canvas = document.getElementById('visualAnalysisCanvas');
+    if (canvas) {
+        canvas.classList.remove('calibrating');
+        canvas.onclick = null;
+    }
+
+    renderCalibrationPanel();
+}
+
+if (typeof window !== 'undefined') {
+    window.startManualCalibration = startManualCalibration;
+    window.applyManualCalibration = applyManualCalibration;
+    window.cancelManualCalibration = cancelManualCalibration;
+}
@@ -0,0 +1,150 @@
+// Chart Header - reads the ticker and interval from the top-left legend of TradingView/MT4 screenshots
+'use strict';
+
+// Canonical timeframes, smallest first
+const standardTimeframes = [
+    { label: '1m', minutes: 1 },
+    { label: '3m', minutes: 3 },
+    { label: '5m', minutes: 5 },
+    { label: '15m', minutes: 15 },
+    { label: '30m', minutes: 30 },
+    { label: '1h', minutes: 60 },
+    { label: '2h', minutes: 120 },
+    { label: '4h', minutes: 240 },
+    { label: '1D', minutes: 1440 },
+    { label: '1W', minutes: 10080 },
+    { label: '1M', minutes: 43200 }
+];
+
+// Legend words that look like tickers but are not
+const headerStopWords = new Set(['O', 'H', 'L', 'C', 'VOL', 'VOLUME', 'CHG', 'USD', 'MA', 'EMA', 'SMA', 'RSI', 'MACD', 'BB']);
+
+// Venues printed next to the ticker
+const headerExchanges = new Set(['BINANCE', 'BYBIT', 'COINBASE', 'KRAKEN', 'BITSTAMP', 'OKX', 'BITGET', 'KUCOIN', 'OANDA',
+    'FXCM', 'FOREXCOM', 'PEPPERSTONE', 'CAPITALCOM', 'FX', 'NASDAQ', 'NYSE', 'AMEX', 'CME', 'COMEX', 'TVC']);
+
+// Turn an interval token ("15", "1h", "H4", "D1", "1D", "W", "MN") into a timeframe, or null
+function parseTimeframeToken(token) {
+    const text = token.trim();
+    let match;
+
+    // TradingView plain minutes: "15", "240"
+    if ((match = text.match(/^(\d{1,4})$/))) {
+        const minutes = parseInt(match[1], 10);
+        return minutes <= 1440 ? createTimeframe(minutes) : null;
+    }
+
+    // MT4/MT5 style: "M15", "H1", "D1", "W1", "MN" / "MN1"
+    if ((match = text.match(/^(M|H|D|W)(\d{1,3})$/))) {
+        const unit = { M: 1, H: 60, D: 1440, W: 10080 }[match[1]];
+        return createTimeframe(unit * parseInt(match[2], 10));
+    }
+    if (/^MN1?$/.test(text)) return createTimeframe(43200);
+
+    // Number and unit: "15m", "4h", "1D", "1W"; a capital M after a number is a month
+    if ((match = text.match(/^(\d{0,3})\s*(s|m|min|h|hr|H|d|D|w|W|M)$/))) {
+        const count = match[1] ? parseInt(match[1], 10) : 1;
+        const unit = { m: 1, min: 1, h: 60, hr: 60, H: 60, d: 1440, D: 1440, w: 10080, W: 10080, M: 43200 }[match[2]];
+        return unit ? createTimeframe(count * unit) : null;
+    }
+
+    return null;
+}
+
+// Timeframe object with a canonical label
+function createTimeframe(minutes) {
+    if (!minutes || minutes <= 0) return null;
+    const standard = standardTimeframes.find(tf => tf.minutes === minutes);
+    if (standard) return { ...standard };
+
+    const label = minutes % 1440 === 0 ? `${minutes / 1440}D` :
+        minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+    return { label, minutes };
+}
+
+// Extract symbol, timeframe and exchange from the recognised header text
+function parseChartHeader(text) {
+    const cleaned = text.replace(/[|•·]/g, ',').replace(/\s+/g, ' ').trim();
+    const tokens = cleaned.split(/[,\s]+/).filter(Boolean);
+    let symbol = null,
+        timeframe = null,
+        exchange = null;
+
+    tokens.forEach((token, i) => {
+        // "BINANCE:BTCUSDT" carries both exchange and ticker
+        const prefixed = token.match(/^([A-Z]{2,15}):([A-Z0-9.!]{2,15})$/);
+        if (prefixed && !symbol) {
+            exchange = prefixed[1];
+            symbol = prefixed[2];
+            return;
+        }
+
+        // "BTC/USDT" or "EUR/USD"
+        const pair = token.match(/^([A-Z0-9]{2,10})\/([A-Z0-9]{2,10})$/);
+        if (pair && !symbol) {
+            symbol = pair[1] + pair[2];
+            return;
+        }
+
+        if (headerExchanges.has(token.toUpperCase())) {
+            exchange = exchange || token.toUpperCase();
+            return;
+        }
+
+        if (!timeframe && i > 0) {
+            const parsed = parseTimeframeToken(token);
+            if (parsed) {
+                timeframe = parsed;
+                return;
+            }
+        }
+
+        if (!symbol && /^[A-Z][A-Z0-9.!]{1,14}$/.test(token) && !headerStopWords.has(token) &&
+            !parseTimeframeToken(token)) {
+            symbol = token;
+        }
+    });
+
+    if (!symbol && !timeframe) return null;
+    return {
+        symbol,
+        timeframe: timeframe ? timeframe.label : null,
+        timeframeMinutes: timeframe ? timeframe.minutes : null,
+        exchange,
+        text: cleaned
+    };
+}
+
+// OCR the header strip above the candles and parse it
+async function readChartHeader(img, imageData) {
+    const cfg = config.header;
+    const region = {
+        x: 0,
+        y: 0,
+        width: Math.round(imageData.width * cfg.regionWidthRatio),
+        height: Math.max(1, Math.round(imageData.height * cfg.regionHeightRatio))
+    };
+
+    const { canvas } = createOCRCanvas(img, region, imageData.width);
+    const words = await recognizeText(canvas);
+
+    // Keep the first text line only; indicator legends follow underneath
+    const readable = words.filter(word => word.confidence >= cfg.minOCRConfidence);
+    if (readable.length === 0) return null;
+    const firstLineBottom = Math.min(...readable.map(word => word.bbox.y1));
+    const firstLine = readable
+        .filter(word => word.bbox.y0 < firstLineBottom)
+        .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+
+    const header = parseChartHeader(firstLine.map(word => word.text).join(' '));
+    if (config.debug) console.log('🏷️ CHART HEADER:', header);
+    return header;
+}
+
+// Standard timeframes above the chart's own, as candle-count multipliers
+function getHigherTimeframes(minutes, count, minMultiplier = 2) {
+    return standardTimeframes
+        .filter(tf => tf.minutes % minutes === 0 && tf.minutes / minutes >= minMultiplier)
+        .slice(0, count)
+        .map(tf => ({ ...tf, multiplier: tf.minutes / minutes }));
+}
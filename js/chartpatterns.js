@@ -0,0 +1,430 @@
+// Chart Patterns - multi-bar geometric formations (triangles, wedges, flags, head-and-shoulders, double/triple tops, channels)
+'use strict';
+
+// Alternating high/low pivots; consecutive pivots of one side collapse to the more extreme
+function buildPivotSequence(candles, lookback, findSwings = findSwingPoints) {
+    const swings = findSwings(candles, lookback);
+    const pivots = [
+        ...swings.highs.map(s => ({ ...s, type: 'high' })),
+        ...swings.lows.map(s => ({ ...s, type: 'low' }))
+    ].sort((a, b) => a.index - b.index);
+
+    return pivots.reduce((sequence, pivot) => {
+        const last = sequence[sequence.length - 1];
+        if (last && last.type === pivot.type) {
+            const moreExtreme = pivot.type === 'high' ? pivot.price > last.price : pivot.price < last.price;
+            if (moreExtreme) sequence[sequence.length - 1] = pivot;
+        } else {
+            sequence.push(pivot);
+        }
+        return sequence;
+    }, []);
+}
+
+// Least-squares line through {index, price} points
+function fitPatternLine(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.index, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.price, 0) / n;
+    let sxy = 0,
+        sxx = 0,
+        syy = 0;
+    points.forEach(p => {
+        sxy += (p.index - meanX) * (p.price - meanY);
+        sxx += (p.index - meanX) ** 2;
+        syy += (p.price - meanY) ** 2;
+    });
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    return {
+        slope: slope,
+        intercept: meanY - slope * meanX,
+        // A flat line through equal points is a perfect fit
+        r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+    };
+}
+
+function patternLineAt(line, index) {
+    return line.slope * index + line.intercept;
+}
+
+// Double tops/bottoms: two equal extremes either side of a meaningful pullback
+function detectDoublePattern(pivots, priceRange) {
+    const cfg = config.chartPatterns;
+    const [first, middle, second] = pivots;
+    if (first.type !== second.type) return null;
+
+    const isTop = first.type === 'high';
+    const depth = isTop ? Math.max(first.price, second.price) - middle.price : middle.price - Math.min(first.price, second.price);
+    if (Math.abs(first.price - second.price) > priceRange * cfg.equalTolerance || depth < priceRange * cfg.minDepth) return null;
+
+    const extreme = isTop ? Math.max(first.price, second.price) : Math.min(first.price, second.price);
+    return {
+        name: isTop ? 'Double Top' : 'Double Bottom',
+        scoreKey: isTop ? 'doubleTop' : 'doubleBottom',
+        type: 'reversal',
+        direction: isTop ? 'bearish' : 'bullish',
+        pivots: pivots,
+        breakoutAt: () => middle.price,
+        invalidation: extreme,
+        height: depth,
+        quality: 1 - Math.abs(first.price - second.price) / (priceRange * cfg.equalTolerance) * 0.5,
+        outline: [pivots.map(p => ({ index: p.index, price: p.price }))]
+    };
+}
+
+// Triple tops/bottoms and head-and-shoulders share the five-pivot shape; the middle extreme decides which
+function detectFivePivotPattern(pivots, priceRange) {
+    const cfg = config.chartPatterns;
+    const [left, trough1, middle, trough2, right] = pivots;
+    if (left.type !== middle.type || middle.type !== right.type) return null;
+
+    const isTop = left.type === 'high';
+    const sign = isTop ? 1 : -1;
+    const tolerance = priceRange * cfg.equalTolerance;
+    const necklineLine = fitPatternLine([trough1, trough2]);
+    const necklineAtMiddle = patternLineAt(necklineLine, middle.index);
+    const height = sign * (middle.price - necklineAtMiddle);
+    if (height < priceRange * cfg.minDepth) return null;
+
+    const shouldersEqual = Math.abs(left.price - right.price) <= tolerance * 1.5;
+    const headProminence = isTop ?
+        middle.price - Math.max(left.price, right.price) :
+        Math.min(left.price, right.price) - middle.price;
+
+    let name, scoreKey, quality, breakoutAt;
+    if (shouldersEqual && headProminence > tolerance) {
+        name = isTop ? 'Head and Shoulders' : 'Inverse Head and Shoulders';
+        scoreKey = isTop ? 'headAndShoulders' : 'inverseHeadAndShoulders';
+        quality = 1 - Math.abs(left.price - right.price) / (tolerance * 1.5) * 0.4;
+        breakoutAt = index => patternLineAt(necklineLine, index);
+    } else if ([left, middle, right].every(p => Math.abs(p.price - middle.price) <= tolerance)) {
+        name = isTop ? 'Triple Top' : 'Triple Bottom';
+        scoreKey = isTop ? 'tripleTop' : 'tripleBottom';
+        quality = 1 - (Math.max(left.price, middle.price, right.price) - Math.min(left.price, middle.price, right.price)) / tolerance * 0.4;
+        const neckline = isTop ? Math.min(trough1.price, trough2.price) : Math.max(trough1.price, trough2.price);
+        breakoutAt = () => neckline;
+    } else {
+        return null;
+    }
+
+    return {
+        name: name,
+        scoreKey: scoreKey,
+        type: 'reversal',
+        direction: isTop ? 'bearish' : 'bullish',
+        pivots: pivots,
+        breakoutAt: breakoutAt,
+        invalidation: isTop ? Math.max(left.price, middle.price, right.price) : Math.min(left.price, middle.price, right.price),
+        height: height,
+        quality: quality,
+        outline: [pivots.map(p => ({ index: p.index, price: p.price }))]
+    };
+}
+
+// Triangles, wedges and channels from trendlines fitted to the window's highs and lows
+function detectTrendlinePattern(pivots, candles, priceRange) {
+    const cfg = config.chartPatterns;
+    const highs = pivots.filter(p => p.type === 'high');
+    const lows = pivots.filter(p => p.type === 'low');
+    if (highs.length < 2 || lows.length < 2) return null;
+
+    const upper = fitPatternLine(highs);
+    const lower = fitPatternLine(lows);
+    if (upper.r2 < cfg.minLineFit || lower.r2 < cfg.minLineFit) return null;
+
+    const start = pivots[0].index,
+        end = pivots[pivots.length - 1].index;
+    const bars = end - start;
+    const startHeight = patternLineAt(upper, start) - patternLineAt(lower, start);
+    const endHeight = patternLineAt(upper, end) - patternLineAt(lower, end);
+    if (startHeight <= 0 || endHeight <= 0) return null;
+
+    // Slopes as a share of the visible range per pattern length
+    const upperSlope = upper.slope * bars / priceRange;
+    const lowerSlope = lower.slope * bars / priceRange;
+    const flat = slope => Math.abs(slope) < cfg.flatSlope;
+    const converging = endHeight < startHeight * (1 - cfg.parallelTolerance);
+    const parallel = !converging && endHeight < startHeight * (1 + cfg.parallelTolerance);
+
+    // Trend into the pattern, for direction-neutral shapes
+    const before = candles[Math.max(0, start - bars)];
+    const priorTrend = before && before.close < candles[start].close ? 'bullish' : 'bearish';
+
+    let name, scoreKey, direction, type;
+    if (converging && flat(upperSlope) && lowerSlope > 0) {
+        [name, scoreKey, direction, type] = ['Ascending Triangle', 'ascendingTriangle', 'bullish', 'continuation'];
+    } else if (converging && flat(lowerSlope) && upperSlope < 0) {
+        [name, scoreKey, direction, type] = ['Descending Triangle', 'descendingTriangle', 'bearish', 'continuation'];
+    } else if (converging && upperSlope < 0 && lowerSlope > 0) {
+        [name, scoreKey, direction, type] = ['Symmetrical Triangle', 'symmetricalTriangle', priorTrend, 'continuation'];
+    } else if (converging && upperSlope > 0 && lowerSlope > 0 && !flat(upperSlope)) {
+        [name, scoreKey, direction, type] = ['Rising Wedge', 'risingWedge', 'bearish', 'reversal'];
+    } else if (converging && upperSlope < 0 && lowerSlope < 0 && !flat(lowerSlope)) {
+        [name, scoreKey, direction, type] = ['Falling Wedge', 'fallingWedge', 'bullish', 'reversal'];
+    } else if (parallel && flat(upperSlope) && flat(lowerSlope)) {
+        [name, scoreKey, direction, type] = ['Horizontal Channel', 'horizontalChannel', priorTrend, 'continuation'];
+    } else if (parallel && upperSlope > 0 && lowerSlope > 0) {
+        [name, scoreKey, direction, type] = ['Ascending Channel', 'ascendingChannel', 'bullish', 'continuation'];
+    } else if (parallel && upperSlope < 0 && lowerSlope < 0) {
+        [name, scoreKey, direction, type] = ['Descending Channel', 'descendingChannel', 'bearish', 'continuation'];
+    } else {
+        return null;
+    }
+
+    const bullish = direction === 'bullish';
+    // Converging lines meet at the apex; the pattern is due to resolve before it
+    const apex = converging && upper.slope !== lower.slope ?
+        (lower.intercept - upper.intercept) / (upper.slope - lower.slope) : null;
+
+    return {
+        name: name,
+        scoreKey: scoreKey,
+        type: type,
+        direction: direction,
+        pivots: pivots,
+        breakoutAt: index => patternLineAt(bullish ? upper : lower, index),
+        invalidationAt: index => patternLineAt(bullish ? lower : upper, index),
+        height: startHeight,
+        apex: apex,
+        quality: Math.min(1, (upper.r2 + lower.r2) / 2 * (0.7 + pivots.length * 0.05)),
+        outline: [
+            [{ index: start, price: patternLineAt(upper, start) }, { index: end, price: patternLineAt(upper, end) }],
+            [{ index: start, price: patternLineAt(lower, start) }, { index: end, price: patternLineAt(lower, end) }]
+        ]
+    };
+}
+
+// A sharp pole followed by a shallow counter-trend consolidation near the end of the series
+function detectFlagPattern(candles, priceRange) {
+    const cfg = config.chartPatterns;
+    const len = candles.length;
+    const patterns = [];
+
+    ['bullish', 'bearish'].forEach(direction => {
+        const bullish = direction === 'bullish';
+        const searchFrom = Math.max(cfg.poleMaxBars, len - cfg.flagMaxBars - 1);
+        const searchTo = len - cfg.flagMinBars - 1;
+        if (searchTo < searchFrom) return;
+
+        // Pole tip: the extreme before the consolidation
+        let tip = searchFrom;
+        for (let i = searchFrom; i <= searchTo; i++) {
+            if (bullish ? candles[i].high > candles[tip].high : candles[i].low < candles[tip].low) tip = i;
+        }
+
+        let base = tip;
+        for (let i = tip - 1; i >= Math.max(0, tip - cfg.poleMaxBars); i--) {
+            if (bullish ? candles[i].low < candles[base].low : candles[i].high > candles[base].high) base = i;
+        }
+        const tipPrice = bullish ? candles[tip].high : candles[tip].low;
+        const basePrice = bullish ? candles[base].low : candles[base].high;
+        const pole = Math.abs(tipPrice - basePrice);
+        if (base === tip || pole < priceRange * cfg.poleMinMove) return;
+
+        const consolidation = candles.slice(tip + 1);
+        if (consolidation.length < cfg.flagMinBars) return;
+        const retrace = bullish ?
+            tipPrice - Math.min(...consolidation.map(c => c.low)) :
+            Math.max(...consolidation.map(c => c.high)) - tipPrice;
+        if (retrace > pole * cfg.flagMaxRetrace) return;
+
+        const upper = fitPatternLine(consolidation.map((c, i) => ({ index: tip + 1 + i, price: c.high })));
+        const lower = fitPatternLine(consolidation.map((c, i) => ({ index: tip + 1 + i, price: c.low })));
+        const start = tip + 1,
+            end = len - 1;
+        const startHeight = patternLineAt(upper, start) - patternLineAt(lower, start);
+        const endHeight = patternLineAt(upper, end) - patternLineAt(lower, end);
+        const isPennant = endHeight < startHeight * (1 - cfg.parallelTolerance);
+
+        patterns.push({
+            name: `${bullish ? 'Bull' : 'Bear'} ${isPennant ? 'Pennant' : 'Flag'}`,
+            scoreKey: isPennant ? 'pennant' : 'flag',
+            type: 'continuation',
+            direction: direction,
+            pivots: [{ index: base, price: basePrice }, { index: tip, price: tipPrice }],
+            breakoutAt: index => patternLineAt(bullish ? upper : lower, index),
+            invalidation: basePrice,
+            height: pole,
+            poleBars: tip - base,
+            quality: Math.min(1, pole / (priceRange * cfg.poleMinMove) * 0.5 + (1 - retrace / pole) * 0.5),
+            outline: [
+                [{ index: base, price: basePrice }, { index: tip, price: tipPrice }],
+                [{ index: start, price: patternLineAt(upper, start) }, { index: end, price: patternLineAt(upper, end) }],
+                [{ index: start, price: patternLineAt(lower, start) }, { index: end, price: patternLineAt(lower, end) }]
+            ]
+        });
+    });
+
+    return patterns;
+}
+
+// Follow price after the formation: breakout, failure, measured-move target and completion
+function resolvePatternStatus(pattern, candles) {
+    const bullish = pattern.direction === 'bullish';
+    const formedAt = pattern.pivots[pattern.pivots.length - 1].index;
+    const last = candles.length - 1;
+    let status = 'forming',
+        breakoutIndex = null;
+
+    for (let i = formedAt + 1; i <= last; i++) {
+        const close = candles[i].close;
+        const level = pattern.breakoutAt(i);
+        const invalidation = pattern.invalidationAt ? pattern.invalidationAt(i) : pattern.invalidation;
+        if (bullish ? close > level : close < level) {
+            status = 'confirmed';
+            breakoutIndex = i;
+            break;
+        }
+        if (bullish ? close < invalidation : close > invalidation) {
+            status = 'failed';
+            breakoutIndex = i;
+            break;
+        }
+    }
+
+    const levelIndex = breakoutIndex !== null ? breakoutIndex : last;
+    const breakoutLevel = pattern.breakoutAt(levelIndex);
+    const target = breakoutLevel + (bullish ? pattern.height : -pattern.height);
+    const current = candles[last].close;
+
+    let completion;
+    if (status !== 'forming') {
+        completion = 100;
+    } else if (pattern.apex !== null && pattern.apex !== undefined && pattern.apex > pattern.pivots[0].index) {
+        completion = (last - pattern.pivots[0].index) / (pattern.apex - pattern.pivots[0].index) * 100;
+    } else if (pattern.poleBars) {
+        completion = (last - formedAt) / pattern.poleBars * 100;
+    } else {
+        // Reversals: how far price has travelled from the last extreme toward the breakout level
+        const from = pattern.pivots[pattern.pivots.length - 1].price;
+        completion = from !== breakoutLevel ? (from - current) / (from - breakoutLevel) * 100 : 0;
+    }
+    completion = status === 'forming' ? Math.max(0, Math.min(95, completion)) : completion;
+
+    const { breakoutAt, invalidationAt, invalidation, pivots, ...rest } = pattern;
+    return {
+        ...rest,
+        signal: status === 'failed' ? 'HOLD' : bullish ? 'BUY' : 'SELL',
+        status: status,
+        startIndex: pivots[0].index,
+        endIndex: breakoutIndex !== null ? breakoutIndex : formedAt,
+        breakoutIndex: breakoutIndex,
+        breakoutLevel: breakoutLevel,
+        target: target,
+        completion: Math.round(completion),
+        strength: Math.min(1, pattern.quality * (status === 'confirmed' ? 1 : 0.5 + completion / 200)),
+        points: pivots.map(p => ({ index: p.index, price: p.price }))
+    };
+}
+
+function detectChartPatterns(candles, priceRange) {
+    const cfg = config.chartPatterns;
+    const empty = { signal: 'HOLD', strength: 0, patterns: [], activePatterns: [] };
+    if (candles.length < cfg.pivotLookback * 2 + 10) return empty;
+
+    const pivots = buildPivotSequence(candles, cfg.pivotLookback);
+    const found = [];
+
+    for (let i = 0; i < pivots.length; i++) {
+        if (i + 3 <= pivots.length) found.push(detectDoublePattern(pivots.slice(i, i + 3), priceRange));
+        if (i + 5 <= pivots.length) found.push(detectFivePivotPattern(pivots.slice(i, i + 5), priceRange));
+        for (let size = cfg.minPivots; size <= cfg.maxWindowPivots && i + size <= pivots.length; size++) {
+            found.push(detectTrendlinePattern(pivots.slice(i, i + size), candles, priceRange));
+        }
+    }
+    found.push(...detectFlagPattern(candles, priceRange));
+
+    // Pivot-shaped reversals first, then larger formations and better fits. A pattern mostly covered by a kept
+    // pattern of the same family is a duplicate; one almost entirely covered by any kept pattern is a re-reading
+    const family = p => p.type === 'reversal' && p.outline.length === 1 ? `reversal-${p.direction}` : p.scoreKey;
+    const resolved = found
+        .filter(Boolean)
+        .map(pattern => ({ ...resolvePatternStatus(pattern, candles), family: family(pattern) }))
+        .sort((a, b) => (b.family.startsWith('reversal') - a.family.startsWith('reversal')) ||
+            b.points.length - a.points.length || b.quality - a.quality);
+
+    const patterns = [];
+    resolved.forEach(pattern => {
+        const overlaps = patterns.some(kept => {
+            const shared = Math.min(kept.endIndex, pattern.endIndex) - Math.max(kept.startIndex, pattern.startIndex);
+            const limit = kept.family === pattern.family ? 0.5 : cfg.crossPatternOverlap;
+            return shared > (pattern.endIndex - pattern.startIndex) * limit;
+        });
+        if (!overlaps) patterns.push(pattern);
+    });
+    patterns.sort((a, b) => b.endIndex - a.endIndex);
+
+    // Only live formations near the right edge steer the recommendation
+    const recentFrom = candles.length - 1 - cfg.recentBars;
+    const activePatterns = patterns
+        .filter(p => p.signal !== 'HOLD' && p.endIndex >= recentFrom)
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, cfg.maxActive);
+
+    let buyScore = 0,
+        sellScore = 0;
+    activePatterns.forEach(p => {
+        if (p.signal === 'BUY') buyScore += p.strength;
+        else sellScore += p.strength;
+    });
+    const net = buyScore - sellScore;
+    const signal = Math.abs(net) >= cfg.minSignalScore ? (net > 0 ? 'BUY' : 'SELL') : 'HOLD';
+
+    if (config.debug) {
+        console.log(`📐 CHART PATTERNS: ${patterns.length} found, active: ${activePatterns.map(p => `${p.name} ${p.completion}%`).join(', ') || 'none'}`);
+    }
+
+    return {
+        signal: signal,
+        strength: signal === 'HOLD' ? 0 : Math.min(1, Math.abs(net)),
+        patterns: patterns,
+        activePatterns: activePatterns
+    };
+}
+
+// Pattern outlines, breakout level and target on the visual analysis canvas
+function drawChartPatternOutlines(ctx, chartPatterns, candles, toCanvasX, toCanvasY) {
+    if (!chartPatterns || !chartPatterns.activePatterns) return;
+
+    const xAt = index => {
+        const candle = candles[Math.max(0, Math.min(candles.length - 1, Math.round(index)))];
+        return candle ? toCanvasX((candle.x_start + candle.x_end) / 2) : 0;
+    };
+
+    chartPatterns.activePatterns.forEach(pattern => {
+        const color = pattern.signal === 'BUY' ? '45, 212, 191' : '244, 114, 182';
+        ctx.strokeStyle = `rgba(${color}, 0.9)`;
+        ctx.lineWidth = 2;
+        pattern.outline.forEach(line => {
+            ctx.beginPath();
+            line.forEach((point, i) => {
+                const x = xAt(point.index),
+                    y = toCanvasY(point.price);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+
+        // Breakout level to the right edge, and the measured-move target
+        const endX = xAt(pattern.endIndex);
+        const rightX = xAt(candles.length - 1);
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(endX, toCanvasY(pattern.breakoutLevel));
+        ctx.lineTo(rightX, toCanvasY(pattern.breakoutLevel));
+        ctx.moveTo(rightX, toCanvasY(pattern.breakoutLevel));
+        ctx.lineTo(rightX, toCanvasY(pattern.target));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = `rgba(${color}, 1)`;
+        ctx.textAlign = 'left';
+        const labelY = toCanvasY(Math.max(...pattern.outline.flat().map(p => p.price)));
+        ctx.fillText(`${pattern.name} ${pattern.completion}%`, xAt(pattern.startIndex), labelY - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(`Target ${formatPrice(pattern.target)}`, rightX - 4, toCanvasY(pattern.target));
+        ctx.textAlign = 'left';
+    });
+}
@@ -0,0 +1,259 @@
+// Candle Colour Profiles - named chart themes plus automatic bull/bear colour detection
+'use strict';
+
+const colorProfilePresets = {
+    classic: {
+        name: 'Classic Green/Red',
+        isBull: (r, g, b) => g > r * 1.2 && g > b * 1.2 && g > 80,
+        isBear: (r, g, b) => r > g * 1.2 && r > b * 1.2 && r > 80
+    },
+    tradingViewDark: {
+        name: 'TradingView Dark',
+        bull: ['#26a69a', '#089981'],
+        bear: ['#ef5350', '#f23645'],
+        background: '#131722'
+    },
+    tradingViewLight: {
+        name: 'TradingView Light',
+        bull: ['#26a69a', '#089981'],
+        bear: ['#ef5350', '#f23645'],
+        background: '#ffffff'
+    },
+    mt4Classic: {
+        name: 'MT4 Classic',
+        bull: ['#00ff00'],
+        bear: ['#ffffff'],
+        background: '#000000',
+        hollow: true // Bull bodies are drawn as lime outlines on black
+    },
+    binance: {
+        name: 'Binance',
+        bull: ['#0ecb81', '#2ebd85'],
+        bear: ['#f6465d', '#e0294a'],
+        background: '#181a20'
+    },
+    hollowCandles: {
+        name: 'Hollow Candles',
+        bull: ['#26a69a', '#089981'],
+        bear: ['#ef5350', '#f23645'],
+        hollow: true
+    }
+};
+
+// Convert "#rrggbb" to an [r, g, b] triple
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Convert an [r, g, b] triple to "#rrggbb"
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+function colorDistance(a, b) {
+    return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+// Hue in degrees (0-360) of an [r, g, b] triple
+function colorHue(rgb) {
+    const [r, g, b] = rgb.map(c => c / 255);
+    const max = Math.max(r, g, b),
+        min = Math.min(r, g, b);
+    const delta = max - min;
+    if (delta === 0) return 0;
+
+    let hue;
+    if (max === r) hue = ((g - b) / delta) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+
+    return (hue * 60 + 360) % 360;
+}
+
+function colorChroma(rgb) {
+    return Math.max(...rgb) - Math.min(...rgb);
+}
+
+function colorLuminance(rgb) {
+    return 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+}
+
+// Build fast bull/bear pixel tests for a profile
+function createColorMatcher(profile) {
+    if (profile.isBull && profile.isBear) {
+        return {
+            name: profile.name,
+            hollow: !!profile.hollow,
+            isBull: profile.isBull,
+            isBear: profile.isBear
+        };
+    }
+
+    const tolerance = config.candles.colorTolerance;
+    const toleranceSq = tolerance * tolerance;
+    const bull = profile.bull.map(hexToRgb);
+    const bear = profile.bear.map(hexToRgb);
+    const matches = (colors, r, g, b) => colors.some(c =>
+        (r - c[0]) * (r - c[0]) + (g - c[1]) * (g - c[1]) + (b - c[2]) * (b - c[2]) <= toleranceSq
+    );
+
+    return {
+        name: profile.name,
+        hollow: !!profile.hollow,
+        isBull: (r, g, b) => matches(bull, r, g, b),
+        isBear: (r, g, b) => matches(bear, r, g, b)
+    };
+}
+
+// Cluster the dominant colours of a region into background and colour groups
+function clusterRegionColors(imageData, region) {
+    const { data: pixels, width } = imageData;
+    const area = (region.right - region.left) * (region.bottom - region.top);
+    const step = Math.max(1, Math.floor(Math.sqrt(area / 60000)));
+    const bins = new Map();
+    let samples = 0;
+
+    // Histogram over 4-bit-per-channel bins, keeping the mean colour of each bin
+    for (let y = region.top; y < region.bottom; y += step) {
+        for (let x = region.left; x < region.right; x += step) {
+            const i = (y * width + x) * 4;
+            const r = pixels[i],
+                g = pixels[i + 1],
+                b = pixels[i + 2];
+            const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bin.count++;
+            bin.r += r;
+            bin.g += g;
+            bin.b += b;
+            bins.set(key, bin);
+            samples++;
+        }
+    }
+
+    const colors = Array.from(bins.values())
+        .map(bin => ({
+            rgb: [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count],
+            count: bin.count
+        }))
+        .sort((a, b) => b.count - a.count);
+
+    const background = colors[0].rgb;
+
+    // Greedily merge neighbouring bins (anti-aliasing shades) into clusters
+    const clusters = [];
+    colors.slice(1).forEach(color => {
+        if (colorDistance(color.rgb, background) < 60) return;
+        const cluster = clusters.find(c => colorDistance(c.rgb, color.rgb) < 40);
+        if (cluster) {
+            cluster.count += color.count;
+        } else {
+            clusters.push({ rgb: color.rgb, count: color.count });
+        }
+    });
+
+    return {
+        background,
+        samples,
+        clusters: clusters
+            .filter(c => c.count / samples >= config.candles.autoDetectMinShare)
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+// Pick bull and bear colours from the plot area's dominant non-background colours
+function detectColorProfile(imageData, region) {
+    const { background, samples, clusters } = clusterRegionColors(imageData, region);
+    if (clusters.length < 2) return null;
+
+    const chromatic = clusters.filter(c => colorChroma(c.rgb) > 40);
+    let bull, bear;
+
+    if (chromatic.length >= 2) {
+        // Two strongest colours with clearly different hues
+        const first = chromatic[0];
+        const second = chromatic.slice(1).find(c => {
+            const hueGap = Math.abs(colorHue(c.rgb) - colorHue(first.rgb));
+            return Math.min(hueGap, 360 - hueGap) > 60;
+        });
+        if (!second) return null;
+
+        // Green/teal/blue hues read as bullish; otherwise the greener colour wins
+        const isBullHue = rgb => colorHue(rgb) >= 60 && colorHue(rgb) <= 260;
+        const greenness = rgb => rgb[1] - rgb[0];
+        if (isBullHue(first.rgb) !== isBullHue(second.rgb)) {
+            [bull, bear] = isBullHue(first.rgb) ? [first, second] : [second, first];
+        } else {
+            [bull, bear] = greenness(first.rgb) >= greenness(second.rgb) ? [first, second] : [second, first];
+        }
+    } else {
+        // Grayscale chart: the lighter candles are bullish
+        const first = clusters[0];
+        const second = clusters.slice(1).find(c => colorDistance(c.rgb, first.rgb) > 80);
+        if (!second) return null;
+        [bull, bear] = colorLuminance(first.rgb) >= colorLuminance(second.rgb) ? [first, second] : [second, first];
+    }
+
+    return {
+        name: 'Auto-detected',
+        bull: [rgbToHex(bull.rgb)],
+        bear: [rgbToHex(bear.rgb)],
+        background: rgbToHex(background),
+        confidence: Math.min(1, (bull.count + bear.count) / samples * 10)
+    };
+}
+
+// Resolve the configured profile, running auto-detection when requested
+function resolveColorProfile(imageData, region) {
+    const selected = config.candles.colorProfile;
+
+    if (selected !== 'auto') {
+        return colorProfilePresets[selected] || colorProfilePresets.classic;
+    }
+
+    const detected = detectColorProfile(imageData, region);
+    if (detected) {
+        if (config.debug) console.log('🎨 CANDLE COLOURS DETECTED:', detected);
+        return detected;
+    }
+
+    if (config.debug) console.log('🎨 CANDLE COLOURS: auto-detect inconclusive, using classic profile');
+    return colorProfilePresets.classic;
+}
+
+// Fill the profile selector and restore the saved choice
+function initializeColorProfileSelector() {
+    const select = document.getElementById('colorProfileSelect');
+    if (!select) return;
+
+    try {
+        const saved = localStorage.getItem('candleColorProfile');
+        if (saved && (saved === 'auto' || colorProfilePresets[saved])) {
+            config.candles.colorProfile = saved;
+        }
+    } catch (e) {
+        console.warn('Could not load colour profile:', e);
+    }
+
+    select.innerHTML = '<option value="auto">Auto-detect</option>' +
+        Object.entries(colorProfilePresets)
+            .map(([key, profile]) => `<option value="${key}">${profile.name}</option>`)
+            .join('');
+    select.value = config.candles.colorProfile;
+}
+
+// Persist a profile chosen in the UI
+function setColorProfile(key) {
+    config.candles.colorProfile = key;
+    try {
+        localStorage.setItem('candleColorProfile', key);
+    } catch (e) {
+        console.warn('Could not save colour profile:', e);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.setColorProfile = setColorProfile;
+    document.addEventListener('DOMContentLoaded', initializeColorProfileSelector);
+}
@@ -0,0 +1,290 @@
+// OHLCV Data Import - CSV/JSON candle files analysed through the same pipeline as chart images
+'use strict';
+
+// Header names used by common exchange and charting exports, matched case-insensitively
+const ohlcvColumnAliases = {
+    time: ['time', 'timestamp', 'date', 'datetime', 'date/time', 'open time', 'open_time', 'opentime', 't', 'unix', 'gmt time', 'local time'],
+    open: ['open', 'o', 'open price', 'openprice'],
+    high: ['high', 'h', 'high price', 'highprice', 'max'],
+    low: ['low', 'l', 'low price', 'lowprice', 'min'],
+    close: ['close', 'c', 'close price', 'closeprice', 'last', 'price'],
+    volume: ['volume', 'vol', 'v', 'volume btc', 'volume usdt', 'volume usd', 'base volume', 'tick volume', 'tickvol', 'volumefrom']
+};
+
+// Headerless rows follow the Binance/Bybit kline layout: time, open, high, low, close, volume
+const ohlcvPositionalLayout = { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+// Whether an uploaded file should go through data import instead of image analysis
+function isOHLCVFile(file) {
+    const name = (file.name || '').toLowerCase();
+    return ['text/csv', 'application/json', 'application/vnd.ms-excel'].includes(file.type) ||
+        /\.(csv|json|txt)$/.test(name);
+}
+
+// Split CSV text into rows of fields, honouring quotes and detecting , ; or tab delimiters
+function parseCSV(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        lines[0].split(candidate).length > lines[0].split(best).length ? candidate : best, ',');
+
+    return lines.map(line => {
+        const fields = [];
+        let field = '',
+            quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (char === delimiter && !quoted) {
+                fields.push(field.trim());
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    });
+}
+
+// Map each OHLCV field to a column index (or object key), applying the configured overrides first
+function resolveColumnMapping(headers) {
+    const overrides = config.dataImport.columnMapping || {};
+    const normalized = headers.map(header => String(header).trim().toLowerCase().replace(/[_\-]+/g, ' '));
+    const mapping = {};
+
+    Object.keys(ohlcvColumnAliases).forEach(field => {
+        const override = overrides[field];
+        if (override !== undefined && override !== null) {
+            const index = typeof override === 'number' ? override :
+                normalized.indexOf(String(override).trim().toLowerCase().replace(/[_\-]+/g, ' '));
+            if (index >= 0) {
+                mapping[field] = index;
+                return;
+            }
+        }
+        const aliasIndex = ohlcvColumnAliases[field]
+            .map(alias => normalized.indexOf(alias))
+            .find(index => index >= 0);
+        if (aliasIndex !== undefined) mapping[field] = aliasIndex;
+    });
+
+    const missing = ['open', 'high', 'low', 'close'].filter(field => mapping[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Missing OHLC columns: ${missing.join(', ')} (found: ${headers.join(', ')})`);
+    }
+    return mapping;
+}
+
+// Epoch milliseconds from a unix timestamp (s or ms) or a date string
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const numeric = Number(value);
+    if (isFinite(numeric)) return numeric < 1e11 ? numeric * 1000 : numeric;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return NaN;
+    // Decimal comma, as written by European spreadsheet exports
+    if (/^-?\d+,\d+$/.test(String(value).trim())) return parseFloat(String(value).replace(',', '.'));
+    return parseFloat(String(value).replace(/[\s,](?=\d{3}\b)/g, '').replace(/[^\d.eE+\-]/g, ''));
+}
+
+// Rows (arrays) to raw OHLCV records using a column mapping
+function rowsToRecords(rows, mapping) {
+    return rows.map(row => ({
+        time: mapping.time !== undefined ? parseTimestamp(row[mapping.time]) : null,
+        open: parseNumber(row[mapping.open]),
+        high: parseNumber(row[mapping.high]),
+        low: parseNumber(row[mapping.low]),
+        close: parseNumber(row[mapping.close]),
+        volume: mapping.volume !== undefined ? parseNumber(row[mapping.volume]) : NaN
+    }));
+}
+
+// Accept arrays of objects, arrays of kline arrays, wrapped arrays and columnar {t, o, h, l, c, v} layouts
+function parseOHLCVJSON(data) {
+    if (!Array.isArray(data) && data && typeof data === 'object') {
+        // Columnar layout used by TradingView UDF and similar chart APIs
+        if (Array.isArray(data.o) && Array.isArray(data.c)) {
+            return data.c.map((_, i) => ({
+                time: data.t ? parseTimestamp(data.t[i]) : null,
+                open: parseNumber(data.o[i]),
+                high: parseNumber(data.h[i]),
+                low: parseNumber(data.l[i]),
+                close: parseNumber(data.c[i]),
+                volume: data.v ? parseNumber(data.v[i]) : NaN
+            }));
+        }
+        const wrapped = ['data', 'candles', 'klines', 'result', 'values', 'bars']
+            .map(key => data[key])
+            .find(value => Array.isArray(value) || (value && typeof value === 'object'));
+        if (wrapped) return parseOHLCVJSON(Array.isArray(wrapped) ? wrapped : Object.values(wrapped).find(Array.isArray) || []);
+        throw new Error('JSON file does not contain a candle array');
+    }
+
+    if (data.length === 0) return [];
+    if (Array.isArray(data[0])) return rowsToRecords(data, { ...ohlcvPositionalLayout, ...numericOverrides() });
+
+    const keys = Object.keys(data[0]);
+    const mapping = resolveColumnMapping(keys);
+    return rowsToRecords(data.map(item => keys.map(key => item[key])), mapping);
+}
+
+// Positional overrides from the configured column mapping (numbers only)
+function numericOverrides() {
+    const overrides = config.dataImport.columnMapping || {};
+    return Object.fromEntries(Object.entries(overrides).filter(([, value]) => typeof value === 'number'));
+}
+
+function parseOHLCVCSV(text) {
+    const rows = parseCSV(text);
+    if (rows.length === 0) throw new Error('CSV file is empty');
+
+    // A header row has at least one non-numeric OHLC cell
+    const hasHeader = rows[0].some(cell => cell !== '' && isNaN(Number(cell)) && isNaN(Date.parse(cell)));
+    if (!hasHeader) return rowsToRecords(rows, { ...ohlcvPositionalLayout, ...numericOverrides() });
+
+    return rowsToRecords(rows.slice(1), resolveColumnMapping(rows[0]));
+}
+
+// Finite, positive OHLC; anything else would poison every indicator downstream
+function isValidOHLCRecord(record) {
+    return [record.open, record.high, record.low, record.close].every(v => isFinite(v) && v > 0);
+}
+
+// Widen a row whose high/low do not enclose open/close
+function repairOHLCRecord(record) {
+    record.high = Math.max(record.high, record.open, record.close);
+    record.low = Math.min(record.low, record.open, record.close);
+    return record;
+}
+
+// Parse file text into validated, time-ordered OHLCV records
+function parseOHLCVFile(text, fileName = '') {
+    const trimmed = text.trim();
+    const isJSON = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+    const records = isJSON ? parseOHLCVJSON(JSON.parse(trimmed)) : parseOHLCVCSV(trimmed);
+
+    const valid = records.filter(isValidOHLCRecord);
+    if (valid.length === 0) throw new Error('No valid OHLC rows found in file');
+    valid.forEach(repairOHLCRecord);
+
+    // Exports are often newest-first; rows without timestamps keep file order
+    if (valid.every(r => r.time !== null)) valid.sort((a, b) => a.time - b.time);
+
+    return valid.slice(-config.dataImport.maxCandles);
+}
+
+// Candle interval from the median spacing of timestamps
+function inferTimeframe(records) {
+    const times = records.map(r => r.time).filter(t => t !== null);
+    if (times.length < 3) return null;
+    const gaps = times.slice(1).map((t, i) => t - times[i]).filter(gap => gap > 0).sort((a, b) => a - b);
+    if (gaps.length === 0) return null;
+    return createTimeframe(Math.round(gaps[Math.floor(gaps.length / 2)] / 60000));
+}
+
+// Draw the records as a candlestick chart and build the matching price scale and pixel candles
+function renderImportedChart(records) {
+    const cfg = config.dataImport;
+    const hasVolume = records.some(r => isFinite(r.volume) && r.volume > 0);
+    const width = cfg.chartWidth,
+        height = cfg.chartHeight;
+    const axisWidth = 70,
+        padding = 20;
+    const plotBottom = hasVolume ? Math.round(height * 0.75) : height - padding;
+    const volumeTop = plotBottom + padding;
+
+    const highest = Math.max(...records.map(r => r.high));
+    const lowest = Math.min(...records.map(r => r.low));
+    const slope = (lowest - highest) / (plotBottom - padding || 1);
+    const priceScale = new PriceScale({
+        type: 'linear',
+        slope: slope,
+        intercept: highest - slope * padding,
+        source: 'data',
+        r2: 1
+    });
+
+    const slot = (width - axisWidth - padding) / records.length;
+    const bodyWidth = Math.max(1, Math.floor(slot * 0.7));
+    const maxVolume = hasVolume ? Math.max(...records.map(r => r.volume || 0)) : 0;
+    const background = colorProfilePresets.tradingViewDark.background;
+    const bullColor = colorProfilePresets.tradingViewDark.bull[0];
+    const bearColor = colorProfilePresets.tradingViewDark.bear[0];
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', {
+        willReadFrequently: true
+    });
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+
+    const pixelCandles = records.map((record, i) => {
+        const x_start = Math.round(padding / 2 + i * slot);
+        const x_end = x_start + bodyWidth - 1;
+        const midX = x_start + Math.floor(bodyWidth / 2);
+        const isGreen = record.close >= record.open;
+        const y = price => Math.round(priceScale.toPixel(price));
+
+        ctx.fillStyle = isGreen ? bullColor : bearColor;
+        ctx.fillRect(midX, y(record.high), 1, y(record.low) - y(record.high) + 1);
+        const bodyTop = y(Math.max(record.open, record.close));
+        ctx.fillRect(x_start, bodyTop, bodyWidth, Math.max(1, y(Math.min(record.open, record.close)) - bodyTop));
+
+        const candle = {
+            x_start,
+            x_end,
+            isGreen,
+            isRed: !isGreen,
+            time: record.time,
+            high: priceScale.toPixel(record.high),
+            low: priceScale.toPixel(record.low),
+            open: priceScale.toPixel(record.open),
+            close: priceScale.toPixel(record.close),
+            confidence: 1
+        };
+
+        if (hasVolume) {
+            const volume = isFinite(record.volume) ? record.volume : 0;
+            candle.volume = maxVolume > 0 ? volume / maxVolume : 0;
+            candle.volumeRaw = volume;
+            const barHeight = Math.round(candle.volume * (height - volumeTop));
+            ctx.globalAlpha = 0.5;
+            ctx.fillRect(x_start, height - barHeight, bodyWidth, barHeight);
+            ctx.globalAlpha = 1;
+        }
+
+        return candle;
+    });
+
+    // Price labels on the right-hand axis
+    ctx.fillStyle = '#b2b5be';
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 5; i++) {
+        const y = padding + (plotBottom - padding) * i / 5;
+        ctx.fillText(formatPrice(priceScale.toPrice(y)), width - axisWidth + 5, y);
+    }
+
+    return {
+        canvas,
+        imageData: ctx.getImageData(0, 0, width, height),
+        priceScale,
+        pixelCandles,
+        hasVolume
+    };
+}
@@ -0,0 +1,451 @@
+// Market Data Sources - pluggable history + streaming candle feeds driving live re-analysis
+'use strict';
+
+// Base adapter: history on request, then candle updates ({time, open, high, low, close, volume}) pushed to listeners.
+// Subclasses implement connect(), disconnect() and fetchHistory(limit) and call emitCandle() for each update;
+// after resuming a dropped stream they call emitHistory() with fresh history covering the gap.
+class MarketDataSource {
+    constructor(name) {
+        this.name = name;
+        this.symbol = null;
+        this.timeframe = null;
+        this.candleListeners = new Set();
+        this.historyListeners = new Set();
+        this.statusListeners = new Set();
+    }
+
+    async connect() {}
+
+    disconnect() {}
+
+    async fetchHistory(limit) {
+        throw new Error(`${this.name} does not provide candle history (limit ${limit})`);
+    }
+
+    // Register a listener for (candle, closed) updates; returns an unsubscribe function
+    onCandle(listener) {
+        this.candleListeners.add(listener);
+        return () => this.candleListeners.delete(listener);
+    }
+
+    // Register a listener for candle history re-sent after a reconnect
+    onHistory(listener) {
+        this.historyListeners.add(listener);
+        return () => this.historyListeners.delete(listener);
+    }
+
+    // Register a listener for connection status text
+    onStatus(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    emitCandle(candle, closed) {
+        this.candleListeners.forEach(listener => listener(candle, closed));
+    }
+
+    emitHistory(candles) {
+        this.historyListeners.forEach(listener => listener(candles));
+    }
+
+    emitStatus(status) {
+        this.statusListeners.forEach(listener => listener(status));
+    }
+}
+
+// Replays OHLCV records: the first historySize rows are history, the rest stream in as forming then closed candles
+class FileReplaySource extends MarketDataSource {
+    constructor(records, options = {}) {
+        super('File replay');
+        const cfg = config.liveData;
+        this.records = records;
+        this.historySize = options.historySize || Math.min(cfg.historyLimit, Math.floor(records.length / 2));
+        this.intervalMs = options.intervalMs || cfg.replayIntervalMs;
+        this.ticksPerCandle = options.ticksPerCandle || cfg.ticksPerCandle;
+        this.symbol = options.symbol || null;
+        this.timer = null;
+    }
+
+    async connect() {
+        this.emitStatus(`Replaying ${this.records.length - this.historySize} candles`);
+    }
+
+    // Streaming begins once the history has been handed over
+    async fetchHistory(limit) {
+        const history = this.records.slice(0, this.historySize).slice(-limit);
+        this.start();
+        return history;
+    }
+
+    // Stream each remaining record in ticks that gradually reveal its range
+    start() {
+        let index = this.historySize,
+            tick = 0;
+
+        this.timer = setInterval(() => {
+            if (index >= this.records.length) {
+                this.disconnect();
+                this.emitStatus('Replay finished');
+                return;
+            }
+
+            const record = this.records[index];
+            tick++;
+            const closed = tick >= this.ticksPerCandle;
+            const progress = tick / this.ticksPerCandle;
+            const close = closed ? record.close : record.open + (record.close - record.open) * progress;
+
+            this.emitCandle({
+                time: record.time,
+                open: record.open,
+                high: closed ? record.high : Math.max(record.open, close, record.open + (record.high - record.open) * progress),
+                low: closed ? record.low : Math.min(record.open, close, record.open - (record.open - record.low) * progress),
+                close: close,
+                volume: isFinite(record.volume) ? record.volume * (closed ? 1 : progress) : record.volume
+            }, closed);
+
+            if (closed) {
+                index++;
+                tick = 0;
+            }
+        }, this.intervalMs / this.ticksPerCandle);
+    }
+
+    disconnect() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// WebSocket feed speaking the JSON protocol of tools/mock-ws-server.js:
+// client sends {type: 'subscribe', symbol, timeframe} and {type: 'history', limit};
+// server sends {type: 'history', symbol, timeframe, candles}, {type: 'candle', candle, closed} and {type: 'error', message}
+class WebSocketSource extends MarketDataSource {
+    constructor(url, options = {}) {
+        super('WebSocket');
+        this.url = url;
+        this.symbol = options.symbol || null;
+        this.timeframe = options.timeframe || null;
+        this.socket = null;
+        this.pendingHistory = null;
+        this.historyLimit = null;
+        this.closedByUser = false;
+        this.reconnectTimer = null;
+    }
+
+    connect() {
+        this.closedByUser = false;
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.emitStatus(`Connected to ${this.url}`);
+                this.send({ type: 'subscribe', symbol: this.symbol, timeframe: this.timeframe });
+                // The server streams only after a history request, which also backfills what was missed
+                if (this.historyLimit !== null) {
+                    this.fetchHistory(this.historyLimit)
+                        .then(candles => this.emitHistory(candles))
+                        .catch(error => this.emitStatus(error.message));
+                }
+                resolve();
+            };
+
+            socket.onerror = () => reject(new Error(`Could not connect to ${this.url}`));
+
+            socket.onmessage = event => this.handleMessage(event.data);
+
+            socket.onclose = () => {
+                this.socket = null;
+                if (this.closedByUser) return;
+                this.emitStatus('Disconnected, reconnecting...');
+                this.reconnectTimer = setTimeout(() => {
+                    this.connect().catch(error => this.emitStatus(error.message));
+                }, config.liveData.reconnectDelayMs);
+            };
+        });
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            console.warn('⚠️ Ignoring malformed feed message:', raw);
+            return;
+        }
+
+        if (message.type === 'history' && this.pendingHistory) {
+            // Feed text is untrusted: keep only a ticker and interval that pass the chart-header token checks
+            const header = typeof message.symbol === 'string' ? parseChartHeader(message.symbol.toUpperCase()) : null;
+            const timeframe = typeof message.timeframe === 'string' ? parseTimeframeToken(message.timeframe) : null;
+            this.symbol = (header && header.symbol) || this.symbol;
+            this.timeframe = timeframe ? timeframe.label : this.timeframe;
+            this.pendingHistory.resolve(message.candles || []);
+            this.pendingHistory = null;
+        } else if (message.type === 'candle' && message.candle) {
+            this.emitCandle(message.candle, !!message.closed);
+        } else if (message.type === 'error') {
+            this.emitStatus(`Feed error: ${message.message}`);
+        }
+    }
+
+    fetchHistory(limit) {
+        this.historyLimit = limit;
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pendingHistory = null;
+                reject(new Error('Timed out waiting for candle history'));
+            }, config.liveData.historyTimeoutMs);
+
+            this.pendingHistory = {
+                resolve: candles => {
+                    clearTimeout(timeout);
+                    resolve(candles);
+                }
+            };
+            this.send({ type: 'history', limit });
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    disconnect() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+}
+
+// Keeps a rolling candle window from a source and re-runs the analysis on every closed candle
+class LiveAnalysisSession {
+    constructor(source, market = {}) {
+        this.source = source;
+        this.market = market;
+        this.candles = [];
+        this.forming = null;
+        this.lastAction = null;
+        this.running = false;
+        this.pending = false;
+        this.unsubscribe = [];
+    }
+
+    async start() {
+        this.unsubscribe.push(this.source.onStatus(status => updateLiveFeedStatus(status)));
+        await this.source.connect();
+
+        this.candles = normalizeFeedCandles(await this.source.fetchHistory(config.liveData.historyLimit));
+
+        // Feeds announce their market with the history; explicit settings win
+        const timeframe = this.source.timeframe ? parseTimeframeToken(this.source.timeframe) : null;
+        this.market = {
+            symbol: this.market.symbol || this.source.symbol,
+            timeframe: this.market.timeframe || (timeframe ? timeframe.label : null),
+            timeframeMinutes: this.market.timeframeMinutes || (timeframe ? timeframe.minutes : null),
+            source: 'live'
+        };
+        this.unsubscribe.push(this.source.onCandle((candle, closed) => this.handleCandle(candle, closed)));
+        this.unsubscribe.push(this.source.onHistory(candles => this.handleHistory(candles)));
+
+        if (config.debug) console.log(`📡 LIVE FEED STARTED (${this.source.name}): ${this.candles.length} history candles`);
+        await this.analyze();
+    }
+
+    // Forming candles only update the status line; a closed candle joins the window and triggers analysis
+    handleCandle(raw, closed) {
+        const [candle] = normalizeFeedCandles([raw]);
+        if (!candle) {
+            console.warn('⚠️ Ignoring malformed feed candle:', raw);
+            return;
+        }
+        if (!closed) {
+            this.forming = candle;
+            updateLiveFeedStatus(`${this.source.name}: forming candle ${formatPrice(candle.close)}`);
+            return;
+        }
+
+        this.forming = null;
+        const last = this.candles[this.candles.length - 1];
+        if (last && Number.isFinite(candle.time) && last.time === candle.time) {
+            this.candles[this.candles.length - 1] = candle;
+        } else {
+            this.candles.push(candle);
+        }
+        this.trimCandles();
+
+        this.analyze();
+    }
+
+    // History re-sent after a reconnect: the feed's candles replace ours at the same time and fill the gap.
+    // Without timestamps on every candle the two cannot be lined up, so the fresh history replaces the window
+    handleHistory(history) {
+        const candles = normalizeFeedCandles(history);
+        if (candles.length === 0) return;
+
+        const timed = [...this.candles, ...candles].every(candle => Number.isFinite(candle.time));
+        if (timed) {
+            const byTime = new Map(this.candles.map(candle => [candle.time, candle]));
+            candles.forEach(candle => byTime.set(candle.time, candle));
+            this.candles = [...byTime.values()].sort((a, b) => a.time - b.time);
+        } else {
+            this.candles = candles;
+        }
+        this.forming = null;
+        this.trimCandles();
+
+        if (config.debug) console.log(`📡 LIVE FEED RESYNCED (${this.source.name}): ${candles.length} history candles ${timed ? 'merged' : 'replaced the window'}`);
+        this.analyze();
+    }
+
+    trimCandles() {
+        if (this.candles.length > config.liveData.maxCandles) {
+            this.candles.splice(0, this.candles.length - config.liveData.maxCandles);
+        }
+    }
+
+    // Serialise analyses; a candle closing mid-analysis queues one more run
+    async analyze() {
+        if (this.running) {
+            this.pending = true;
+            return;
+        }
+        if (this.candles.length === 0) return;
+
+        this.running = true;
+        try {
+            const startTime = Date.now();
+            const result = await realTimeAnalyzer.analyzeRecords(this.candles, this.market);
+
+            // A new BUY/SELL call is a trade to track; later candles resolve it through analyzeRecords
+            const { action } = result.recommendation;
+            if (action !== this.lastAction && (action === 'BUY' || action === 'SELL')) analysisDB.saveResult(result);
+            this.lastAction = action;
+
+            showAnalysisResult(result, ((Date.now() - startTime) / 1000).toFixed(2));
+            cancelResultsCountdown();
+            updateLiveFeedStatus(`${this.source.name}: ${this.candles.length} candles, last close ${formatPrice(this.candles[this.candles.length - 1].close)} → ${result.recommendation.action}`);
+        } catch (error) {
+            console.error('❌ LIVE ANALYSIS FAILED:', error);
+            updateLiveFeedStatus(`Analysis error: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            await this.analyze();
+        }
+    }
+
+    stop() {
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+        this.source.disconnect();
+    }
+}
+
+// Feed candles as parseOHLCVFile records: malformed ones dropped, high/low repaired, time-ordered when timed
+function normalizeFeedCandles(candles) {
+    const records = (Array.isArray(candles) ? candles : [])
+        .filter(candle => candle && typeof candle === 'object')
+        .map(normalizeFeedCandle)
+        .filter(isValidOHLCRecord)
+        .map(repairOHLCRecord);
+    if (records.every(record => Number.isFinite(record.time))) records.sort((a, b) => a.time - b.time);
+    return records;
+}
+
+// Coerce a feed candle into the record shape produced by parseOHLCVFile
+function normalizeFeedCandle(candle) {
+    return {
+        time: parseTimestamp(candle.time),
+        open: parseNumber(candle.open),
+        high: parseNumber(candle.high),
+        low: parseNumber(candle.low),
+        close: parseNumber(candle.close),
+        volume: candle.volume !== undefined ? parseNumber(candle.volume) : NaN
+    };
+}
+
+let liveSession = null;
+
+function updateLiveFeedStatus(text) {
+    const status = document.getElementById('liveFeedStatus');
+    if (status) status.textContent = text;
+}
+
+// Show the input that belongs to the chosen source type
+function updateLiveFeedInputs() {
+    const type = document.getElementById('liveSourceSelect').value;
+    document.getElementById('liveReplayFile').style.display = type === 'replay' ? '' : 'none';
+    document.getElementById('liveWebSocketUrl').style.display = type === 'websocket' ? '' : 'none';
+}
+
+// Build the selected source from the live feed panel
+async function createLiveSource() {
+    const type = document.getElementById('liveSourceSelect').value;
+
+    if (type === 'websocket') {
+        const url = document.getElementById('liveWebSocketUrl').value.trim() || config.liveData.websocketUrl;
+        return { source: new WebSocketSource(url), market: {} };
+    }
+
+    const file = document.getElementById('liveReplayFile').files[0];
+    if (!file) throw new Error('Choose a CSV/JSON file to replay');
+    const records = parseOHLCVFile(await file.text(), file.name);
+    const header = parseChartHeader(file.name.replace(/\.[^.]+$/, '').replace(/[-_.]+/g, ' ').toUpperCase());
+    const timeframe = inferTimeframe(records);
+    return {
+        source: new FileReplaySource(records, { symbol: header ? header.symbol : null }),
+        market: {
+            symbol: header ? header.symbol : null,
+            timeframe: timeframe ? timeframe.label : null,
+            timeframeMinutes: timeframe ? timeframe.minutes : null
+        }
+    };
+}
+
+// Start or stop the live feed from the panel button
+async function toggleLiveFeed() {
+    const button = document.getElementById('liveFeedButton');
+
+    if (liveSession) {
+        liveSession.stop();
+        liveSession = null;
+        if (button) button.textContent = 'Start';
+        updateLiveFeedStatus('Stopped');
+        resetAnalyzer();
+        return;
+    }
+
+    try {
+        const { source, market } = await createLiveSource();
+        liveSession = new LiveAnalysisSession(source, market);
+        if (button) button.textContent = 'Stop';
+
+        const uploadArea = document.getElementById('uploadArea');
+        if (uploadArea) uploadArea.style.display = 'none';
+
+        await liveSession.start();
+    } catch (error) {
+        if (liveSession) liveSession.stop();
+        liveSession = null;
+        if (button) button.textContent = 'Start';
+        showError(`Live feed error: ${error.message}`);
+        updateLiveFeedStatus(error.message);
+        resetAnalyzer();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.toggleLiveFeed = toggleLiveFeed;
+    window.updateLiveFeedInputs = updateLiveFeedInputs;
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.getElementById('liveSourceSelect')) updateLiveFeedInputs();
+    });
+}
@@ -0,0 +1,153 @@
+// Divergence - regular and hidden divergences between price swings and RSI, MACD histogram and stochastic %K
+'use strict';
+
+// Oscillator series padded with nulls so index i lines up with candle i
+function buildOscillatorSeries(candles) {
+    const align = values => Array(candles.length - values.length).fill(null).concat(values);
+    const rsi = calculateRSI(candles);
+    const macd = analyzeMACD(candles);
+    const stochastic = calculateStochastic(candles);
+    const { rsiOversold, rsiOverbought } = config.quantitative;
+    const { oversold, overbought } = config.quantitative.stochastic;
+
+    return [
+        rsi && { name: 'RSI', values: align(rsi.values), scale: 100, oversold: rsiOversold, overbought: rsiOverbought },
+        // Histogram has no fixed scale: measure against its largest swing, with zero as the extreme boundary
+        macd && {
+            name: 'MACD',
+            values: align(macd.histogramValues),
+            scale: Math.max(...macd.histogramValues.map(Math.abs)) || 1,
+            oversold: 0,
+            overbought: 0
+        },
+        stochastic && { name: 'Stochastic', values: align(stochastic.kValues), scale: 100, oversold: oversold, overbought: overbought }
+    ].filter(Boolean);
+}
+
+// Oscillator extreme within a bar or two of the price swing: oscillators often turn a bar early
+function oscillatorAtSwing(values, index, side) {
+    const tolerance = config.divergence.swingTolerance;
+    const nearby = values.slice(Math.max(0, index - tolerance), index + tolerance + 1).filter(v => v !== null);
+    if (nearby.length === 0) return null;
+    return side === 'low' ? Math.min(...nearby) : Math.max(...nearby);
+}
+
+// Price must not cut (beyond a small tolerance) through the line joining the two swings
+function divergenceLineClear(candles, from, to, side) {
+    const between = candles.slice(from.index, to.index + 1);
+    const tolerance = (Math.max(...between.map(c => c.high)) - Math.min(...between.map(c => c.low))) * config.divergence.lineTolerance;
+    const slope = (to.price - from.price) / (to.index - from.index);
+    for (let i = from.index + 1; i < to.index; i++) {
+        const line = from.price + slope * (i - from.index);
+        if (side === 'low' ? candles[i].low < line - tolerance : candles[i].high > line + tolerance) return false;
+    }
+    return true;
+}
+
+// Compare the latest swing on one side with the swings before it, for one oscillator
+function findSwingDivergences(candles, swings, side, oscillator) {
+    const cfg = config.divergence;
+    const divergences = [];
+    const last = swings[swings.length - 1];
+    if (!last || candles.length - 1 - last.index > cfg.recentBars) return divergences;
+
+    const lastValue = oscillatorAtSwing(oscillator.values, last.index, side);
+    if (lastValue === null) return divergences;
+
+    swings.slice(-cfg.maxPairs - 1, -1).forEach(previous => {
+        const distance = last.index - previous.index;
+        if (distance < cfg.minBars || distance > cfg.maxBars) return;
+        const previousValue = oscillatorAtSwing(oscillator.values, previous.index, side);
+        if (previousValue === null) return;
+
+        const oscillatorDelta = Math.abs(lastValue - previousValue) / oscillator.scale;
+        if (oscillatorDelta < cfg.minOscillatorDelta || !divergenceLineClear(candles, previous, last, side)) return;
+
+        // Lows: lower price low with a higher oscillator low is regular, the reverse hidden. Highs mirror it
+        const priceExtends = side === 'low' ? last.price < previous.price : last.price > previous.price;
+        const oscillatorExtends = side === 'low' ? lastValue < previousValue : lastValue > previousValue;
+        if (priceExtends === oscillatorExtends) return;
+
+        const type = priceExtends ? 'regular' : 'hidden';
+        const direction = side === 'low' ? 'bullish' : 'bearish';
+        // A regular divergence out of the oversold/overbought zone carries more weight
+        const fromExtreme = side === 'low' ? previousValue <= oscillator.oversold : previousValue >= oscillator.overbought;
+
+        divergences.push({
+            oscillator: oscillator.name,
+            type: type,
+            direction: direction,
+            from: { index: previous.index, price: previous.price, value: previousValue },
+            to: { index: last.index, price: last.price, value: lastValue },
+            strength: Math.min(1, 0.45 + Math.min(0.35, oscillatorDelta * 2) + (type === 'regular' && fromExtreme ? 0.15 : 0))
+        });
+    });
+
+    // Keep the strongest pairing per oscillator and side
+    return divergences.sort((a, b) => b.strength - a.strength).slice(0, 1);
+}
+
+function detectDivergences(candles) {
+    const cfg = config.divergence;
+    const empty = { signal: 'HOLD', strength: 0, divergences: [] };
+    if (candles.length < cfg.swingLookback * 2 + cfg.minBars) return empty;
+
+    const swings = findSwingPoints(candles, cfg.swingLookback);
+    const divergences = [];
+    buildOscillatorSeries(candles).forEach(oscillator => {
+        divergences.push(...findSwingDivergences(candles, swings.lows, 'low', oscillator));
+        divergences.push(...findSwingDivergences(candles, swings.highs, 'high', oscillator));
+    });
+
+    const bullish = divergences.filter(d => d.direction === 'bullish').reduce((sum, d) => sum + d.strength, 0);
+    const bearish = divergences.filter(d => d.direction === 'bearish').reduce((sum, d) => sum + d.strength, 0);
+    const net = bullish - bearish;
+    const signal = Math.abs(net) >= cfg.minSignalScore ? (net > 0 ? 'BUY' : 'SELL') : 'HOLD';
+
+    if (config.debug) {
+        console.log(`📐 DIVERGENCE: ${divergences.length > 0 ?
+            divergences.map(d => `${d.type} ${d.direction} ${d.oscillator}`).join(', ') : 'none'} → ${signal}`);
+    }
+
+    return {
+        signal: signal,
+        strength: signal === 'HOLD' ? 0 : Math.min(1, Math.abs(net) / 2),
+        divergences: divergences
+    };
+}
+
+// Lines joining the diverging price swings, one per swing pair, labelled with the oscillators involved
+function drawDivergenceLines(ctx, divergence, candles, toCanvasX, toCanvasY) {
+    if (!divergence || !divergence.divergences) return;
+
+    const xAt = index => {
+        const candle = candles[index];
+        return candle ? toCanvasX((candle.x_start + candle.x_end) / 2) : 0;
+    };
+
+    const pairs = new Map();
+    divergence.divergences.forEach(d => {
+        const key = `${d.type}-${d.direction}-${d.from.index}-${d.to.index}`;
+        if (!pairs.has(key)) pairs.set(key, { ...d, oscillators: [] });
+        pairs.get(key).oscillators.push(d.oscillator);
+    });
+
+    ctx.lineWidth = 2;
+    pairs.forEach(pair => {
+        const color = pair.direction === 'bullish' ? 'rgba(34, 197, 94, 0.9)' : 'rgba(239, 68, 68, 0.9)';
+        const below = pair.direction === 'bullish';
+        ctx.strokeStyle = color;
+        ctx.setLineDash(pair.type === 'hidden' ? [6, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(xAt(pair.from.index), toCanvasY(pair.from.price));
+        ctx.lineTo(xAt(pair.to.index), toCanvasY(pair.to.price));
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.textAlign = 'center';
+        ctx.fillText(`${pair.type === 'hidden' ? 'Hidden ' : ''}${below ? 'Bull' : 'Bear'} Div (${pair.oscillators.join(', ')})`,
+            xAt(pair.to.index), toCanvasY(pair.to.price) + (below ? 16 : -6));
+    });
+    ctx.setLineDash([]);
+    ctx.textAlign = 'left';
+}
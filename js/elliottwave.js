@@ -0,0 +1,169 @@
+// Elliott Wave (experimental) - impulse and ABC count proposals on the pivot zig-zag, scored by rule compliance
+'use strict';
+
+function waveLength(points, wave) {
+    return Math.abs(points[wave].price - points[wave - 1].price);
+}
+
+// Rules for an impulse labelled 0-5; only rules whose waves exist (and are complete) are checked
+function checkImpulseRules(points, completeWaves) {
+    const sign = points[1].price > points[0].price ? 1 : -1;
+    const has = wave => completeWaves >= wave;
+    const len = wave => waveLength(points, wave);
+    const between = (value, min, max) => value >= min && value <= max;
+    const rules = [];
+    const rule = (text, passed, hard) => rules.push({ rule: text, passed: passed, hard: hard });
+
+    if (has(2)) {
+        rule('Wave 2 does not retrace past the start of wave 1', sign * (points[2].price - points[0].price) > 0, true);
+        rule('Wave 2 retraces 38.2-78.6% of wave 1', between(len(2) / len(1), 0.382, 0.786), false);
+    }
+    if (has(3)) {
+        rule('Wave 3 travels beyond the end of wave 1', sign * (points[3].price - points[1].price) > 0, true);
+        rule('Wave 3 extends to at least 1.618x wave 1', len(3) / len(1) >= 1.618 * 0.9, false);
+    }
+    if (has(4)) {
+        rule('Wave 4 does not overlap wave 1', sign * (points[4].price - points[1].price) > 0, true);
+        rule('Wave 4 retraces 23.6-50% of wave 3', between(len(4) / len(3), 0.236, 0.5), false);
+        rule('Waves 2 and 4 alternate in depth', Math.abs(len(2) / len(1) - len(4) / len(3)) >= 0.15, false);
+    }
+    if (has(5)) {
+        rule('Wave 3 is not the shortest impulse wave', len(3) >= Math.min(len(1), len(5)), true);
+        rule('Wave 5 relates to wave 1 (0.618-1.618x)', between(len(5) / len(1), 0.618, 1.618), false);
+        rule('Wave 5 exceeds the end of wave 3', sign * (points[5].price - points[3].price) > 0, false);
+    }
+
+    return rules;
+}
+
+// Rules for a correction labelled S (start), A, B, C; `previous` is the pivot before S
+function checkCorrectiveRules(points, completeWaves, previous) {
+    const [S, A, B, C] = points;
+    const sign = A.price > S.price ? 1 : -1;
+    const lenA = Math.abs(A.price - S.price);
+    const lenB = Math.abs(B.price - A.price);
+    const rules = [];
+    const rule = (text, passed, hard) => rules.push({ rule: text, passed: passed, hard: hard });
+
+    rule('Wave B does not retrace all of wave A', lenB < lenA, true);
+    rule('Wave B retraces 38.2-88.6% of wave A', lenB / lenA >= 0.382 && lenB / lenA <= 0.886, false);
+    if (previous) rule('Corrects the preceding move', sign * (S.price - previous.price) > 0, false);
+    if (completeWaves >= 3) {
+        const lenC = Math.abs(C.price - B.price);
+        rule('Wave C travels beyond the end of wave A', sign * (C.price - A.price) > 0, false);
+        rule('Wave C is 0.618-1.618x wave A', lenC / lenA >= 0.618 && lenC / lenA <= 1.618, false);
+    }
+
+    return rules;
+}
+
+// Hard rules gate the count; guidelines decide how likely it is
+function scoreWaveCount(rules) {
+    const hard = rules.filter(r => r.hard);
+    const soft = rules.filter(r => !r.hard);
+    if (hard.some(r => !r.passed)) return 0;
+    const softScore = soft.length > 0 ? soft.filter(r => r.passed).length / soft.length : 0.5;
+    return 0.4 + softScore * 0.6;
+}
+
+// Candidate counts that end at the right edge, either on the last pivot or on the wave still forming
+function proposeWaveCounts(candles, pivots) {
+    const cfg = config.elliottWave;
+    const counts = [];
+    const lastPivot = pivots[pivots.length - 1];
+
+    // The forming point: the extreme reached since the last pivot, away from it
+    const after = candles.slice(lastPivot.index + 1);
+    let forming = null;
+    if (after.length > 0) {
+        const key = lastPivot.type === 'low' ? 'high' : 'low';
+        const offset = after.reduce((best, c, i) =>
+            (key === 'high' ? c.high > after[best].high : c.low < after[best].low) ? i : best, 0);
+        forming = { index: lastPivot.index + 1 + offset, price: after[offset][key], forming: true };
+        if (key === 'high' ? forming.price <= lastPivot.price : forming.price >= lastPivot.price) forming = null;
+    }
+
+    const impulse = (points, completeWaves, phase, expectation, invalidation) => {
+        const rules = checkImpulseRules(points, completeWaves);
+        const direction = points[1].price > points[0].price ? 'bullish' : 'bearish';
+        counts.push({
+            type: 'impulse',
+            direction: direction,
+            phase: phase,
+            labels: points.map((p, i) => ({ label: String(i), index: p.index, price: p.price, forming: !!p.forming })),
+            rules: rules,
+            score: scoreWaveCount(rules),
+            expectation: expectation(direction),
+            invalidation: invalidation
+        });
+    };
+
+    const corrective = (points, completeWaves, phase, expectation, invalidation, previous) => {
+        const rules = checkCorrectiveRules(points, completeWaves, previous);
+        const direction = points[1].price > points[0].price ? 'bullish' : 'bearish';
+        counts.push({
+            type: 'corrective',
+            direction: direction,
+            phase: phase,
+            labels: points.map((p, i) => ({ label: ['S', 'A', 'B', 'C'][i], index: p.index, price: p.price, forming: !!p.forming })),
+            rules: rules,
+            score: scoreWaveCount(rules),
+            expectation: expectation(direction),
+            invalidation: invalidation
+        });
+    };
+    const opposite = direction => direction === 'bullish' ? 'bearish' : 'bullish';
+    const same = direction => direction;
+
+    const tail = n => pivots.slice(-n);
+    if (pivots.length >= 6) {
+        const points = tail(6);
+        // A move beyond wave 5 would extend the impulse
+        impulse(points, 5, 'complete, correction due', opposite, points[5].price);
+    }
+    if (pivots.length >= 5 && forming) {
+        const points = [...tail(5), forming];
+        impulse(points, 4, 'in wave 5', same, points[4].price);
+    }
+    if (pivots.length >= 3 && forming) {
+        const points = [...tail(3), forming];
+        impulse(points, 2, 'in wave 3', same, points[0].price);
+    }
+    if (pivots.length >= 4) {
+        const points = tail(4);
+        corrective(points, 3, 'ABC complete, trend resumes', opposite, points[3].price, pivots[pivots.length - 5]);
+    }
+    if (pivots.length >= 3 && forming) {
+        const points = [...tail(3), forming];
+        corrective(points, 2, 'in wave C', same, points[2].price, pivots[pivots.length - 4]);
+    }
+
+    return counts
+        .filter(count => count.score >= cfg.minScore)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Ranked counts for display only: they are proposals, so no signal feeds the recommendation
+function analyzeElliottWaves(candles) {
+    const cfg = config.elliottWave;
+    const empty = { primary: null, alternates: [] };
+    if (candles.length < cfg.pivotLookback * 2 + 10) return empty;
+
+    const pivots = buildPivotSequence(candles, cfg.pivotLookback, findSwingPointsWithTies);
+    if (pivots.length < 3) return empty;
+
+    const counts = proposeWaveCounts(candles, pivots);
+    if (counts.length === 0) return empty;
+
+    const [primary, ...alternates] = counts;
+
+    if (config.debug) {
+        console.log(`🌊 ELLIOTT WAVE: ${primary.direction} ${primary.type} ${primary.phase} (${(primary.score * 100).toFixed(0)}%), ` +
+            `${alternates.length} alternates`);
+    }
+
+    return {
+        primary: primary,
+        alternates: alternates.slice(0, cfg.maxAlternates)
+    };
+}
@@ -0,0 +1,283 @@
+// Candle Extraction - two-pass body segmentation and wick tracing with per-candle confidence
+'use strict';
+
+// Pass 1 finds candle bodies as connected components, pass 2 traces each body's wicks vertically
+function extractCandlesByComponents(imageData, colorProfile, area) {
+    const { width } = imageData;
+    const cfg = config.candles;
+    const colors = createColorMatcher(colorProfile);
+    const region = {
+        left: Math.max(0, Math.floor(area.left)),
+        top: Math.max(0, Math.floor(area.top)),
+        right: Math.min(width, Math.ceil(area.right)),
+        bottom: Math.min(imageData.height, Math.ceil(area.bottom))
+    };
+    region.w = region.right - region.left;
+    region.h = region.bottom - region.top;
+
+    const colorMask = buildCandleColorMask(imageData, colors, region);
+    if (colors.hollow) fillHollowBodies(colorMask, region);
+
+    const bodyMask = findBodyPixels(colorMask, region, cfg.minBodyWidth);
+    const labels = new Int32Array(region.w * region.h).fill(-1);
+    const components = labelBodyComponents(bodyMask, colorMask, labels, region);
+    if (components.length === 0) return [];
+
+    // Touching same-colour bodies merge into one component; split them at the typical candle width
+    const medianWidth = median(components.map(c => c.x1 - c.x0 + 1));
+    const bodies = components.flatMap(component => splitMergedBody(component, medianWidth, colorMask, region));
+
+    const candles = bodies.map(body => traceCandle(body, colorMask, labels, region, medianWidth));
+
+    return candles
+        .filter(candle => candle.totalHeight > 0)
+        .sort((a, b) => a.x_start - b.x_start)
+        .slice(-cfg.scanCount);
+}
+
+// 1 = bull colour, 2 = bear colour, 0 = anything else, for the pixels inside the region
+function buildCandleColorMask(imageData, colors, region) {
+    const { data: pixels, width } = imageData;
+    const mask = new Uint8Array(region.w * region.h);
+
+    for (let y = 0; y < region.h; y++) {
+        for (let x = 0; x < region.w; x++) {
+            const i = ((y + region.top) * width + x + region.left) * 4;
+            const r = pixels[i],
+                g = pixels[i + 1],
+                b = pixels[i + 2];
+            if (colors.isBull(r, g, b)) mask[y * region.w + x] = 1;
+            else if (colors.isBear(r, g, b)) mask[y * region.w + x] = 2;
+        }
+    }
+
+    return mask;
+}
+
+// Fill outlined bodies so they segment like solid ones; a gap counts as interior only if closed above and below
+function fillHollowBodies(mask, region) {
+    const { w, h } = region;
+    const maxGap = config.plotArea.maxCandleRunWidth;
+
+    const closedVertically = (x, y, color) => {
+        let up = false,
+            down = false;
+        for (let yy = y - 1; yy >= 0 && !up; yy--) up = mask[yy * w + x] === color;
+        for (let yy = y + 1; yy < h && !down; yy++) down = mask[yy * w + x] === color;
+        return up && down;
+    };
+
+    const fills = [];
+    for (let y = 0; y < h; y++) {
+        let lastX = -1;
+        for (let x = 0; x < w; x++) {
+            const color = mask[y * w + x];
+            if (!color) continue;
+            const gap = x - lastX - 1;
+            if (lastX >= 0 && gap > 0 && gap <= maxGap && mask[y * w + lastX] === color &&
+                closedVertically(Math.round((lastX + x) / 2), y, color)) {
+                fills.push([y, lastX + 1, x, color]);
+            }
+            lastX = x;
+        }
+    }
+
+    fills.forEach(([y, from, to, color]) => mask.fill(color, y * w + from, y * w + to));
+}
+
+// Pixels on horizontal same-colour runs at least minRun wide; wicks are narrower and drop out
+function findBodyPixels(colorMask, region, minRun) {
+    const { w, h } = region;
+    const bodyMask = new Uint8Array(w * h);
+
+    for (let y = 0; y < h; y++) {
+        let runStart = 0;
+        for (let x = 1; x <= w; x++) {
+            const prev = colorMask[y * w + x - 1];
+            if (x < w && colorMask[y * w + x] === prev) continue;
+            if (prev && x - runStart >= minRun) bodyMask.fill(1, y * w + runStart, y * w + x);
+            runStart = x;
+        }
+    }
+
+    return bodyMask;
+}
+
+// 4-connected components of same-coloured body pixels
+function labelBodyComponents(bodyMask, colorMask, labels, region) {
+    const { w, h } = region;
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < w * h; start++) {
+        if (!bodyMask[start] || labels[start] >= 0) continue;
+
+        const color = colorMask[start];
+        const component = {
+            id: components.length,
+            color,
+            x0: w,
+            x1: 0,
+            y0: h,
+            y1: 0,
+            pixels: 0
+        };
+        labels[start] = component.id;
+        stack.push(start);
+
+        while (stack.length > 0) {
+            const p = stack.pop();
+            const x = p % w,
+                y = (p - x) / w;
+            component.pixels++;
+            if (x < component.x0) component.x0 = x;
+            if (x > component.x1) component.x1 = x;
+            if (y < component.y0) component.y0 = y;
+            if (y > component.y1) component.y1 = y;
+
+            const neighbours = [x > 0 ? p - 1 : -1, x < w - 1 ? p + 1 : -1, y > 0 ? p - w : -1, y < h - 1 ? p + w : -1];
+            neighbours.forEach(n => {
+                if (n >= 0 && bodyMask[n] && labels[n] < 0 && colorMask[n] === color) {
+                    labels[n] = component.id;
+                    stack.push(n);
+                }
+            });
+        }
+
+        components.push(component);
+    }
+
+    return components;
+}
+
+// Split a component that spans several candle widths, cutting where the column extent changes most
+function splitMergedBody(component, medianWidth, colorMask, region) {
+    const bodyWidth = component.x1 - component.x0 + 1;
+    const parts = Math.round(bodyWidth / medianWidth);
+    if (parts < 2 || bodyWidth < medianWidth * config.candles.mergedBodyRatio) {
+        return [{ ...component, split: false }];
+    }
+
+    // Top and bottom body row of every column, to find the steps between neighbouring candles
+    const { w } = region;
+    const extents = [];
+    for (let x = component.x0; x <= component.x1; x++) {
+        let top = -1,
+            bottom = -1;
+        for (let y = component.y0; y <= component.y1; y++) {
+            if (colorMask[y * w + x] !== component.color) continue;
+            if (top < 0) top = y;
+            bottom = y;
+        }
+        extents.push({ x, top, bottom });
+    }
+
+    const cuts = [];
+    for (let k = 1; k < parts; k++) {
+        const expected = component.x0 + Math.round(bodyWidth * k / parts);
+        const searchRadius = Math.max(1, Math.round(medianWidth / 3));
+        let bestX = expected,
+            bestStep = -1;
+        for (let x = expected - searchRadius; x <= expected + searchRadius; x++) {
+            const left = extents[x - 1 - component.x0],
+                right = extents[x - component.x0];
+            if (!left || !right) continue;
+            const step = Math.abs(left.top - right.top) + Math.abs(left.bottom - right.bottom);
+            if (step > bestStep) {
+                bestStep = step;
+                bestX = x;
+            }
+        }
+        cuts.push(bestX);
+    }
+
+    const bounds = [component.x0, ...cuts, component.x1 + 1];
+    return bounds.slice(0, -1).map((x0, i) => {
+        const columns = extents.slice(x0 - component.x0, bounds[i + 1] - component.x0).filter(e => e.top >= 0);
+        return {
+            ...component,
+            x0,
+            x1: bounds[i + 1] - 1,
+            y0: Math.min(...columns.map(e => e.top)),
+            y1: Math.max(...columns.map(e => e.bottom)),
+            pixels: columns.reduce((sum, e) => sum + e.bottom - e.top + 1, 0),
+            split: true
+        };
+    });
+}
+
+// Follow the wick up and down from the body, then express the candle in image rows
+function traceCandle(body, colorMask, labels, region, medianWidth) {
+    const { w, h } = region;
+    const centerX = Math.round((body.x0 + body.x1) / 2);
+    const maxGap = config.candles.wickGapTolerance;
+
+    // Wicks may sit a pixel off the body centre; stop at another body or after a gap
+    const wickColumns = [centerX - 1, centerX, centerX + 1].filter(x => x >= 0 && x < w);
+    const isWick = y => wickColumns.some(x => {
+        const p = y * w + x;
+        return colorMask[p] === body.color && (labels[p] < 0 || labels[p] === body.id);
+    });
+    const trace = (from, step) => {
+        let end = from,
+            gaps = 0,
+            bridged = 0;
+        for (let y = from + step; y >= 0 && y < h; y += step) {
+            if (labels[y * w + centerX] >= 0 && labels[y * w + centerX] !== body.id) break;
+            if (isWick(y)) {
+                bridged += gaps;
+                gaps = 0;
+                end = y;
+            } else if (++gaps > maxGap) {
+                break;
+            }
+        }
+        return { end, bridged };
+    };
+
+    const upper = trace(body.y0, -1);
+    const lower = trace(body.y1, 1);
+
+    const candle = {
+        x_start: body.x0 + region.left,
+        x_end: body.x1 + region.left,
+        isGreen: body.color === 1,
+        isRed: body.color === 2,
+        high: upper.end + region.top,
+        low: lower.end + region.top,
+        bodyTop: body.y0 + region.top,
+        bodyBottom: body.y1 + region.top
+    };
+
+    candle.open = candle.isGreen ? candle.bodyBottom : candle.bodyTop;
+    candle.close = candle.isGreen ? candle.bodyTop : candle.bodyBottom;
+    candle.totalHeight = candle.low - candle.high;
+    candle.bodyHeight = Math.abs(candle.close - candle.open);
+    candle.upperWick = candle.bodyTop - candle.high;
+    candle.lowerWick = candle.low - candle.bodyBottom;
+    candle.bodyRatio = candle.totalHeight > 0 ? candle.bodyHeight / candle.totalHeight : 0;
+    candle.upperWickRatio = candle.totalHeight > 0 ? candle.upperWick / candle.totalHeight : 0;
+    candle.lowerWickRatio = candle.totalHeight > 0 ? candle.lowerWick / candle.totalHeight : 0;
+    candle.confidence = scoreCandleExtraction(body, region, medianWidth, upper.bridged + lower.bridged);
+
+    return candle;
+}
+
+// 0-1 extraction quality: solid body, typical width, unbroken wicks, not split or clipped
+function scoreCandleExtraction(body, region, medianWidth, bridgedGaps) {
+    const bodyWidth = body.x1 - body.x0 + 1;
+    const fill = body.pixels / (bodyWidth * (body.y1 - body.y0 + 1));
+    const widthScore = Math.max(0, 1 - Math.abs(bodyWidth - medianWidth) / medianWidth);
+    const wickScore = 1 / (1 + bridgedGaps);
+    const clipped = body.x0 === 0 || body.x1 === region.w - 1 || body.y0 === 0 || body.y1 === region.h - 1;
+
+    const score = (fill * 0.4 + widthScore * 0.4 + wickScore * 0.2) *
+        (body.split ? 0.7 : 1) * (clipped ? 0.7 : 1);
+    return Math.round(score * 100) / 100;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,147 @@
+// Fibonacci - retracement and extension levels on the dominant swing leg, with S/R confluence
+'use strict';
+
+// The largest move in the lookback window, between its extreme swing high and swing low
+function findDominantSwingLeg(candles, lookbackBars, swingLookback) {
+    const offset = Math.max(0, candles.length - lookbackBars);
+    const windowCandles = candles.slice(offset);
+    const swings = findSwingPoints(windowCandles, swingLookback);
+
+    // Unconfirmed extremes at the right edge still anchor the leg
+    const extreme = (points, key, better) => {
+        const raw = windowCandles.reduce((best, c, i) => better(c[key], windowCandles[best][key]) ? i : best, 0);
+        const swing = points.reduce((best, p) => !best || better(p.price, best.price) ? p : best, null);
+        return swing && !better(windowCandles[raw][key], swing.price) ? swing : { index: raw, price: windowCandles[raw][key] };
+    };
+    const high = extreme(swings.highs, 'high', (a, b) => a > b);
+    const low = extreme(swings.lows, 'low', (a, b) => a < b);
+    if (high.index === low.index || high.price <= low.price) return null;
+
+    const up = low.index < high.index;
+    return {
+        direction: up ? 'up' : 'down',
+        startIndex: offset + (up ? low.index : high.index),
+        endIndex: offset + (up ? high.index : low.index),
+        startPrice: up ? low.price : high.price,
+        endPrice: up ? high.price : low.price,
+        high: high.price,
+        low: low.price
+    };
+}
+
+// S/R levels within tolerance of a price
+function findFibonacciConfluence(price, srLevels, tolerance) {
+    return srLevels
+        .filter(level => Math.abs(level.level - price) <= tolerance)
+        .map(level => ({ level: level.level, type: level.type, touches: level.touches }));
+}
+
+function analyzeFibonacciLevels(candles, priceRange, supportResistance) {
+    const cfg = config.fibonacci;
+    const empty = {
+        signal: 'HOLD',
+        strength: 0,
+        leg: null,
+        retracements: [],
+        extensions: [],
+        goldenPocket: null,
+        atGoldenPocket: false,
+        nearestLevel: null
+    };
+    if (candles.length < cfg.swingLookback * 2 + 3) return empty;
+
+    const leg = findDominantSwingLeg(candles, cfg.lookbackBars, cfg.swingLookback);
+    if (!leg || leg.high - leg.low < priceRange * cfg.minLegRatio) return empty;
+
+    const move = leg.endPrice - leg.startPrice;
+    const tolerance = priceRange * cfg.confluenceTolerance;
+    const srLevels = supportResistance ? [
+        ...(supportResistance.supports || []).map(level => ({ ...level, type: 'support' })),
+        ...(supportResistance.resistances || []).map(level => ({ ...level, type: 'resistance' }))
+    ] : [];
+
+    // Retracements step back from the leg's end; extensions project past it from the start
+    const buildLevel = (ratio, price, kind) => ({
+        ratio: ratio,
+        label: `${(ratio * 100).toFixed(1).replace(/\.0$/, '')}%`,
+        kind: kind,
+        price: price,
+        confluence: findFibonacciConfluence(price, srLevels, tolerance)
+    });
+    const retracements = cfg.retracements.map(ratio => buildLevel(ratio, leg.endPrice - move * ratio, 'retracement'));
+    const extensions = cfg.extensions.map(ratio => buildLevel(ratio, leg.startPrice + move * ratio, 'extension'));
+
+    const [pocketStart, pocketEnd] = cfg.goldenPocket.map(ratio => leg.endPrice - move * ratio);
+    const goldenPocket = {
+        high: Math.max(pocketStart, pocketEnd),
+        low: Math.min(pocketStart, pocketEnd),
+        confluence: findFibonacciConfluence((pocketStart + pocketEnd) / 2, srLevels, tolerance + Math.abs(pocketEnd - pocketStart) / 2)
+    };
+
+    // Only a pullback that has not broken the leg's origin counts
+    const current = candles[candles.length - 1];
+    const legIntact = leg.direction === 'up' ? current.low > leg.startPrice : current.high < leg.startPrice;
+    const atGoldenPocket = legIntact && candles.length - 1 > leg.endIndex &&
+        current.close >= goldenPocket.low - tolerance && current.close <= goldenPocket.high + tolerance;
+
+    const nearestLevel = [...retracements, ...extensions]
+        .reduce((best, level) => !best || Math.abs(level.price - current.close) < Math.abs(best.price - current.close) ? level : best, null);
+
+    // Golden pocket first; otherwise a retracement that lines up with an S/R level
+    let signal = 'HOLD',
+        strength = 0;
+    const legSignal = leg.direction === 'up' ? 'BUY' : 'SELL';
+    if (atGoldenPocket) {
+        signal = legSignal;
+        strength = Math.min(1, 0.6 + goldenPocket.confluence.length * 0.15);
+    } else if (legIntact && nearestLevel && nearestLevel.kind === 'retracement' && nearestLevel.confluence.length > 0 &&
+        Math.abs(nearestLevel.price - current.close) <= tolerance) {
+        signal = legSignal;
+        strength = Math.min(1, 0.35 + nearestLevel.confluence.length * 0.15);
+    }
+
+    if (config.debug) {
+        console.log(`🌀 FIBONACCI: ${leg.direction} leg ${formatPrice(leg.startPrice)} → ${formatPrice(leg.endPrice)}, ` +
+            `nearest ${nearestLevel ? nearestLevel.label : 'N/A'}${atGoldenPocket ? ', at golden pocket' : ''} → ${signal}`);
+    }
+
+    return {
+        signal: signal,
+        strength: strength,
+        leg: leg,
+        retracements: retracements,
+        extensions: extensions,
+        goldenPocket: goldenPocket,
+        atGoldenPocket: atGoldenPocket,
+        nearestLevel: nearestLevel
+    };
+}
+
+// Labelled Fibonacci lines from the leg's start to the right edge, with the golden pocket shaded
+function drawFibonacciLevels(ctx, fibonacci, candles, toCanvasX, toCanvasY, canvasWidth) {
+    if (!fibonacci || !fibonacci.leg) return;
+
+    const startCandle = candles[fibonacci.leg.startIndex];
+    const x = startCandle ? toCanvasX(startCandle.x_start) : 0;
+
+    const pocketTop = toCanvasY(fibonacci.goldenPocket.high);
+    ctx.fillStyle = 'rgba(250, 204, 21, 0.15)';
+    ctx.fillRect(x, pocketTop, canvasWidth - x, toCanvasY(fibonacci.goldenPocket.low) - pocketTop);
+
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    [...fibonacci.retracements, ...fibonacci.extensions].forEach(level => {
+        const y = toCanvasY(level.price);
+        const alpha = level.confluence.length > 0 ? 0.9 : 0.5;
+        ctx.strokeStyle = level.kind === 'retracement' ? `rgba(250, 204, 21, ${alpha})` : `rgba(192, 132, 252, ${alpha})`;
+        ctx.setLineDash(level.kind === 'retracement' ? [] : [4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(canvasWidth, y);
+        ctx.stroke();
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.fillText(`${level.label} ${formatPrice(level.price)}${level.confluence.length > 0 ? ' ★' : ''}`, canvasWidth - 5, y - 2);
+    });
+    ctx.setLineDash([]);
+    ctx.textAlign = 'left';
+}
@@ -0,0 +1,204 @@
+// Harmonic Patterns - XABCD Gartley, Bat, Butterfly, Crab and Cypher on the pivot zig-zag
+'use strict';
+
+// Fibonacci ratio windows per pattern: ab = AB/XA, bc = BC/AB, cd = CD/BC, ad = AD/XA (D measured from A).
+// The Cypher's D is a retracement of XC instead, held in xc = CD/XC.
+const harmonicPatternDefinitions = {
+    Gartley: { scoreKey: 'gartley', ab: [0.618, 0.618], bc: [0.382, 0.886], cd: [1.272, 1.618], ad: [0.786, 0.786] },
+    Bat: { scoreKey: 'bat', ab: [0.382, 0.5], bc: [0.382, 0.886], cd: [1.618, 2.618], ad: [0.886, 0.886] },
+    Butterfly: { scoreKey: 'butterfly', ab: [0.786, 0.786], bc: [0.382, 0.886], cd: [1.618, 2.24], ad: [1.272, 1.618] },
+    Crab: { scoreKey: 'crab', ab: [0.382, 0.618], bc: [0.382, 0.886], cd: [2.24, 3.618], ad: [1.618, 1.618] },
+    Cypher: { scoreKey: 'cypher', ab: [0.382, 0.618], bc: [1.272, 1.414], xc: [0.786, 0.786] }
+};
+
+// Distance of a ratio outside its window, relative to the window; 0 inside, null beyond tolerance
+function harmonicRatioError(value, [min, max], tolerance) {
+    if (value >= min && value <= max) return 0;
+    const miss = value < min ? (min - value) / min : (value - max) / max;
+    return miss <= tolerance ? miss / tolerance : null;
+}
+
+// Check one XABCD leg set against every definition
+function matchHarmonicPattern(points, tolerance) {
+    const { X, A, B, C, D } = points;
+    const xa = Math.abs(A.price - X.price);
+    const ab = Math.abs(B.price - A.price);
+    const bc = Math.abs(C.price - B.price);
+    const cd = Math.abs(D.price - C.price);
+    if (xa === 0 || ab === 0 || bc === 0) return [];
+
+    const ratios = {
+        ab: ab / xa,
+        bc: bc / ab,
+        cd: cd / bc,
+        ad: Math.abs(D.price - A.price) / xa,
+        xc: cd / Math.abs(C.price - X.price)
+    };
+    // D beyond X is only valid for the extension patterns (AD above 1)
+    const bullish = A.price > X.price;
+    const dBeyondX = bullish ? D.price < X.price : D.price > X.price;
+
+    return Object.entries(harmonicPatternDefinitions).map(([name, definition]) => {
+        const keys = ['ab', 'bc', 'cd', 'ad', 'xc'].filter(key => definition[key]);
+        const errors = keys.map(key => harmonicRatioError(ratios[key], definition[key], tolerance));
+        if (errors.some(error => error === null)) return null;
+        if (dBeyondX && (definition.ad ? definition.ad[1] < 1 : true)) return null;
+
+        return {
+            name: name,
+            definition: definition,
+            ratios: ratios,
+            quality: 1 - errors.reduce((a, b) => a + b, 0) / errors.length
+        };
+    }).filter(Boolean);
+}
+
+// Potential reversal zone: where the XA projection for D overlaps the BC projection
+function computeHarmonicPRZ(points, definition, tolerance) {
+    const { X, A, B, C } = points;
+    const direction = A.price > X.price ? -1 : 1; // D lies below A in a bullish pattern
+    const xa = Math.abs(A.price - X.price);
+    const bc = Math.abs(C.price - B.price);
+    const widen = ([min, max]) => [min * (1 - tolerance), max * (1 + tolerance)];
+
+    const band = definition.xc ?
+        widen(definition.xc).map(r => C.price + direction * r * Math.abs(C.price - X.price)) :
+        widen(definition.ad).map(r => A.price + direction * r * xa);
+    const primary = { high: Math.max(...band), low: Math.min(...band) };
+    if (!definition.cd) return primary;
+
+    const projection = widen(definition.cd).map(r => C.price + direction * r * bc);
+    const overlap = {
+        high: Math.min(primary.high, Math.max(...projection)),
+        low: Math.max(primary.low, Math.min(...projection))
+    };
+    return overlap.high > overlap.low ? overlap : primary;
+}
+
+// XABCD patterns whose D is at (or forming at) the right edge, as candlestick-pattern entries
+function detectHarmonicPatterns(candles) {
+    const cfg = config.harmonics;
+    if (candles.length < cfg.pivotLookback * 2 + 10) return [];
+
+    const pivots = buildPivotSequence(candles, cfg.pivotLookback, findSwingPointsWithTies);
+    const last = candles.length - 1;
+    const candidates = [];
+
+    // Completed D pivots near the edge
+    for (let i = Math.max(0, pivots.length - 6); i + 5 <= pivots.length; i++) {
+        const [X, A, B, C, D] = pivots.slice(i, i + 5);
+        if (last - D.index <= cfg.recentBars) candidates.push({ X, A, B, C, D });
+    }
+
+    // D still forming: the extreme printed since the last pivot
+    if (pivots.length >= 4) {
+        const [X, A, B, C] = pivots.slice(-4);
+        const after = candles.slice(C.index + 1);
+        if (after.length > 0) {
+            const bullish = A.price > X.price;
+            const offset = after.reduce((best, c, i) => (bullish ? c.low < after[best].low : c.high > after[best].high) ? i : best, 0);
+            const dIndex = C.index + 1 + offset;
+            candidates.push({ X, A, B, C, D: { index: dIndex, price: bullish ? candles[dIndex].low : candles[dIndex].high } });
+        }
+    }
+
+    const found = new Map();
+    candidates.forEach(points => {
+        const bullish = points.A.price > points.X.price;
+        // The legs must alternate: X low, A high, B low, C high, D low for a bullish pattern
+        const alternates = bullish ?
+            points.B.price < points.A.price && points.C.price > points.B.price && points.D.price < points.C.price :
+            points.B.price > points.A.price && points.C.price < points.B.price && points.D.price > points.C.price;
+        if (!alternates) return;
+
+        matchHarmonicPattern(points, cfg.tolerance).forEach(match => {
+            const prz = computeHarmonicPRZ(points, match.definition, cfg.tolerance);
+            const close = candles[last].close;
+            const inPRZ = points.D.price >= prz.low && points.D.price <= prz.high;
+            if (!inPRZ) return;
+
+            const name = `${bullish ? 'Bullish' : 'Bearish'} ${match.name}`;
+            const entry = {
+                name: name,
+                scoreKey: match.definition.scoreKey,
+                signal: bullish ? 'BUY' : 'SELL',
+                strength: Math.min(0.95, 0.55 + match.quality * 0.35),
+                description: `Harmonic reversal at PRZ ${formatPrice(prz.low)} - ${formatPrice(prz.high)}`,
+                context: bullish ? 'Oversold' : 'Overbought',
+                harmonic: {
+                    points: points,
+                    prz: prz,
+                    ratios: match.ratios,
+                    quality: match.quality,
+                    // Price already moving away from D in the expected direction
+                    reacting: bullish ? close > points.D.price : close < points.D.price
+                }
+            };
+            if (!found.has(name) || found.get(name).strength < entry.strength) found.set(name, entry);
+        });
+    });
+
+    const patterns = [...found.values()];
+    if (config.debug && patterns.length > 0) {
+        console.log('🦋 HARMONICS:', patterns.map(p => `${p.name} (${(p.harmonic.quality * 100).toFixed(0)}%)`).join(', '));
+    }
+    return patterns;
+}
+
+// XABCD legs and the PRZ box on the visual analysis canvas
+function drawHarmonicPatterns(ctx, patterns, candles, toCanvasX, toCanvasY, canvasWidth) {
+    const xAt = index => {
+        const candle = candles[index];
+        return candle ? toCanvasX((candle.x_start + candle.x_end) / 2) : 0;
+    };
+
+    patterns.filter(pattern => pattern.harmonic).forEach(pattern => {
+        const { points, prz } = pattern.harmonic;
+        const rgb = pattern.signal === 'BUY' ? '16, 185, 129' : '236, 72, 153';
+        const order = ['X', 'A', 'B', 'C', 'D'];
+
+        // Filled XAB and BCD triangles behind the legs
+        ctx.fillStyle = `rgba(${rgb}, 0.12)`;
+        [['X', 'A', 'B'], ['B', 'C', 'D']].forEach(triangle => {
+            ctx.beginPath();
+            triangle.forEach((key, i) => {
+                const x = xAt(points[key].index),
+                    y = toCanvasY(points[key].price);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        ctx.strokeStyle = `rgba(${rgb}, 0.9)`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        order.forEach((key, i) => {
+            const x = xAt(points[key].index),
+                y = toCanvasY(points[key].price);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = `rgba(${rgb}, 1)`;
+        ctx.textAlign = 'center';
+        order.forEach(key => {
+            const above = (key === 'A' || key === 'C') === (pattern.signal === 'BUY');
+            ctx.fillText(key, xAt(points[key].index), toCanvasY(points[key].price) + (above ? -4 : 16));
+        });
+
+        const dX = xAt(points.D.index);
+        const top = toCanvasY(prz.high);
+        ctx.fillStyle = `rgba(${rgb}, 0.2)`;
+        ctx.fillRect(dX, top, canvasWidth - dX, toCanvasY(prz.low) - top);
+        ctx.strokeStyle = `rgba(${rgb}, 0.7)`;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(dX, top, canvasWidth - dX, toCanvasY(prz.low) - top);
+        ctx.fillStyle = `rgba(${rgb}, 1)`;
+        ctx.textAlign = 'right';
+        ctx.fillText(`${pattern.name} PRZ`, canvasWidth - 5, top - 2);
+        ctx.textAlign = 'left';
+    });
+}
@@ -0,0 +1,161 @@
+// Ichimoku Kinko Hyo - Tenkan, Kijun, Senkou A/B and Chikou with TK cross, Kumo position/breakout and Kumo twist signals
+'use strict';
+
+// Midpoint of the highest high and lowest low over the `period` bars ending at `index`
+function ichimokuMidpoint(candles, index, period) {
+    if (index < period - 1) return null;
+    const window = candles.slice(index - period + 1, index + 1);
+    return (Math.max(...window.map(c => c.high)) + Math.min(...window.map(c => c.low))) / 2;
+}
+
+// Lines indexed by the bar they are computed on; Senkou spans plot `displacement` bars ahead, Chikou as far behind
+function calculateIchimokuSeries(candles) {
+    const { tenkanPeriod, kijunPeriod, senkouBPeriod } = config.ichimoku;
+    const tenkan = candles.map((_, i) => ichimokuMidpoint(candles, i, tenkanPeriod));
+    const kijun = candles.map((_, i) => ichimokuMidpoint(candles, i, kijunPeriod));
+    const spanA = tenkan.map((value, i) => value !== null && kijun[i] !== null ? (value + kijun[i]) / 2 : null);
+    const spanB = candles.map((_, i) => ichimokuMidpoint(candles, i, senkouBPeriod));
+
+    return { tenkan, kijun, spanA, spanB };
+}
+
+// Cloud plotted at bar `index`: the spans computed `displacement` bars earlier
+function ichimokuCloudAt(series, index) {
+    const source = index - config.ichimoku.displacement;
+    if (source < 0 || series.spanA[source] === null || series.spanB[source] === null) return null;
+    const a = series.spanA[source],
+        b = series.spanB[source];
+    return { spanA: a, spanB: b, top: Math.max(a, b), bottom: Math.min(a, b), color: a >= b ? 'bullish' : 'bearish' };
+}
+
+function analyzeIchimoku(candles) {
+    const cfg = config.ichimoku;
+    const empty = { signal: 'HOLD', strength: 0, signals: [], cloud: null };
+    if (candles.length < cfg.kijunPeriod + 1) return empty;
+
+    const series = calculateIchimokuSeries(candles);
+    const last = candles.length - 1;
+    const close = candles[last].close;
+    const tenkan = series.tenkan[last],
+        kijun = series.kijun[last];
+    const cloud = ichimokuCloudAt(series, last);
+
+    let pricePosition = null;
+    if (cloud) pricePosition = close > cloud.top ? 'above' : close < cloud.bottom ? 'below' : 'inside';
+
+    const signals = [];
+    const addSignal = (name, scoreKey, direction, strength, description) =>
+        signals.push({ name, scoreKey, direction, strength: Math.min(1, strength), description });
+
+    // TK cross: graded by where it happens relative to the cloud
+    for (let i = last; i > Math.max(0, last - cfg.crossLookback); i--) {
+        const [t0, k0, t1, k1] = [series.tenkan[i - 1], series.kijun[i - 1], series.tenkan[i], series.kijun[i]];
+        if ([t0, k0, t1, k1].some(v => v === null)) break;
+        const direction = t0 <= k0 && t1 > k1 ? 'bullish' : t0 >= k0 && t1 < k1 ? 'bearish' : null;
+        if (!direction) continue;
+
+        const crossCloud = ichimokuCloudAt(series, i);
+        let grade = 'neutral';
+        if (crossCloud) {
+            const level = (t1 + k1) / 2;
+            const withCloud = direction === 'bullish' ? level > crossCloud.top : level < crossCloud.bottom;
+            const againstCloud = direction === 'bullish' ? level < crossCloud.bottom : level > crossCloud.top;
+            grade = withCloud ? 'strong' : againstCloud ? 'weak' : 'neutral';
+        }
+        addSignal('TK Cross', 'tkCross', direction, { strong: 1, neutral: 0.65, weak: 0.35 }[grade],
+            `${grade.charAt(0).toUpperCase() + grade.slice(1)} ${direction} Tenkan/Kijun cross`);
+        break;
+    }
+
+    // Price vs cloud, stronger on a fresh breakout out of it
+    if (cloud && pricePosition !== 'inside') {
+        const direction = pricePosition === 'above' ? 'bullish' : 'bearish';
+        const recent = candles.slice(-cfg.breakoutLookback - 1, -1).map((c, i) => ({ c, cloud: ichimokuCloudAt(series, last - cfg.breakoutLookback + i) }));
+        const breakout = recent.some(({ c, cloud: prior }) => prior && (direction === 'bullish' ? c.close <= prior.top : c.close >= prior.bottom));
+        addSignal(breakout ? 'Kumo Breakout' : 'Price vs Kumo', 'kumoBreakout', direction,
+            (breakout ? 0.9 : 0.5) + (cloud.color === direction ? 0.1 : 0),
+            breakout ? `Close broke ${pricePosition} the cloud` : `Price holding ${pricePosition} the cloud`);
+    }
+
+    // Kumo twist: the cloud being projected ahead changed colour recently
+    const futureColor = i => series.spanA[i] !== null && series.spanB[i] !== null ? (series.spanA[i] >= series.spanB[i] ? 'bullish' : 'bearish') : null;
+    const futureCloud = futureColor(last);
+    for (let i = last; i > Math.max(0, last - cfg.twistLookback); i--) {
+        const before = futureColor(i - 1),
+            after = futureColor(i);
+        if (before && after && before !== after) {
+            addSignal('Kumo Twist', 'kumoTwist', after, 0.6, `Future cloud turned ${after}`);
+            break;
+        }
+    }
+
+    // Chikou: today's close against price `displacement` bars back confirms the trend
+    const chikouBase = candles[last - cfg.displacement];
+    if (chikouBase) {
+        const direction = close > chikouBase.high ? 'bullish' : close < chikouBase.low ? 'bearish' : null;
+        if (direction) addSignal('Chikou Confirmation', 'chikouConfirmation', direction, 0.5, `Chikou span ${direction === 'bullish' ? 'above' : 'below'} past price`);
+    }
+
+    const net = signals.reduce((sum, s) => sum + (s.direction === 'bullish' ? s.strength : -s.strength), 0);
+    const signal = Math.abs(net) >= cfg.minSignalScore ? (net > 0 ? 'BUY' : 'SELL') : 'HOLD';
+
+    if (config.debug) {
+        console.log(`⛩️ ICHIMOKU: price ${pricePosition || 'N/A'} cloud, ${signals.map(s => `${s.name} ${s.direction}`).join(', ') || 'no signals'} → ${signal}`);
+    }
+
+    return {
+        signal: signal,
+        strength: signal === 'HOLD' ? 0 : Math.min(1, Math.abs(net) / 2),
+        tenkan: tenkan,
+        kijun: kijun,
+        chikou: close,
+        cloud: cloud,
+        futureCloud: futureCloud,
+        pricePosition: pricePosition,
+        signals: signals,
+        series: series
+    };
+}
+
+// Cloud shaded green/red between the spans (projected past the last candle), with Tenkan and Kijun on top
+function drawIchimokuCloud(ctx, ichimoku, candles, toCanvasX, toCanvasY) {
+    if (!ichimoku || !ichimoku.series || candles.length < 2) return;
+
+    const { series } = ichimoku;
+    const displacement = config.ichimoku.displacement;
+    const centers = candles.map(c => (c.x_start + c.x_end) / 2);
+    const spacing = (centers[centers.length - 1] - centers[0]) / (centers.length - 1);
+    const xAt = index => toCanvasX(index < centers.length ? centers[index] : centers[centers.length - 1] + (index - centers.length + 1) * spacing);
+
+    // One filled quad per bar so each stretch takes the colour of its leading span
+    for (let i = 0; i < series.spanA.length - 1; i++) {
+        const [a0, b0, a1, b1] = [series.spanA[i], series.spanB[i], series.spanA[i + 1], series.spanB[i + 1]];
+        if ([a0, b0, a1, b1].some(v => v === null)) continue;
+        const x0 = xAt(i + displacement),
+            x1 = xAt(i + 1 + displacement);
+        ctx.fillStyle = a0 >= b0 ? 'rgba(34, 197, 94, 0.15)' : 'rgba(239, 68, 68, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(x0, toCanvasY(a0));
+        ctx.lineTo(x1, toCanvasY(a1));
+        ctx.lineTo(x1, toCanvasY(b1));
+        ctx.lineTo(x0, toCanvasY(b0));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    const drawLine = (values, color) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        let started = false;
+        values.forEach((value, i) => {
+            if (value === null) return;
+            if (!started) ctx.moveTo(xAt(i), toCanvasY(value));
+            else ctx.lineTo(xAt(i), toCanvasY(value));
+            started = true;
+        });
+        ctx.stroke();
+    };
+    ctx.lineWidth = 1;
+    drawLine(series.tenkan, 'rgba(59, 130, 246, 0.8)');
+    drawLine(series.kijun, 'rgba(190, 18, 60, 0.8)');
+}
@@ -0,0 +1,279 @@
+// Liquidity Analysis - equal-high/low pools, stop-hunt sweeps, accumulation/distribution ranges and fair-value gaps
+'use strict';
+
+// Fractal swing highs and lows: a bar whose high (low) beats `lookback` bars on each side
+function findSwingPoints(candles, lookback) {
+    const highs = [],
+        lows = [];
+
+    for (let i = lookback; i < candles.length - lookback; i++) {
+        const neighbours = candles.slice(i - lookback, i).concat(candles.slice(i + 1, i + lookback + 1));
+        if (neighbours.every(c => candles[i].high > c.high)) highs.push({ index: i, price: candles[i].high });
+        if (neighbours.every(c => candles[i].low < c.low)) lows.push({ index: i, price: candles[i].low });
+    }
+
+    return { highs, lows };
+}
+
+// As findSwingPoints, but a tie to the right still counts: a flat top of equal (pixel) highs yields its first bar
+// instead of no swing at all, which would merge two legs of a wave or XABCD count
+function findSwingPointsWithTies(candles, lookback) {
+    const highs = [],
+        lows = [];
+
+    for (let i = lookback; i < candles.length - lookback; i++) {
+        const left = candles.slice(i - lookback, i),
+            right = candles.slice(i + 1, i + lookback + 1);
+        const { high, low } = candles[i];
+        if (left.every(c => high > c.high) && right.every(c => high >= c.high)) highs.push({ index: i, price: high });
+        if (left.every(c => low < c.low) && right.every(c => low <= c.low)) lows.push({ index: i, price: low });
+    }
+
+    return { highs, lows };
+}
+
+// Swings sitting at (nearly) the same price: resting stops beyond them form a liquidity pool
+function findLiquidityPools(candles, swings, side, tolerance) {
+    const pools = [];
+    const sorted = [...swings].sort((a, b) => a.price - b.price);
+    let cluster = [];
+
+    const closeCluster = () => {
+        if (cluster.length >= config.liquidity.minPoolTouches) {
+            const prices = cluster.map(s => s.price);
+            const indices = cluster.map(s => s.index).sort((a, b) => a - b);
+            // Stops rest just beyond the extreme touch
+            const level = side === 'buy-side' ? Math.max(...prices) : Math.min(...prices);
+            const lastTouch = indices[indices.length - 1];
+            const sweptAt = candles.slice(lastTouch + 1).findIndex(c =>
+                side === 'buy-side' ? c.high > level : c.low < level);
+
+            pools.push({
+                type: side,
+                level: level,
+                range: { high: Math.max(...prices), low: Math.min(...prices) },
+                touches: cluster.length,
+                indices: indices,
+                swept: sweptAt >= 0,
+                sweptIndex: sweptAt >= 0 ? lastTouch + 1 + sweptAt : null,
+                strength: Math.min(1, cluster.length / 4 + (lastTouch / candles.length) * 0.25)
+            });
+        }
+    };
+
+    sorted.forEach(swing => {
+        if (cluster.length > 0 && swing.price - cluster[0].price > tolerance) {
+            closeCluster();
+            cluster = [];
+        }
+        cluster.push(swing);
+    });
+    closeCluster();
+
+    return pools;
+}
+
+// Wicks that run a prior swing and close back inside: stops taken, move rejected
+function detectLiquiditySweeps(candles, swings, priceRange) {
+    const cfg = config.liquidity;
+    const sweeps = [];
+
+    const check = (swing, side) => {
+        const end = Math.min(candles.length, swing.index + 1 + cfg.sweepLookahead);
+        for (let i = swing.index + cfg.swingLookback + 1; i < end; i++) {
+            const c = candles[i];
+            const pierced = side === 'high' ? c.high > swing.price : c.low < swing.price;
+            if (!pierced) continue;
+
+            const closedBack = side === 'high' ? c.close < swing.price : c.close > swing.price;
+            if (closedBack) {
+                const depth = side === 'high' ? c.high - swing.price : swing.price - c.low;
+                const candleRange = c.high - c.low || 1;
+                sweeps.push({
+                    type: side === 'high' ? 'bearish' : 'bullish',
+                    level: swing.price,
+                    range: side === 'high' ? { high: c.high, low: swing.price } : { high: swing.price, low: c.low },
+                    index: i,
+                    swingIndex: swing.index,
+                    strength: Math.min(1, 0.4 + depth / candleRange * 0.6 + depth / priceRange * 2)
+                });
+            }
+            // Only the first candle through the level can be the hunt
+            return;
+        }
+    };
+
+    swings.highs.forEach(swing => check(swing, 'high'));
+    swings.lows.forEach(swing => check(swing, 'low'));
+
+    return sweeps.sort((a, b) => a.index - b.index);
+}
+
+// Tight ranges of at least minRangeCandles; the move into the range decides accumulation vs distribution
+function detectConsolidationRanges(candles, priceRange) {
+    const cfg = config.liquidity;
+    const maxHeight = priceRange * cfg.maxRangeHeight;
+    const ranges = [];
+    let start = 0;
+
+    while (start <= candles.length - cfg.minRangeCandles) {
+        let high = -Infinity,
+            low = Infinity,
+            end = start;
+
+        while (end < candles.length) {
+            const nextHigh = Math.max(high, candles[end].high);
+            const nextLow = Math.min(low, candles[end].low);
+            if (nextHigh - nextLow > maxHeight) break;
+            high = nextHigh;
+            low = nextLow;
+            end++;
+        }
+
+        const length = end - start;
+        if (length < cfg.minRangeCandles) {
+            start++;
+            continue;
+        }
+
+        // Compare the range with the price a range-length before it
+        const before = candles.slice(Math.max(0, start - length), start);
+        const mid = (high + low) / 2;
+        let type = null;
+        if (before.length >= 3) {
+            const priorMove = before[0].close - mid;
+            if (Math.abs(priorMove) > (high - low) / 2) type = priorMove > 0 ? 'accumulation' : 'distribution';
+        }
+        // No clear approach: fall back to the breakout direction
+        if (!type && end < candles.length) {
+            if (candles[end].close > high) type = 'accumulation';
+            else if (candles[end].close < low) type = 'distribution';
+        }
+
+        if (type) {
+            ranges.push({
+                type: type,
+                level: mid,
+                range: { high, low },
+                startIndex: start,
+                endIndex: end - 1,
+                active: end === candles.length,
+                strength: Math.min(1, length / (cfg.minRangeCandles * 3) + (1 - (high - low) / maxHeight) * 0.4)
+            });
+        }
+        start = end;
+    }
+
+    return ranges;
+}
+
+// Three-candle imbalances where the outer wicks do not overlap; filled once price trades back through
+function detectFairValueGaps(candles, priceRange) {
+    const minGap = priceRange * config.liquidity.minGapRatio;
+    const gaps = [];
+
+    for (let i = 1; i < candles.length - 1; i++) {
+        const prev = candles[i - 1],
+            next = candles[i + 1];
+        let gap = null;
+
+        if (next.low - prev.high >= minGap) {
+            gap = { type: 'bullish', range: { high: next.low, low: prev.high } };
+        } else if (prev.low - next.high >= minGap) {
+            gap = { type: 'bearish', range: { high: prev.low, low: next.high } };
+        }
+        if (!gap) continue;
+
+        const later = candles.slice(i + 2);
+        const filled = later.some(c => gap.type === 'bullish' ? c.low <= gap.range.low : c.high >= gap.range.high);
+        const size = gap.range.high - gap.range.low;
+
+        gaps.push({
+            ...gap,
+            level: (gap.range.high + gap.range.low) / 2,
+            index: i,
+            filled: filled,
+            strength: Math.min(1, size / (priceRange * 0.03) * 0.5 + 0.3)
+        });
+    }
+
+    return gaps;
+}
+
+function performLiquidityAnalysis(candles, priceRange) {
+    const cfg = config.liquidity;
+    const empty = {
+        signal: 'HOLD',
+        strength: 0,
+        liquidityPools: [],
+        sweeps: [],
+        accumulationZones: [],
+        distributionZones: [],
+        fairValueGaps: [],
+        hiddenLiquidity: []
+    };
+    if (candles.length < cfg.swingLookback * 2 + 3) return empty;
+
+    const swings = findSwingPoints(candles, cfg.swingLookback);
+    const tolerance = priceRange * cfg.equalLevelTolerance;
+    const liquidityPools = [
+        ...findLiquidityPools(candles, swings.highs, 'buy-side', tolerance),
+        ...findLiquidityPools(candles, swings.lows, 'sell-side', tolerance)
+    ];
+    const sweeps = detectLiquiditySweeps(candles, swings, priceRange);
+    const ranges = detectConsolidationRanges(candles, priceRange);
+    const fairValueGaps = detectFairValueGaps(candles, priceRange);
+
+    // Resting liquidity price has not reached yet: unswept pools and open gaps
+    const hiddenLiquidity = [
+        ...liquidityPools.filter(pool => !pool.swept),
+        ...fairValueGaps.filter(gap => !gap.filled)
+    ].sort((a, b) => b.strength - a.strength);
+
+    const current = candles[candles.length - 1];
+    const recentFrom = candles.length - cfg.recentCandles;
+    let buyScore = 0,
+        sellScore = 0;
+
+    // A fresh sweep of sell-side liquidity is bullish, of buy-side bearish
+    sweeps.filter(s => s.index >= recentFrom).forEach(s => {
+        if (s.type === 'bullish') buyScore += s.strength;
+        else sellScore += s.strength;
+    });
+
+    // Price inside or just out of the latest range takes the range's bias
+    const lastRange = ranges[ranges.length - 1];
+    if (lastRange && lastRange.endIndex >= recentFrom) {
+        if (lastRange.type === 'accumulation' && current.close >= lastRange.range.low) buyScore += lastRange.strength * 0.8;
+        if (lastRange.type === 'distribution' && current.close <= lastRange.range.high) sellScore += lastRange.strength * 0.8;
+    }
+
+    // Trading back into an open gap: bullish gaps tend to act as support, bearish as resistance
+    fairValueGaps.filter(gap => !gap.filled).forEach(gap => {
+        if (current.low <= gap.range.high && current.high >= gap.range.low) {
+            if (gap.type === 'bullish') buyScore += gap.strength * 0.5;
+            else sellScore += gap.strength * 0.5;
+        }
+    });
+
+    let signal = 'HOLD';
+    const net = buyScore - sellScore;
+    if (Math.abs(net) >= cfg.minSignalScore) signal = net > 0 ? 'BUY' : 'SELL';
+
+    const result = {
+        signal: signal,
+        strength: signal === 'HOLD' ? 0 : Math.min(1, Math.abs(net)),
+        liquidityPools: liquidityPools,
+        sweeps: sweeps,
+        accumulationZones: ranges.filter(r => r.type === 'accumulation').slice(-cfg.maxZones),
+        distributionZones: ranges.filter(r => r.type === 'distribution').slice(-cfg.maxZones),
+        fairValueGaps: fairValueGaps,
+        hiddenLiquidity: hiddenLiquidity
+    };
+
+    if (config.debug) {
+        console.log(`💧 LIQUIDITY: ${liquidityPools.length} pools, ${sweeps.length} sweeps, ${ranges.length} ranges, ` +
+            `${fairValueGaps.length} FVGs → ${signal}`);
+    }
+    return result;
+}
@@ -0,0 +1,446 @@
+// Optimiser - walk-forward grid/random/genetic search over score weights and thresholds, saved as config profiles
+'use strict';
+
+function getConfigValue(path) {
+    return path.split('.').reduce((node, key) => node[key], config);
+}
+
+function setConfigValue(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((node, key) => node[key], config)[last] = value;
+}
+
+function captureConfigParameters(paths) {
+    return Object.fromEntries(paths.map(path => [path, getConfigValue(path)]));
+}
+
+function applyConfigParameters(parameters) {
+    Object.entries(parameters).forEach(([path, value]) => setConfigValue(path, value));
+}
+
+// Everything the optimiser may tune, as shipped; profiles apply on top of these
+const defaultConfigParameters = captureConfigParameters([
+    ...Object.keys(config.scores).filter(key => !config.optimizer.fixedScores.includes(key)).map(key => `scores.${key}`),
+    ...Object.keys(config.optimizer.ranges)
+]);
+
+// Search ranges: score weights scale around their defaults, the rest come from config.optimizer.ranges
+function buildParameterSpace(cfg) {
+    const [low, high] = cfg.scoreRange;
+    return Object.keys(defaultConfigParameters).map(path => cfg.ranges[path] ?
+        { path: path, ...cfg.ranges[path] } :
+        { path: path, min: defaultConfigParameters[path] * low, max: defaultConfigParameters[path] * high });
+}
+
+function roundParameter(value, range) {
+    const clamped = Math.min(range.max, Math.max(range.min, value));
+    return range.integer ? Math.round(clamped) : Math.round(clamped * 1000) / 1000;
+}
+
+function sampleParameters(space) {
+    return Object.fromEntries(space.map(range => [range.path, roundParameter(range.min + Math.random() * (range.max - range.min), range)]));
+}
+
+// The metric being maximised; too few trades or an undefined metric can never win
+function optimizerFitness(metrics, objective, minTrades) {
+    const value = metrics[objective];
+    if (metrics.trades < minTrades || value === null || isNaN(value)) return -Infinity;
+    return value === Infinity ? Number.MAX_VALUE : value;
+}
+
+// Config is swapped in for the run and restored after, even if the backtest throws
+async function backtestWithParameters(records, parameters, options) {
+    const previous = captureConfigParameters(Object.keys(parameters));
+    applyConfigParameters(parameters);
+    try {
+        return await runBacktest(records, options);
+    } finally {
+        applyConfigParameters(previous);
+    }
+}
+
+// Candidate parameter sets per method; genetic search breeds each generation from the evaluations so far
+function* gridCandidates(space, cfg, current) {
+    const ranges = space.filter(range => cfg.gridParameters.includes(range.path));
+    const levels = ranges.map(range => Array.from({ length: cfg.gridSteps }, (_, i) =>
+        roundParameter(range.min + (range.max - range.min) * i / Math.max(1, cfg.gridSteps - 1), range)));
+
+    const combine = (index, partial) => index === ranges.length ? [partial] :
+        levels[index].flatMap(value => combine(index + 1, { ...partial, [ranges[index].path]: value }));
+    yield* combine(0, { ...current });
+}
+
+function* randomCandidates(space, cfg, current) {
+    // The current settings go first so a search never reports something worse than doing nothing
+    yield current;
+    while (true) yield sampleParameters(space);
+}
+
+function* geneticCandidates(space, cfg, current, evaluated) {
+    let population = [current, ...Array.from({ length: cfg.population - 1 }, () => sampleParameters(space))];
+    while (true) {
+        yield* population;
+        const ranked = evaluated.slice(-population.length).sort((a, b) => b.fitness - a.fitness);
+        const parents = ranked.slice(0, Math.max(2, Math.ceil(ranked.length / 2)));
+        const pick = () => parents[Math.floor(Math.random() * parents.length)].parameters;
+
+        // Elites carry over untouched (re-evaluated, so a lucky window does not stay best by default)
+        const elites = ranked.slice(0, cfg.eliteCount).map(e => e.parameters);
+        const children = Array.from({ length: cfg.population - elites.length }, () => {
+            const [a, b] = [pick(), pick()];
+            return Object.fromEntries(space.map(range => {
+                const gene = Math.random() < 0.5 ? a[range.path] : b[range.path];
+                return [range.path, Math.random() < cfg.mutationRate ?
+                    roundParameter(range.min + Math.random() * (range.max - range.min), range) : gene];
+            }));
+        });
+        population = [...elites, ...children];
+    }
+}
+
+// Search one training window; returns every evaluation and the best
+async function searchParameters(records, cfg, onEvaluation) {
+    const space = buildParameterSpace(cfg);
+    const current = captureConfigParameters(space.map(range => range.path));
+    const evaluated = [];
+    const generators = { grid: gridCandidates, random: randomCandidates, genetic: geneticCandidates };
+    const candidates = (generators[cfg.method] || randomCandidates)(space, cfg, current, evaluated);
+
+    for (const parameters of candidates) {
+        if (evaluated.length >= cfg.maxEvaluations || (cfg.shouldStop && cfg.shouldStop())) break;
+        const backtest = await backtestWithParameters(records, parameters, { shouldStop: cfg.shouldStop });
+        evaluated.push({
+            parameters: parameters,
+            metrics: backtest.metrics,
+            fitness: optimizerFitness(backtest.metrics, cfg.objective, cfg.minTrades)
+        });
+        if (onEvaluation) onEvaluation(evaluated.length);
+    }
+
+    const best = evaluated.reduce((top, e) => !top || e.fitness > top.fitness ? e : top, null);
+    return { best: best, evaluations: evaluated.length };
+}
+
+// Rolling windows: train on trainRatio of the file, test on the next slice, shift by one test slice per fold.
+// Test runs start with the end of the training window as warm-up history, so only unseen bars are traded
+function splitWalkForward(records, cfg) {
+    const { warmupBars } = config.backtest;
+    const trainBars = Math.floor(records.length * cfg.trainRatio);
+    const testBars = Math.floor((records.length - trainBars) / cfg.folds);
+    if (trainBars <= warmupBars || testBars < 10) {
+        throw new Error(`${records.length} candles are too few for ${cfg.folds} walk-forward folds after ${warmupBars} warm-up bars`);
+    }
+
+    return Array.from({ length: cfg.folds }, (_, fold) => {
+        const trainStart = fold * testBars;
+        const trainEnd = trainStart + trainBars;
+        return {
+            fold: fold + 1,
+            train: records.slice(trainStart, trainEnd),
+            test: records.slice(trainEnd - warmupBars + 1, trainEnd + testBars),
+            testBars: testBars
+        };
+    });
+}
+
+// Out-of-sample folds chained into one equity curve and trade list
+function combineBacktests(backtests, timeframeMinutes) {
+    const trades = [],
+        equityCurve = [];
+    let scale = 1;
+    backtests.forEach(backtest => {
+        trades.push(...backtest.trades);
+        backtest.equityCurve.forEach(point => equityCurve.push({ ...point, equity: point.equity * scale }));
+        if (equityCurve.length > 0) scale = equityCurve[equityCurve.length - 1].equity;
+    });
+    return { trades: trades, equityCurve: equityCurve, metrics: computeBacktestMetrics(trades, equityCurve, timeframeMinutes) };
+}
+
+// Optimise on each training window, then trade its winner (and the current settings, for comparison) on the
+// following unseen slice. The profile to keep is the winner of the latest window: choosing by test results would leak
+async function runWalkForwardOptimization(datasets, options = {}) {
+    const cfg = { ...config.optimizer, ...options };
+    const splits = datasets.flatMap(dataset => splitWalkForward(dataset.records, cfg).map(split => ({ ...split, name: dataset.name })));
+    const timeframes = [...new Set(datasets.map(dataset => {
+        const timeframe = inferTimeframe(dataset.records);
+        return timeframe ? timeframe.minutes : null;
+    }))];
+    const timeframeMinutes = timeframes.length === 1 ? timeframes[0] : null;
+    const current = captureConfigParameters(Object.keys(defaultConfigParameters));
+
+    const folds = [];
+    for (const split of splits) {
+        if (cfg.shouldStop && cfg.shouldStop()) break;
+        const progress = step => cfg.onProgress && cfg.onProgress(folds.length + 1, splits.length, step, cfg.maxEvaluations);
+        const search = await searchParameters(split.train, cfg, progress);
+        if (!search.best) break;
+
+        const test = await backtestWithParameters(split.test, search.best.parameters, { shouldStop: cfg.shouldStop });
+        const baseline = await backtestWithParameters(split.test, current, { shouldStop: cfg.shouldStop });
+        folds.push({
+            name: split.name,
+            fold: split.fold,
+            trainBars: split.train.length,
+            testBars: split.testBars,
+            evaluations: search.evaluations,
+            parameters: search.best.parameters,
+            inSample: search.best.metrics,
+            outOfSample: test.metrics,
+            test: test,
+            baseline: baseline
+        });
+
+        if (config.debug) {
+            console.log(`🧬 WALK-FORWARD ${split.name} fold ${split.fold}: in-sample ${cfg.objective} ` +
+                `${search.best.metrics[cfg.objective]}, out-of-sample ${test.metrics[cfg.objective]}`);
+        }
+    }
+    if (folds.length === 0) throw new Error('Optimisation stopped before any fold completed');
+
+    // Walk-forward efficiency: how much of the in-sample objective survives out of sample (near 1 or above is robust)
+    const average = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const inSample = average(folds.map(f => optimizerFitness(f.inSample, cfg.objective, 0)).filter(isFinite));
+    const outOfSample = average(folds.map(f => optimizerFitness(f.outOfSample, cfg.objective, 0)).filter(isFinite));
+
+    return {
+        method: cfg.method,
+        objective: cfg.objective,
+        folds: folds,
+        outOfSample: combineBacktests(folds.map(f => f.test), timeframeMinutes),
+        baseline: combineBacktests(folds.map(f => f.baseline), timeframeMinutes),
+        efficiency: inSample > 0 && isFinite(outOfSample) ? outOfSample / inSample : null,
+        parameters: folds[folds.length - 1].parameters
+    };
+}
+
+// Config profiles: named parameter sets kept in localStorage and exportable as JSON
+function loadConfigProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem('configProfiles')) || {};
+    } catch (e) {
+        console.warn('Could not load config profiles:', e);
+        return {};
+    }
+}
+
+function saveConfigProfile(profile) {
+    const profiles = loadConfigProfiles();
+    profiles[profile.name] = profile;
+    try {
+        localStorage.setItem('configProfiles', JSON.stringify(profiles));
+    } catch (e) {
+        console.warn('Could not save config profile:', e);
+    }
+}
+
+// Reset to the shipped values before applying, so switching profiles leaves nothing behind; '' means defaults
+function applyConfigProfile(name) {
+    const profile = loadConfigProfiles()[name];
+    applyConfigParameters(defaultConfigParameters);
+    if (profile) applyConfigParameters(profile.parameters);
+    try {
+        localStorage.setItem('activeConfigProfile', profile ? name : '');
+    } catch (e) {
+        console.warn('Could not save active config profile:', e);
+    }
+    if (config.debug) console.log(`🗂️ CONFIG PROFILE: ${profile ? name : 'defaults'}`);
+}
+
+function populateConfigProfileSelect(selected) {
+    const select = document.getElementById('configProfileSelect');
+    if (!select) return;
+    // Profile names are user text, so they go in as option values and text, never as markup
+    select.innerHTML = '<option value="">Defaults</option>';
+    Object.keys(loadConfigProfiles()).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = selected || '';
+}
+
+function initializeConfigProfiles() {
+    let active = '';
+    try {
+        active = localStorage.getItem('activeConfigProfile') || '';
+    } catch (e) {
+        console.warn('Could not load active config profile:', e);
+    }
+    if (active && loadConfigProfiles()[active]) applyConfigProfile(active);
+    else active = '';
+    populateConfigProfileSelect(active);
+
+    const method = document.getElementById('optimizerMethod');
+    const objective = document.getElementById('optimizerObjective');
+    if (method) method.value = config.optimizer.method;
+    if (objective) objective.value = config.optimizer.objective;
+}
+
+// Download the selected profile as JSON
+function exportConfigProfile() {
+    const name = document.getElementById('configProfileSelect').value;
+    const profile = loadConfigProfiles()[name];
+    if (!profile) {
+        showError('Select a saved profile to export');
+        return;
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' }));
+    link.download = `${name.replace(/[^\w-]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function importConfigProfile(file) {
+    if (!file) return;
+    try {
+        const profile = JSON.parse(await file.text());
+        if (typeof profile.name !== 'string' || !profile.name.trim() || !profile.parameters || typeof profile.parameters !== 'object') {
+            throw new Error('Not a config profile');
+        }
+        profile.name = profile.name.trim();
+        // Only numeric values for keys the optimiser knows about are accepted
+        profile.parameters = Object.fromEntries(Object.entries(profile.parameters)
+            .filter(([path, value]) => path in defaultConfigParameters && Number.isFinite(value)));
+        saveConfigProfile(profile);
+        applyConfigProfile(profile.name);
+        populateConfigProfileSelect(profile.name);
+        // Notifications are markup; the name is already shown in the selector
+        showSuccess('Config profile imported and applied');
+    } catch (error) {
+        showError(`Profile import error: ${error.message}`);
+    }
+}
+
+let optimizerRunning = false;
+let optimizerStopRequested = false;
+let lastOptimization = null;
+
+function updateOptimizerStatus(text) {
+    const status = document.getElementById('optimizerStatus');
+    if (status) status.textContent = text;
+}
+
+// Per-fold in/out-of-sample results, combined out-of-sample metrics against the current settings, and saving
+function showOptimizationResults(optimization) {
+    const container = document.getElementById('optimizerResults');
+    if (!container) return;
+
+    const { objective } = optimization;
+    const format = value => value === null ? 'N/A' : value === Infinity ? '∞' : value.toFixed(2);
+    const summarize = metrics => `${metrics.trades} trades, win ${metrics.winRate !== null ? (metrics.winRate * 100).toFixed(0) + '%' : 'N/A'}, ` +
+        `${objective} ${format(metrics[objective])}, DD ${metrics.maxDrawdown.toFixed(1)}%`;
+    const changed = Object.entries(optimization.parameters)
+        .filter(([path, value]) => value !== defaultConfigParameters[path])
+        .map(([path, value]) => `${path}: ${defaultConfigParameters[path]} → ${value}`);
+
+    container.innerHTML = `
+        <div class="analysis-details">
+            ${optimization.folds.map(f => `
+                <div class="detail-card">
+                    <div class="detail-title">${f.name} - fold ${f.fold}</div>
+                    <div class="detail-value">
+                        Train (${f.trainBars} bars, ${f.evaluations} runs): ${summarize(f.inSample)}<br>
+                        Test (${f.testBars} bars): ${summarize(f.outOfSample)}<br>
+                        Current settings on test: ${summarize(f.baseline.metrics)}
+                    </div>
+                </div>
+            `).join('')}
+            <div class="detail-card">
+                <div class="detail-title">Out-of-Sample (${optimization.method})</div>
+                <div class="detail-value">
+                    Optimised: ${summarize(optimization.outOfSample.metrics)}<br>
+                    Current: ${summarize(optimization.baseline.metrics)}<br>
+                    Walk-forward efficiency: ${optimization.efficiency !== null ? (optimization.efficiency * 100).toFixed(0) + '%' : 'N/A'}
+                    ${optimization.efficiency !== null && optimization.efficiency < 0.5 ? '<br>⚠️ Most of the in-sample edge is lost on unseen data - likely overfit' : ''}
+                </div>
+            </div>
+            <div class="detail-card">
+                <div class="detail-title">Latest Window's Parameters</div>
+                <div class="detail-value" style="font-size: 0.8em;">
+                    ${changed.length > 0 ? changed.slice(0, 12).join('<br>') + (changed.length > 12 ? `<br>...and ${changed.length - 12} more` : '') : 'Same as defaults'}
+                </div>
+            </div>
+        </div>
+        <input type="text" id="optimizerProfileName" placeholder="Profile name" title="Name for the config profile">
+        <button type="button" onclick="saveOptimizationProfile()">Save as profile</button>
+        <canvas id="optimizerEquityCanvas" class="backtest-equity" width="600" height="160"></canvas>
+    `;
+    drawEquityCurve(document.getElementById('optimizerEquityCanvas'), optimization.outOfSample.equityCurve);
+}
+
+function saveOptimizationProfile() {
+    const input = document.getElementById('optimizerProfileName');
+    const name = input ? input.value.trim() : '';
+    if (!lastOptimization || !name) {
+        showError('Name the profile first');
+        return;
+    }
+
+    saveConfigProfile({
+        name: name,
+        createdAt: new Date().toISOString(),
+        method: lastOptimization.method,
+        objective: lastOptimization.objective,
+        parameters: lastOptimization.parameters,
+        outOfSample: lastOptimization.outOfSample.metrics,
+        efficiency: lastOptimization.efficiency
+    });
+    applyConfigProfile(name);
+    populateConfigProfileSelect(name);
+    showSuccess('Config profile saved and applied');
+}
+
+// Run or stop a walk-forward optimisation over the files chosen in the optimiser panel
+async function toggleOptimizer() {
+    const button = document.getElementById('optimizerButton');
+
+    if (optimizerRunning) {
+        optimizerStopRequested = true;
+        updateOptimizerStatus('Stopping...');
+        return;
+    }
+
+    const files = Array.from(document.getElementById('optimizerFiles').files);
+    if (files.length === 0) {
+        showError('Choose one or more CSV/JSON files to optimise on');
+        return;
+    }
+
+    optimizerRunning = true;
+    optimizerStopRequested = false;
+    if (button) button.textContent = 'Stop';
+    try {
+        const datasets = await Promise.all(files.map(async file => ({
+            name: file.name,
+            records: parseOHLCVFile(await file.text(), file.name)
+        })));
+        lastOptimization = await runWalkForwardOptimization(datasets, {
+            method: document.getElementById('optimizerMethod').value,
+            objective: document.getElementById('optimizerObjective').value,
+            shouldStop: () => optimizerStopRequested,
+            onProgress: (fold, folds, run, runs) => updateOptimizerStatus(`Fold ${fold}/${folds}, run ${run}/${runs}`)
+        });
+        showOptimizationResults(lastOptimization);
+        updateOptimizerStatus(`${optimizerStopRequested ? 'Stopped' : 'Done'}: ${lastOptimization.folds.length} folds`);
+    } catch (error) {
+        console.error('❌ OPTIMISATION FAILED:', error);
+        showError(`Optimisation error: ${error.message}`);
+        updateOptimizerStatus(error.message);
+    } finally {
+        optimizerRunning = false;
+        if (button) button.textContent = 'Run';
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.toggleOptimizer = toggleOptimizer;
+    window.saveOptimizationProfile = saveOptimizationProfile;
+    window.applyConfigProfile = applyConfigProfile;
+    window.exportConfigProfile = exportConfigProfile;
+    window.importConfigProfile = importConfigProfile;
+    document.addEventListener('DOMContentLoaded', initializeConfigProfiles);
+}
@@ -0,0 +1,276 @@
+// Overlay Suppression - removes indicator lines, drawn trendlines and legend text before candle detection
+'use strict';
+
+// Mask thin coloured polylines and text rows out of the image data and report what was removed
+function suppressOverlays(imageData) {
+    const { data: pixels, width, height } = imageData;
+    const cfg = config.overlays;
+    const background = clusterRegionColors(imageData, {
+        left: 0,
+        top: 0,
+        right: width,
+        bottom: height
+    }).background;
+
+    // Only chromatic pixels can pass the candle colour tests, so gray gridlines and labels stay untouched
+    const chromatic = new Uint8Array(width * height);
+    const minDistanceSq = config.plotArea.foregroundDistance ** 2;
+    for (let p = 0; p < width * height; p++) {
+        const i = p * 4;
+        const rgb = [pixels[i], pixels[i + 1], pixels[i + 2]];
+        if (colorChroma(rgb) > cfg.minChroma &&
+            (rgb[0] - background[0]) ** 2 + (rgb[1] - background[1]) ** 2 + (rgb[2] - background[2]) ** 2 > minDistanceSq) {
+            chromatic[p] = 1;
+        }
+    }
+
+    const similar = (p, q) => chromatic[q] && colorDistance(pixelColor(pixels, p), pixelColor(pixels, q)) <= cfg.colorTolerance;
+
+    // Candle bodies and wicks form tall single-colour column runs; indicator lines are only a few pixels thick
+    const thin = findThinPixels(chromatic, similar, width, height, cfg.maxLineThickness);
+    const lines = findOverlayLines(thin, similar, pixels, width, height);
+
+    const removed = new Uint8Array(width * height);
+    lines.forEach(line => line.pixels.forEach(p => { removed[p] = 1; }));
+
+    const textRows = findTextRows(chromatic, similar, removed, width, height);
+    textRows.forEach(row => row.pixels.forEach(p => { removed[p] = 1; }));
+
+    const removedPixels = inpaintRemovedPixels(imageData, removed, background);
+
+    const report = {
+        lines: lines.map(line => ({
+            color: rgbToHex(line.color),
+            left: line.left,
+            right: line.right,
+            pixels: line.pixels.length
+        })),
+        textRows: textRows.map(row => ({
+            left: row.left,
+            top: row.top,
+            right: row.right,
+            bottom: row.bottom,
+            glyphs: row.glyphs
+        })),
+        removedPixels: removedPixels
+    };
+
+    if (config.debug) console.log('🧹 OVERLAYS SUPPRESSED:', report);
+    return report;
+}
+
+function pixelColor(pixels, p) {
+    const i = p * 4;
+    return [pixels[i], pixels[i + 1], pixels[i + 2]];
+}
+
+// Chromatic pixels whose same-colour vertical run is no taller than the line thickness
+function findThinPixels(chromatic, similar, width, height, maxThickness) {
+    const runUp = new Uint16Array(width * height);
+    const runDown = new Uint16Array(width * height);
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            const p = y * width + x;
+            if (chromatic[p]) runUp[p] = y > 0 && similar(p, p - width) ? runUp[p - width] + 1 : 1;
+        }
+        for (let y = height - 1; y >= 0; y--) {
+            const p = y * width + x;
+            if (chromatic[p]) runDown[p] = y < height - 1 && similar(p, p + width) ? runDown[p + width] + 1 : 1;
+        }
+    }
+
+    const thin = new Uint8Array(width * height);
+    for (let p = 0; p < width * height; p++) {
+        if (chromatic[p] && runUp[p] + runDown[p] - 1 <= maxThickness) thin[p] = 1;
+    }
+    return thin;
+}
+
+// 8-connected groups of same-colour pixels from a mask, with bounding boxes
+function labelColorComponents(mask, similar, width, height) {
+    const labels = new Int32Array(width * height).fill(-1);
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < width * height; start++) {
+        if (!mask[start] || labels[start] >= 0) continue;
+
+        const component = {
+            id: components.length,
+            pixels: [],
+            left: width,
+            right: 0,
+            top: height,
+            bottom: 0
+        };
+        labels[start] = component.id;
+        stack.push(start);
+
+        while (stack.length > 0) {
+            const p = stack.pop();
+            const x = p % width,
+                y = (p - x) / width;
+            component.pixels.push(p);
+            if (x < component.left) component.left = x;
+            if (x > component.right) component.right = x;
+            if (y < component.top) component.top = y;
+            if (y > component.bottom) component.bottom = y;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx,
+                        ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (mask[n] && labels[n] < 0 && similar(p, n)) {
+                        labels[n] = component.id;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+
+        components.push(component);
+    }
+
+    return components;
+}
+
+// Chain thin segments of one colour across short breaks (steep stretches) and keep the long polylines
+function findOverlayLines(thin, similar, pixels, width, height) {
+    const cfg = config.overlays;
+    const segments = labelColorComponents(thin, similar, width, height);
+    segments.forEach(segment => {
+        segment.color = pixelColor(pixels, segment.pixels[0]);
+        const endpoint = x => segment.pixels.find(p => p % width === x);
+        segment.start = endpoint(segment.left);
+        segment.end = endpoint(segment.right);
+    });
+
+    // A line crossing a same-coloured candle continues straight through solid colour
+    const coveredPath = (a, b) => {
+        const x0 = a.right,
+            y0 = Math.floor(a.end / width);
+        const x1 = b.left,
+            y1 = Math.floor(b.start / width);
+        for (let x = x0 + 1; x < x1; x++) {
+            const y = Math.round(y0 + (y1 - y0) * (x - x0) / (x1 - x0));
+            const hit = [y - 1, y, y + 1].some(yy => yy >= 0 && yy < height &&
+                colorDistance(pixelColor(pixels, yy * width + x), a.color) <= cfg.colorTolerance);
+            if (!hit) return false;
+        }
+        return true;
+    };
+
+    // Union-find over segments whose ends nearly touch or are joined through a candle
+    const parent = segments.map((_, i) => i);
+    const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+    const bySide = [...segments].sort((a, b) => a.left - b.left);
+    bySide.forEach(a => {
+        const aEndY = Math.floor(a.end / width);
+        bySide.forEach(b => {
+            const gap = b.left - a.right;
+            if (gap <= 0 || gap > config.plotArea.maxCandleRunWidth) return;
+            if (Math.abs(Math.floor(b.start / width) - aEndY) > gap * cfg.maxLineThickness * 2) return;
+            if (colorDistance(a.color, b.color) > cfg.colorTolerance) return;
+            if (gap > cfg.bridgeDistance && !coveredPath(a, b)) return;
+            parent[find(a.id)] = find(b.id);
+        });
+    });
+
+    const groups = new Map();
+    segments.forEach(segment => {
+        const root = find(segment.id);
+        const group = groups.get(root) || {
+            color: segment.color,
+            left: width,
+            right: 0,
+            pixels: []
+        };
+        group.left = Math.min(group.left, segment.left);
+        group.right = Math.max(group.right, segment.right);
+        group.pixels.push(...segment.pixels);
+        groups.set(root, group);
+    });
+
+    return Array.from(groups.values()).filter(group => group.right - group.left + 1 >= cfg.minLineSpan);
+}
+
+// Rows of small glyph-sized components sharing top and bottom edges, such as the chart legend
+function findTextRows(chromatic, similar, removed, width, height) {
+    const cfg = config.overlays;
+    const remaining = chromatic.map((v, p) => v && !removed[p] ? 1 : 0);
+    const glyphs = labelColorComponents(remaining, similar, width, height)
+        .filter(c => c.bottom - c.top + 1 <= cfg.maxTextHeight && c.right - c.left + 1 <= cfg.maxTextHeight)
+        .sort((a, b) => a.left - b.left);
+
+    const rows = [];
+    const used = new Set();
+    glyphs.forEach(first => {
+        if (used.has(first)) return;
+        const row = [first];
+        let last = first;
+        glyphs.forEach(glyph => {
+            if (used.has(glyph) || glyph.left <= last.right) return;
+            const glyphHeight = glyph.bottom - glyph.top + 1;
+            if (glyph.left - last.right > glyphHeight) return;
+            // Digits and capitals share a baseline; candles of equal height rarely line up exactly
+            if (Math.abs(glyph.bottom - first.bottom) > 1 || Math.abs(glyph.top - first.top) > 1) return;
+            row.push(glyph);
+            last = glyph;
+        });
+        if (row.length >= cfg.minGlyphs) {
+            row.forEach(glyph => used.add(glyph));
+            rows.push({
+                left: first.left,
+                right: last.right,
+                top: Math.min(...row.map(g => g.top)),
+                bottom: Math.max(...row.map(g => g.bottom)),
+                glyphs: row.length,
+                pixels: row.flatMap(g => g.pixels)
+            });
+        }
+    });
+
+    return rows;
+}
+
+// Refill removed pixels from the colour directly above and below when both agree (a line crossing a
+// candle body), otherwise with the background
+function inpaintRemovedPixels(imageData, removed, background) {
+    const { data: pixels, width, height } = imageData;
+    const reach = config.overlays.maxLineThickness + 1;
+    const fills = [];
+
+    for (let p = 0; p < width * height; p++) {
+        if (!removed[p]) continue;
+        const x = p % width,
+            y = (p - x) / width;
+
+        let above = -1,
+            below = -1;
+        for (let d = 1; d <= reach && above < 0; d++) {
+            if (y - d >= 0 && !removed[p - d * width]) above = p - d * width;
+        }
+        for (let d = 1; d <= reach && below < 0; d++) {
+            if (y + d < height && !removed[p + d * width]) below = p + d * width;
+        }
+
+        let fill = background;
+        if (above >= 0 && below >= 0) {
+            const upper = pixelColor(pixels, above),
+                lower = pixelColor(pixels, below);
+            if (colorDistance(upper, lower) <= config.overlays.colorTolerance) fill = upper;
+        }
+        fills.push([p, fill]);
+    }
+
+    fills.forEach(([p, rgb]) => {
+        pixels[p * 4] = rgb[0];
+        pixels[p * 4 + 1] = rgb[1];
+        pixels[p * 4 + 2] = rgb[2];
+    });
+
+    return fills.length;
+}
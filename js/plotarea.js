@@ -0,0 +1,256 @@
+// Plot Area Detection - finds the candle pane, price scale, sub-panes and gridlines
+'use strict';
+
+// Locate the candle plot so extraction scans only the price pane
+function detectPlotArea(imageData, colorProfile) {
+    const { data: pixels, width, height } = imageData;
+    const cfg = config.plotArea;
+    const colors = createColorMatcher(colorProfile);
+    const background = clusterRegionColors(imageData, {
+        left: 0,
+        top: 0,
+        right: width,
+        bottom: height
+    }).background;
+
+    const candleMask = new Uint8Array(width * height);
+    const lineMask = new Uint8Array(width * height);
+    const candleCols = new Uint32Array(width);
+    const foregroundSq = cfg.foregroundDistance * cfg.foregroundDistance;
+
+    // Classify every pixel as candle colour, other foreground (lines/text) or background
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const i = p * 4;
+            const r = pixels[i],
+                g = pixels[i + 1],
+                b = pixels[i + 2];
+            if (colors.isBull(r, g, b) || colors.isBear(r, g, b)) {
+                candleMask[p] = 1;
+                candleCols[x]++;
+            } else if ((r - background[0]) ** 2 + (g - background[1]) ** 2 + (b - background[2]) ** 2 > foregroundSq) {
+                lineMask[p] = 1;
+            }
+        }
+    }
+
+    const fallback = {
+        left: 0,
+        top: 0,
+        right: width,
+        bottom: Math.round(height * config.candles.chartAreaRatio),
+        pane: {
+            top: 0,
+            bottom: Math.round(height * config.candles.chartAreaRatio)
+        },
+        priceScale: {
+            left: Math.round(width * (1 - config.calibration.axisStripRatio)),
+            right: width
+        },
+        panes: [],
+        gridlines: { horizontal: [], vertical: [] },
+        background: rgbToHex(background),
+        source: 'fallback'
+    };
+
+    if (!candleCols.some(count => count > 0)) return fallback;
+
+    // Full-length axis and separator lines
+    const verticalLines = findLines(lineMask, width, height, 'vertical', cfg.axisLineCoverage);
+    const horizontalLines = filterPaneSeparators(
+        findLines(lineMask, width, height, 'horizontal', cfg.axisLineCoverage),
+        candleMask, width, height
+    );
+
+    // The price scale starts at the right-most axis line, or after the last candle-sized column run
+    const priceScaleLeft = findPriceScaleLeft(verticalLines, candleCols, width);
+
+    // Split the image into panes at separator lines and pick the one holding the candles
+    const panes = splitPanes(horizontalLines, height)
+        .map(pane => describePane(pane, candleMask, lineMask, width, priceScaleLeft))
+        .filter(pane => pane.contentPixels > 0);
+
+    if (!panes.some(pane => pane.candlePixels > 0)) return fallback;
+
+    const pricePanes = panes.filter(pane => pane.bottomAnchored < cfg.volumeAnchoredRatio);
+    const pricePane = (pricePanes.length > 0 ? pricePanes : panes)
+        .reduce((best, pane) => pane.candlePixels > best.candlePixels ? pane : best);
+
+    panes.forEach(pane => {
+        pane.role = pane === pricePane ? 'price' :
+            pane.bottomAnchored >= cfg.volumeAnchoredRatio ? 'volume' : 'indicator';
+    });
+
+
+    // Trim the price pane to the rows and columns that actually contain candles
+    let top = pricePane.bottom,
+        bottom = pricePane.top,
+        left = priceScaleLeft,
+        right = 0;
+    for (let y = pricePane.top; y < pricePane.bottom; y++) {
+        for (let x = 0; x < priceScaleLeft; x++) {
+            if (!candleMask[y * width + x]) continue;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+            if (x < left) left = x;
+            if (x > right) right = x;
+        }
+    }
+
+    const margin = cfg.margin;
+    const plotArea = {
+        left: Math.max(0, left - margin),
+        top: Math.max(pricePane.top, top - margin),
+        right: Math.min(priceScaleLeft, right + margin + 1),
+        bottom: Math.min(pricePane.bottom, bottom + margin + 1),
+        // Full price pane; the bounds above hug the candles and move with the data
+        pane: {
+            top: pricePane.top,
+            bottom: pricePane.bottom
+        },
+        priceScale: {
+            left: priceScaleLeft,
+            right: width
+        },
+        panes: panes.map(pane => ({
+            top: pane.top,
+            bottom: pane.bottom,
+            role: pane.role
+        })),
+        gridlines: findGridlines(lineMask, width, pricePane, priceScaleLeft),
+        background: rgbToHex(background),
+        source: 'detected'
+    };
+
+    if (config.debug) console.log('🗺️ PLOT AREA DETECTED:', plotArea);
+    return plotArea;
+}
+
+// Positions of rows or columns whose foreground pixels cover most of the image
+function findLines(mask, width, height, direction, coverage) {
+    const lines = [];
+    const outer = direction === 'vertical' ? width : height;
+    const inner = direction === 'vertical' ? height : width;
+
+    for (let a = 0; a < outer; a++) {
+        let count = 0;
+        for (let b = 0; b < inner; b++) {
+            const p = direction === 'vertical' ? b * width + a : a * width + b;
+            count += mask[p];
+        }
+        if (count / inner >= coverage) lines.push(a);
+    }
+
+    return lines;
+}
+
+// Left edge of the right-hand price scale
+function findPriceScaleLeft(verticalLines, candleCols, width) {
+    const cfg = config.plotArea;
+
+    // Right-most run of candle columns, skipping wide short blocks such as the current-price tag
+    let lastCandleX = -1;
+    let runEnd = -1,
+        runHeight = 0;
+    for (let x = width - 1; x >= -1; x--) {
+        if (x >= 0 && candleCols[x] > 0) {
+            if (runEnd < 0) runEnd = x;
+            runHeight = Math.max(runHeight, candleCols[x]);
+        } else if (runEnd >= 0) {
+            const isLabel = runEnd - x > cfg.maxCandleRunWidth && runHeight <= cfg.maxLabelHeight;
+            if (!isLabel) {
+                lastCandleX = runEnd;
+                break;
+            }
+            runEnd = -1;
+            runHeight = 0;
+        }
+    }
+
+    // Prefer the axis border line drawn right of the last candle
+    const minX = Math.max(lastCandleX, width * (1 - cfg.priceScaleMaxRatio));
+    const axisLine = verticalLines.find(x => x > minX);
+    if (axisLine !== undefined) return axisLine;
+
+    return lastCandleX >= 0 ? Math.min(width, lastCandleX + 1 + cfg.margin) : width;
+}
+
+// Drop full-width lines that candles cross, which are gridlines rather than pane separators
+function filterPaneSeparators(horizontalLines, candleMask, width, height) {
+    return horizontalLines.filter(y => {
+        if (y === 0 || y === height - 1) return true;
+        for (let x = 0; x < width; x++) {
+            if (candleMask[(y - 1) * width + x] && candleMask[(y + 1) * width + x]) return false;
+        }
+        return true;
+    });
+}
+
+// Horizontal bands between separator lines, ignoring thin slivers
+function splitPanes(horizontalLines, height) {
+    const cuts = [0, ...horizontalLines, height];
+    const panes = [];
+
+    for (let i = 0; i < cuts.length - 1; i++) {
+        const top = i === 0 ? 0 : cuts[i] + 1;
+        const bottom = cuts[i + 1];
+        if (bottom - top >= config.plotArea.minPaneHeight) {
+            panes.push({ top, bottom });
+        }
+    }
+
+    return panes;
+}
+
+// Candle pixel count and how many drawn columns rest on the pane floor (a volume histogram trait)
+function describePane(pane, candleMask, lineMask, width, right) {
+    let candlePixels = 0,
+        contentPixels = 0,
+        columns = 0,
+        anchored = 0;
+
+    for (let x = 0; x < right; x++) {
+        let lowest = -1;
+        for (let y = pane.top; y < pane.bottom; y++) {
+            const p = y * width + x;
+            if (candleMask[p]) candlePixels++;
+            if (candleMask[p] || lineMask[p]) {
+                contentPixels++;
+                lowest = y;
+            }
+        }
+        if (lowest >= 0) {
+            columns++;
+            if (pane.bottom - 1 - lowest <= config.plotArea.anchorTolerance) anchored++;
+        }
+    }
+
+    return {
+        ...pane,
+        candlePixels,
+        contentPixels,
+        bottomAnchored: columns > 0 ? anchored / columns : 0
+    };
+}
+
+// Faint gridlines inside the price pane (dashed lines still cover about half the span)
+function findGridlines(lineMask, width, pane, right) {
+    const coverage = config.plotArea.gridlineCoverage;
+    const horizontal = [];
+    const vertical = [];
+
+    for (let y = pane.top; y < pane.bottom; y++) {
+        let count = 0;
+        for (let x = 0; x < right; x++) count += lineMask[y * width + x];
+        if (count / right >= coverage) horizontal.push(y);
+    }
+
+    for (let x = 0; x < right; x++) {
+        let count = 0;
+        for (let y = pane.top; y < pane.bottom; y++) count += lineMask[y * width + x];
+        if (count / (pane.bottom - pane.top) >= coverage) vertical.push(x);
+    }
+
+    return { horizontal, vertical };
+}
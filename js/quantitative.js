@@ -0,0 +1,261 @@
+// Quantitative Analysis - RSI, MACD, moving averages, Bollinger Bands, ATR, stochastic and trend strength
+'use strict';
+
+// Simple moving average of the last `period` closes
+function calculateSMA(candles, period) {
+    if (candles.length < period || period <= 0) return null;
+    const closes = candles.slice(-period).map(c => c.close);
+    return closes.reduce((a, b) => a + b, 0) / period;
+}
+
+// Exponential moving average over a plain number series, seeded with the SMA of the first period values
+function calculateEMASeries(values, period) {
+    if (values.length < period) return [];
+    const k = 2 / (period + 1);
+    const series = [values.slice(0, period).reduce((a, b) => a + b, 0) / period];
+    for (let i = period; i < values.length; i++) {
+        series.push(values[i] * k + series[series.length - 1] * (1 - k));
+    }
+    return series;
+}
+
+// Wilder's RSI
+function calculateRSI(candles, period = config.quantitative.rsiPeriod) {
+    if (candles.length < period + 1) return null;
+
+    let gain = 0,
+        loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = candles[i].close - candles[i - 1].close;
+        if (change > 0) gain += change;
+        else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+
+    const values = [loss === 0 ? 100 : 100 - 100 / (1 + gain / loss)];
+    for (let i = period + 1; i < candles.length; i++) {
+        const change = candles[i].close - candles[i - 1].close;
+        gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+        values.push(loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    }
+
+    return {
+        value: values[values.length - 1],
+        values: values
+    };
+}
+
+// MACD line, signal line and histogram with crossover detection on the last bar
+function analyzeMACD(candles) {
+    const { fast, slow, signal: signalPeriod } = config.quantitative.macd;
+    if (candles.length < slow + signalPeriod) return null;
+
+    const closes = candles.map(c => c.close);
+    const fastEMA = calculateEMASeries(closes, fast).slice(slow - fast);
+    const slowEMA = calculateEMASeries(closes, slow);
+    const macdLine = slowEMA.map((value, i) => fastEMA[i] - value);
+    const signalLine = calculateEMASeries(macdLine, signalPeriod);
+    const histogram = signalLine.map((value, i) => macdLine[i + signalPeriod - 1] - value);
+
+    const last = histogram.length - 1;
+    let crossover = null;
+    if (last > 0 && histogram[last - 1] <= 0 && histogram[last] > 0) crossover = 'bullish';
+    if (last > 0 && histogram[last - 1] >= 0 && histogram[last] < 0) crossover = 'bearish';
+
+    return {
+        macd: macdLine[macdLine.length - 1],
+        signal: signalLine[signalLine.length - 1],
+        histogram: histogram[last],
+        previousHistogram: last > 0 ? histogram[last - 1] : null,
+        crossover: crossover,
+        histogramValues: histogram
+    };
+}
+
+// SMA and EMA for each configured period plus their stacking order
+function analyzeMovingAverages(candles) {
+    const result = {};
+    config.quantitative.maPeriods.forEach(period => {
+        result[`sma${period}`] = calculateSMA(candles, period);
+        const ema = calculateEMA(candles, period);
+        result[`ema${period}`] = ema ? ema.value : null;
+    });
+
+    // Fast EMA above slow EMA all the way down the stack is a bullish alignment
+    const emas = config.quantitative.maPeriods.map(period => result[`ema${period}`]);
+    let alignment = 'mixed';
+    if (emas.every(v => v !== null)) {
+        if (emas.every((v, i) => i === 0 || emas[i - 1] > v)) alignment = 'bullish';
+        else if (emas.every((v, i) => i === 0 || emas[i - 1] < v)) alignment = 'bearish';
+    }
+    result.alignment = alignment;
+
+    return result;
+}
+
+// Bollinger Bands around the SMA, with %B and bandwidth
+function calculateBollingerBands(candles, period = config.quantitative.bollinger.period, stdDev = config.quantitative.bollinger.stdDev) {
+    const middle = calculateSMA(candles, period);
+    if (middle === null) return null;
+
+    const closes = candles.slice(-period).map(c => c.close);
+    const deviation = Math.sqrt(closes.reduce((sum, close) => sum + (close - middle) ** 2, 0) / period);
+    const upper = middle + stdDev * deviation;
+    const lower = middle - stdDev * deviation;
+    const close = candles[candles.length - 1].close;
+
+    return {
+        upper: upper,
+        middle: middle,
+        lower: lower,
+        bandwidth: middle !== 0 ? (upper - lower) / middle : 0,
+        percentB: upper !== lower ? (close - lower) / (upper - lower) : 0.5
+    };
+}
+
+// Average True Range (Wilder smoothing)
+function calculateATR(candles, period = config.quantitative.atrPeriod) {
+    if (candles.length < period + 1) return null;
+
+    const trueRanges = [];
+    for (let i = 1; i < candles.length; i++) {
+        const c = candles[i],
+            prevClose = candles[i - 1].close;
+        trueRanges.push(Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose)));
+    }
+
+    let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    const values = [atr];
+    for (let i = period; i < trueRanges.length; i++) {
+        atr = (atr * (period - 1) + trueRanges[i]) / period;
+        values.push(atr);
+    }
+
+    return {
+        value: atr,
+        values: values
+    };
+}
+
+// Stochastic oscillator %K and its %D signal line
+function calculateStochastic(candles) {
+    const { kPeriod, dPeriod } = config.quantitative.stochastic;
+    if (candles.length < kPeriod + dPeriod - 1) return null;
+
+    const kValues = [];
+    for (let i = kPeriod - 1; i < candles.length; i++) {
+        const window = candles.slice(i - kPeriod + 1, i + 1);
+        const highest = Math.max(...window.map(c => c.high));
+        const lowest = Math.min(...window.map(c => c.low));
+        kValues.push(highest !== lowest ? (candles[i].close - lowest) / (highest - lowest) * 100 : 50);
+    }
+
+    const dValues = kValues.slice(dPeriod - 1).map((_, i) =>
+        kValues.slice(i, i + dPeriod).reduce((a, b) => a + b, 0) / dPeriod);
+
+    return {
+        k: kValues[kValues.length - 1],
+        d: dValues[dValues.length - 1],
+        kValues: kValues
+    };
+}
+
+// Trend strength from -1 (strong downtrend) to 1 (strong uptrend): regression slope over the
+// period relative to the price range, weighted by how well a straight line fits (R²)
+function calculateTrendStrength(candles, period = config.quantitative.trendPeriod) {
+    const window = candles.slice(-period);
+    if (window.length < 3) return 0;
+
+    const closes = window.map(c => c.close);
+    const n = closes.length;
+    const meanX = (n - 1) / 2;
+    const meanY = closes.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0,
+        sxx = 0,
+        syy = 0;
+    closes.forEach((y, x) => {
+        sxy += (x - meanX) * (y - meanY);
+        sxx += (x - meanX) ** 2;
+        syy += (y - meanY) ** 2;
+    });
+    if (sxx === 0 || syy === 0) return 0;
+
+    const slope = sxy / sxx;
+    const r2 = (sxy * sxy) / (sxx * syy);
+    const range = Math.max(...window.map(c => c.high)) - Math.min(...window.map(c => c.low));
+    if (range === 0) return 0;
+
+    const normalized = slope * (n - 1) / range;
+    return Math.max(-1, Math.min(1, normalized * Math.sqrt(r2)));
+}
+
+// Full indicator suite voted into one BUY/SELL/HOLD signal
+function performQuantitativeAnalysis(candles) {
+    const cfg = config.quantitative;
+    const current = candles[candles.length - 1];
+
+    const rsi = calculateRSI(candles);
+    const macd = analyzeMACD(candles);
+    const movingAverages = analyzeMovingAverages(candles);
+    const bollinger = calculateBollingerBands(candles);
+    const atr = calculateATR(candles);
+    const stochastic = calculateStochastic(candles);
+    const trendStrength = calculateTrendStrength(candles);
+
+    // Each indicator votes +1 (bullish) or -1 (bearish) with a weight
+    const votes = [];
+    const vote = (indicator, direction, weight, reason) => votes.push({ indicator, direction, weight, reason });
+
+    if (rsi) {
+        if (rsi.value < cfg.rsiOversold) vote('RSI', 1, 1.0, `RSI oversold (${rsi.value.toFixed(1)})`);
+        else if (rsi.value > cfg.rsiOverbought) vote('RSI', -1, 1.0, `RSI overbought (${rsi.value.toFixed(1)})`);
+    }
+    if (macd) {
+        if (macd.crossover === 'bullish') vote('MACD', 1, 1.5, 'MACD bullish crossover');
+        else if (macd.crossover === 'bearish') vote('MACD', -1, 1.5, 'MACD bearish crossover');
+        else if (macd.histogram > 0 && macd.histogram > macd.previousHistogram) vote('MACD', 1, 0.75, 'MACD momentum rising');
+        else if (macd.histogram < 0 && macd.histogram < macd.previousHistogram) vote('MACD', -1, 0.75, 'MACD momentum falling');
+    }
+    if (movingAverages.alignment === 'bullish') vote('Moving Averages', 1, 1.0, 'EMAs stacked bullish');
+    else if (movingAverages.alignment === 'bearish') vote('Moving Averages', -1, 1.0, 'EMAs stacked bearish');
+    if (bollinger) {
+        if (current.close < bollinger.lower) vote('Bollinger', 1, 0.75, 'Close below lower band');
+        else if (current.close > bollinger.upper) vote('Bollinger', -1, 0.75, 'Close above upper band');
+    }
+    if (stochastic) {
+        const { overbought, oversold } = cfg.stochastic;
+        if (stochastic.k < oversold && stochastic.k > stochastic.d) vote('Stochastic', 1, 0.75, 'Stochastic turning up from oversold');
+        else if (stochastic.k > overbought && stochastic.k < stochastic.d) vote('Stochastic', -1, 0.75, 'Stochastic turning down from overbought');
+    }
+    if (Math.abs(trendStrength) >= cfg.minTrendStrength) {
+        vote('Trend', Math.sign(trendStrength), Math.abs(trendStrength), `Trend strength ${trendStrength.toFixed(2)}`);
+    }
+
+    const totalWeight = votes.reduce((sum, v) => sum + v.weight, 0);
+    const net = votes.reduce((sum, v) => sum + v.direction * v.weight, 0);
+    // Normalise against the largest possible agreement so a single weak vote stays weak
+    const strength = Math.min(1, Math.abs(net) / cfg.fullAgreementWeight);
+
+    let signal = 'HOLD';
+    if (strength >= cfg.minSignalStrength && totalWeight > 0) {
+        signal = net > 0 ? 'BUY' : 'SELL';
+    }
+
+    return {
+        signal: signal,
+        strength: signal === 'HOLD' ? 0 : strength,
+        indicators: {
+            rsi: rsi ? rsi.value : null,
+            macd: macd,
+            movingAverages: movingAverages,
+            bollinger: bollinger,
+            atr: atr ? atr.value : null,
+            volatility: atr && current.close ? atr.value / current.close : 0,
+            stochastic: stochastic,
+            trendStrength: trendStrength
+        },
+        votes: votes
+    };
+}
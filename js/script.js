@@ -4,6 +4,8 @@
 // متغيرات عامة
 let currentImageURL = null;
 let analysisInProgress = false;
+let resultsCountdownTimer = null;
+let resultsCountdownInterval = null;
 
 // إنشاء الشبكة العصبية في الخلفية
 function createNeuralNetwork() {
@@ -290,8 +292,8 @@ function analyzeImage(file) {
 
     // Validate file type
     const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/bmp'];
-    if (!allowedTypes.includes(file.type)) {
-        showError('❌ Unsupported file format. Please upload JPG, PNG, WEBP, or BMP images only.');
+    if (!allowedTypes.includes(file.type) && !isOHLCVFile(file)) {
+        showError('❌ Unsupported file format. Please upload JPG, PNG, WEBP or BMP images, or CSV/JSON OHLCV data.');
         return;
     }
 
@@ -413,14 +415,15 @@ function autoHideRecommendations() {
     let count = 3;
     const countdownNumber = countdownOverlay.querySelector('.countdown-number');
     
-    const countdownInterval = setInterval(() => {
+    resultsCountdownInterval = setInterval(() => {
         count--;
         if (countdownNumber) {
             countdownNumber.textContent = count;
         }
         
         if (count <= 0) {
-            clearInterval(countdownInterval);
+            clearInterval(resultsCountdownInterval);
+            resultsCountdownInterval = null;
             // Add fade-out effect
             resultsArea.classList.add('fade-out');
             setTimeout(() => {
@@ -441,17 +444,39 @@ function autoHideRecommendations() {
 
 // Override for startResultsCountdown function
 function startResultsCountdown() {
+    cancelResultsCountdown();
+
     // Start 3-second countdown to hide recommendations
-    setTimeout(() => {
+    resultsCountdownTimer = setTimeout(() => {
+        resultsCountdownTimer = null;
         if (typeof autoHideRecommendations === 'function') {
             autoHideRecommendations();
         }
     }, 3000);
 }
 
+// Keep the results on screen, e.g. while the user interacts with the chart
+function cancelResultsCountdown() {
+    clearTimeout(resultsCountdownTimer);
+    clearInterval(resultsCountdownInterval);
+    resultsCountdownTimer = null;
+    resultsCountdownInterval = null;
+
+    const countdownOverlay = document.querySelector('.countdown-overlay');
+    if (countdownOverlay) {
+        countdownOverlay.remove();
+    }
+
+    const resultsArea = document.getElementById('resultsArea');
+    if (resultsArea) {
+        resultsArea.style.position = 'static';
+    }
+}
+
 // تصدير الدوال للاستخدام العام
 window.openAnalyzer = openAnalyzer;
 window.closeAnalyzer = closeAnalyzer;
 window.resetAnalyzer = resetAnalyzer;
 window.analyzeImage = analyzeImage;
+window.cancelResultsCountdown = cancelResultsCountdown;
 window.initRecommendationCountdown = initRecommendationCountdown;
\ No newline at end of file
@@ -0,0 +1,233 @@
+// Smart Money Concepts - swing structure, BOS/CHoCH, order blocks and premium/discount zones
+'use strict';
+
+// Label each swing against the previous swing of the same side: HH/LH for highs, HL/LL for lows
+function labelMarketSwings(swings) {
+    const label = (points, up, down) => points.map((point, i) => ({
+        ...point,
+        label: i === 0 ? null : point.price > points[i - 1].price ? up : down
+    }));
+
+    return [
+        ...label(swings.highs, 'HH', 'LH').map(s => ({ ...s, type: 'high' })),
+        ...label(swings.lows, 'HL', 'LL').map(s => ({ ...s, type: 'low' }))
+    ].sort((a, b) => a.index - b.index);
+}
+
+// Walk the candles and record closes through the latest confirmed swing: a break with the trend is a BOS,
+// the first break against it a CHoCH
+function detectStructureBreaks(candles, swings, lookback) {
+    const events = [];
+    let trend = null,
+        lastHigh = null,
+        lastLow = null;
+
+    for (let i = 0; i < candles.length; i++) {
+        // A swing is only known once `lookback` bars have closed after it
+        swings.forEach(swing => {
+            if (swing.index + lookback !== i) return;
+            if (swing.type === 'high') lastHigh = swing;
+            else lastLow = swing;
+        });
+
+        const close = candles[i].close;
+        if (lastHigh && close > lastHigh.price) {
+            events.push({
+                type: trend === 'bearish' ? 'CHoCH' : 'BOS',
+                direction: 'bullish',
+                level: lastHigh.price,
+                index: i,
+                swingIndex: lastHigh.index
+            });
+            trend = 'bullish';
+            lastHigh = null;
+        } else if (lastLow && close < lastLow.price) {
+            events.push({
+                type: trend === 'bullish' ? 'CHoCH' : 'BOS',
+                direction: 'bearish',
+                level: lastLow.price,
+                index: i,
+                swingIndex: lastLow.index
+            });
+            trend = 'bearish';
+            lastLow = null;
+        }
+    }
+
+    return { events, trend };
+}
+
+// The last opposing candle before the leg that broke structure
+function findOrderBlock(candles, event, priceRange) {
+    const bullish = event.direction === 'bullish';
+    const leg = candles.slice(event.swingIndex, event.index + 1);
+    const extremeOffset = leg.reduce((best, c, i) =>
+        (bullish ? c.low < leg[best].low : c.high > leg[best].high) ? i : best, 0);
+    const extremeIndex = event.swingIndex + extremeOffset;
+
+    const searchFrom = Math.max(0, extremeIndex - config.smartMoney.orderBlockSearch);
+    for (let i = extremeIndex; i >= searchFrom; i--) {
+        const c = candles[i];
+        if (bullish ? c.close < c.open : c.close > c.open) {
+            const later = candles.slice(event.index + 1);
+            const mitigated = later.some(l => bullish ? l.low <= c.high : l.high >= c.low);
+            const invalidated = later.some(l => bullish ? l.close < c.low : l.close > c.high);
+            const displacement = Math.abs(candles[event.index].close - (bullish ? c.low : c.high));
+
+            return {
+                type: bullish ? 'bullish' : 'bearish',
+                level: (c.high + c.low) / 2,
+                range: { high: c.high, low: c.low },
+                index: i,
+                breakIndex: event.index,
+                breakType: event.type,
+                mitigated: mitigated,
+                invalidated: invalidated,
+                strength: Math.min(1, (event.type === 'CHoCH' ? 0.5 : 0.35) + displacement / priceRange)
+            };
+        }
+    }
+    return null;
+}
+
+function analyzeSmartMoneyConcepts(candles, priceRange) {
+    const cfg = config.smartMoney;
+    const empty = {
+        signal: 'HOLD',
+        strength: 0,
+        trend: null,
+        swings: [],
+        events: [],
+        orderBlocks: [],
+        premiumDiscount: null
+    };
+    if (candles.length < cfg.swingLookback * 4 + 2) return empty;
+
+    const swings = labelMarketSwings(findSwingPoints(candles, cfg.swingLookback));
+    const { events, trend } = detectStructureBreaks(candles, swings, cfg.swingLookback);
+    const orderBlocks = events
+        .map(event => findOrderBlock(candles, event, priceRange))
+        .filter(block => block && !block.invalidated)
+        .slice(-cfg.maxOrderBlocks);
+
+    // Dealing range between the latest swing high and swing low
+    const current = candles[candles.length - 1];
+    const lastHigh = swings.filter(s => s.type === 'high').pop();
+    const lastLow = swings.filter(s => s.type === 'low').pop();
+    let premiumDiscount = null;
+    if (lastHigh && lastLow && lastHigh.price > lastLow.price) {
+        const equilibrium = (lastHigh.price + lastLow.price) / 2;
+        const band = (lastHigh.price - lastLow.price) * cfg.equilibriumBand;
+        premiumDiscount = {
+            high: lastHigh.price,
+            low: lastLow.price,
+            equilibrium: equilibrium,
+            zone: current.close > equilibrium + band ? 'premium' :
+                current.close < equilibrium - band ? 'discount' : 'equilibrium'
+        };
+    }
+
+    let buyScore = 0,
+        sellScore = 0;
+    const add = (direction, score) => {
+        if (direction === 'bullish') buyScore += score;
+        else sellScore += score;
+    };
+
+    // Structure: recent breaks count most, and a CHoCH more than a BOS
+    const lastEvent = events[events.length - 1];
+    if (lastEvent) {
+        const age = candles.length - 1 - lastEvent.index;
+        const recency = Math.max(0.3, 1 - age / cfg.eventDecayCandles);
+        add(lastEvent.direction, (lastEvent.type === 'CHoCH' ? 0.6 : 0.45) * recency);
+    }
+
+    // Buying in discount / selling in premium with the trend
+    if (premiumDiscount && trend) {
+        if (trend === 'bullish' && premiumDiscount.zone === 'discount') buyScore += 0.3;
+        if (trend === 'bearish' && premiumDiscount.zone === 'premium') sellScore += 0.3;
+    }
+
+    // Price trading inside an unbroken order block
+    orderBlocks.forEach(block => {
+        if (current.low <= block.range.high && current.high >= block.range.low) add(block.type, block.strength * 0.5);
+    });
+
+    let signal = 'HOLD';
+    const net = buyScore - sellScore;
+    if (Math.abs(net) >= cfg.minSignalScore) signal = net > 0 ? 'BUY' : 'SELL';
+
+    if (config.debug) {
+        console.log(`🏦 SMART MONEY: trend ${trend || 'none'}, ${events.length} BOS/CHoCH, ` +
+            `${orderBlocks.length} order blocks, ${premiumDiscount ? premiumDiscount.zone : 'no range'} → ${signal}`);
+    }
+
+    return {
+        signal: signal,
+        strength: signal === 'HOLD' ? 0 : Math.min(1, Math.abs(net)),
+        trend: trend,
+        swings: swings,
+        events: events,
+        orderBlocks: orderBlocks,
+        premiumDiscount: premiumDiscount
+    };
+}
+
+// Order-block boxes, BOS/CHoCH levels and the premium/discount split on the visual analysis canvas
+function drawSmartMoneyOverlay(ctx, smartMoney, candles, toCanvasX, toCanvasY, canvasWidth) {
+    if (!smartMoney || !smartMoney.orderBlocks) return;
+
+    smartMoney.orderBlocks.forEach(block => {
+        const candle = candles[block.index];
+        const x = candle ? toCanvasX(candle.x_start) : 0;
+        const top = toCanvasY(block.range.high);
+        const height = toCanvasY(block.range.low) - top;
+        const rgb = block.type === 'bullish' ? '34, 197, 94' : '239, 68, 68';
+
+        ctx.fillStyle = `rgba(${rgb}, ${block.mitigated ? 0.1 : 0.2})`;
+        ctx.fillRect(x, top, canvasWidth - x, height);
+        ctx.strokeStyle = `rgba(${rgb}, 0.7)`;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, top, canvasWidth - x, height);
+        ctx.fillStyle = `rgba(${rgb}, 0.9)`;
+        ctx.textAlign = 'left';
+        ctx.fillText(`${block.type === 'bullish' ? 'Bull' : 'Bear'} OB`, x + 3, top - 2);
+    });
+
+    // Dashed segment from the broken swing to the breaking candle
+    smartMoney.events.slice(-4).forEach(event => {
+        const from = candles[event.swingIndex],
+            to = candles[event.index];
+        if (!from || !to) return;
+        const y = toCanvasY(event.level);
+        const x1 = toCanvasX(from.x_start),
+            x2 = toCanvasX(to.x_end);
+
+        ctx.strokeStyle = event.direction === 'bullish' ? 'rgba(56, 189, 248, 0.9)' : 'rgba(251, 146, 60, 0.9)';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x1, y);
+        ctx.lineTo(x2, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.textAlign = 'center';
+        ctx.fillText(event.type, (x1 + x2) / 2, y - 2);
+    });
+    ctx.textAlign = 'left';
+
+    const zones = smartMoney.premiumDiscount;
+    if (zones) {
+        const y = toCanvasY(zones.equilibrium);
+        ctx.strokeStyle = 'rgba(148, 163, 184, 0.6)';
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(canvasWidth, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.9)';
+        ctx.fillText('Premium', 5, y - 4);
+        ctx.fillText('Discount', 5, y + 16);
+    }
+}
@@ -0,0 +1,231 @@
+// Scoring Strategies - interchangeable ways of turning recommendation factors into a direction and confidence
+'use strict';
+
+// Modules that produce factors, in a fixed order for the logistic model's features
+const factorSources = ['candlestick', 'supportResistance', 'donchian', 'quantitative', 'liquidity', 'trend',
+    'smartMoney', 'chartPatterns', 'fibonacci', 'divergence', 'ichimoku'];
+
+// Net strength per source, positive for BUY evidence and negative for SELL
+function buildFactorFeatures(factors) {
+    const features = Object.fromEntries(factorSources.map(source => [source, 0]));
+    factors.forEach(factor => {
+        if (factor.source in features) features[factor.source] += factor.direction === 'BUY' ? factor.strength : -factor.strength;
+    });
+    return features;
+}
+
+// The original scorer: weighted factor scores summed per side, confidence from the margin between them
+function additiveScore(factors) {
+    const buyScore = factors.filter(f => f.direction === 'BUY').reduce((sum, f) => sum + f.weight, 0);
+    const sellScore = factors.filter(f => f.direction === 'SELL').reduce((sum, f) => sum + f.weight, 0);
+    const totalScore = buyScore + sellScore;
+    const scoreDifference = Math.abs(buyScore - sellScore);
+
+    if (totalScore === 0 || scoreDifference < 1.0) {
+        return { buyScore, sellScore, action: 'WAIT', confidence: 45 };
+    }
+
+    // Enhanced confidence calculation with more precise scoring
+    const rawConfidence = 50 + (scoreDifference / (totalScore + 1)) * 50;
+    return {
+        buyScore,
+        sellScore,
+        action: buyScore > sellScore ? 'BUY' : 'SELL',
+        confidence: Math.min(98, Math.round(rawConfidence))
+    };
+}
+
+// One vote per module, as combineTechnicalSignals does: each source's net direction counts with its strength,
+// however many factors it produced and whatever their config.scores weights
+function weightedVoteScore(factors) {
+    const votes = Object.values(buildFactorFeatures(factors)).filter(net => net !== 0);
+    const buyScore = votes.filter(net => net > 0).reduce((sum, net) => sum + Math.min(1, net), 0);
+    const sellScore = votes.filter(net => net < 0).reduce((sum, net) => sum + Math.min(1, -net), 0);
+    const totalScore = buyScore + sellScore;
+
+    if (votes.length < config.strategies.weightedVote.minVotes || totalScore === 0 || buyScore === sellScore) {
+        return {
+            buyScore,
+            sellScore,
+            action: 'WAIT',
+            confidence: 45,
+            notes: votes.length < config.strategies.weightedVote.minVotes ?
+                [`🗳️ Only ${votes.length} module${votes.length === 1 ? '' : 's'} voted (need ${config.strategies.weightedVote.minVotes})`] : []
+        };
+    }
+
+    return {
+        buyScore,
+        sellScore,
+        action: buyScore > sellScore ? 'BUY' : 'SELL',
+        confidence: Math.min(98, Math.round(Math.max(buyScore, sellScore) / totalScore * 100))
+    };
+}
+
+// Training samples from recorded outcomes (only those known by `asOf`, if given): label 1 when price reached the upside level first
+function getLogisticSamples(asOf = null) {
+    return analysisDB.getResolvedResults(asOf)
+        .filter(result => result.recommendation && result.recommendation.features)
+        .map(result => ({
+            x: factorSources.map(source => result.recommendation.features[source] || 0),
+            y: (result.trade.direction === 'BUY') === (result.outcome.hit === 'target') ? 1 : 0
+        }));
+}
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+// Batch gradient descent on the L2-regularised log loss
+function trainLogisticModel(samples) {
+    const { epochs, learningRate, l2 } = config.strategies.logistic;
+    const weights = factorSources.map(() => 0);
+    let bias = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        const gradient = weights.map(() => 0);
+        let biasGradient = 0;
+        samples.forEach(({ x, y }) => {
+            const error = sigmoid(bias + x.reduce((sum, value, i) => sum + value * weights[i], 0)) - y;
+            x.forEach((value, i) => { gradient[i] += error * value; });
+            biasGradient += error;
+        });
+        weights.forEach((w, i) => { weights[i] -= learningRate * (gradient[i] / samples.length + l2 * w); });
+        bias -= learningRate * biasGradient / samples.length;
+    }
+
+    return { weights, bias, samples: samples.length };
+}
+
+// Retrained only when the recorded outcomes change
+let logisticModelCache = { key: null, model: null };
+
+function getLogisticModel(asOf = null) {
+    const samples = getLogisticSamples(asOf);
+    if (samples.length < config.strategies.logistic.minSamples) return { model: null, samples: samples.length };
+
+    const key = `${samples.length}:${samples.map(s => s.y).join('')}`;
+    if (logisticModelCache.key !== key) {
+        logisticModelCache = { key: key, model: trainLogisticModel(samples) };
+        if (config.debug) {
+            console.log(`📈 LOGISTIC SCORER trained on ${samples.length} outcomes:`,
+                Object.fromEntries(factorSources.map((source, i) => [source, logisticModelCache.model.weights[i].toFixed(2)])));
+        }
+    }
+    return { model: logisticModelCache.model, samples: samples.length };
+}
+
+// Probability that price moves up, from the per-source features of this chart
+function logisticScore(factors, asOf = null) {
+    const { model, samples } = getLogisticModel(asOf);
+    if (!model) {
+        return {
+            buyScore: 0,
+            sellScore: 0,
+            action: 'WAIT',
+            confidence: 45,
+            notes: [`📈 Logistic scorer needs ${config.strategies.logistic.minSamples} recorded outcomes (have ${samples})`]
+        };
+    }
+
+    const features = buildFactorFeatures(factors);
+    const probability = sigmoid(model.bias + factorSources.reduce((sum, source, i) => sum + features[source] * model.weights[i], 0));
+    return {
+        buyScore: probability * 100,
+        sellScore: (1 - probability) * 100,
+        action: probability >= 0.5 ? 'BUY' : 'SELL',
+        confidence: Math.min(98, Math.round(Math.max(probability, 1 - probability) * 100)),
+        notes: [`📈 P(up) ${(probability * 100).toFixed(0)}% from ${model.samples} recorded outcomes`]
+    };
+}
+
+const recommendationStrategies = {
+    additive: {
+        name: 'Additive',
+        description: 'Weighted factor scores summed per side',
+        score: additiveScore
+    },
+    weightedVote: {
+        name: 'Weighted Vote',
+        description: 'One strength-weighted vote per module',
+        score: weightedVoteScore
+    },
+    logistic: {
+        name: 'Logistic Regression',
+        description: 'Trained on recorded trade outcomes',
+        score: logisticScore
+    },
+    trendFollowing: {
+        name: 'Trend Following',
+        description: 'Additive, using breakout, structure and continuation factors only',
+        score: factors => additiveScore(factors.filter(f => f.style !== 'reversion'))
+    },
+    meanReversion: {
+        name: 'Mean Reversion',
+        description: 'Additive, using reversal, S/R and liquidity-sweep factors only',
+        score: factors => additiveScore(factors.filter(f => f.style !== 'trend'))
+    }
+};
+
+// Every strategy's recommendation for the same chart
+async function compareRecommendationStrategies(candleAnalysis, technicalAnalysis) {
+    return Promise.all(Object.entries(recommendationStrategies).map(async ([key, strategy]) => ({
+        key: key,
+        name: strategy.name,
+        recommendation: await generateProfessionalRecommendation(candleAnalysis, technicalAnalysis, key)
+    })));
+}
+
+// Each strategy's call listed in the chart's bottom-left corner, the active one marked
+function drawStrategyComparison(ctx, comparison, canvasHeight) {
+    if (!comparison || comparison.length === 0) return;
+
+    const lineHeight = 14;
+    const top = canvasHeight - 10 - comparison.length * lineHeight;
+    ctx.fillStyle = 'rgba(15, 15, 30, 0.75)';
+    ctx.fillRect(5, top - 12, 210, comparison.length * lineHeight + 8);
+
+    ctx.textAlign = 'left';
+    comparison.forEach((entry, i) => {
+        const { action, confidence } = entry.recommendation;
+        ctx.fillStyle = action === 'BUY' ? 'rgba(34, 197, 94, 0.95)' : action === 'SELL' ? 'rgba(239, 68, 68, 0.95)' : 'rgba(200, 200, 200, 0.9)';
+        ctx.fillText(`${entry.key === config.recommendation.strategy ? '▶ ' : '  '}${entry.name}: ${action} ${confidence}%`, 10, top + i * lineHeight);
+    });
+}
+
+// Fill the strategy selector and restore the saved choice
+function initializeStrategySelector() {
+    const select = document.getElementById('strategySelect');
+    if (!select) return;
+
+    try {
+        const saved = localStorage.getItem('recommendationStrategy');
+        if (saved && recommendationStrategies[saved]) config.recommendation.strategy = saved;
+    } catch (e) {
+        console.warn('Could not load scoring strategy:', e);
+    }
+
+    select.innerHTML = Object.entries(recommendationStrategies)
+        .map(([key, strategy]) => `<option value="${key}" title="${strategy.description}">${strategy.name}</option>`)
+        .join('');
+    select.value = config.recommendation.strategy;
+}
+
+// Persist a strategy chosen in the UI and re-show the current chart with its recommendation
+function setRecommendationStrategy(key) {
+    config.recommendation.strategy = key;
+    try {
+        localStorage.setItem('recommendationStrategy', key);
+    } catch (e) {
+        console.warn('Could not save scoring strategy:', e);
+    }
+
+    const comparison = currentAnalysis && currentAnalysis.result.strategyComparison;
+    const entry = comparison && comparison.find(e => e.key === key);
+    if (entry) {
+        showAnalysisResult({ ...currentAnalysis.result, recommendation: entry.recommendation }, currentAnalysis.analysisTime);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.setRecommendationStrategy = setRecommendationStrategy;
+    document.addEventListener('DOMContentLoaded', initializeStrategySelector);
+}
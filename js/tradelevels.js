@@ -0,0 +1,154 @@
+// Trade Levels - entry, stop-loss and up to three take-profits in price terms from ATR, S/R and liquidity structure
+'use strict';
+
+// Structure on each side of price: S/R levels, unswept liquidity pools, consolidation zones and open gaps
+function collectStructureLevels(technicalAnalysis, entry) {
+    const levels = [];
+    const add = (price, source) => {
+        if (isFinite(price)) levels.push({ price, source });
+    };
+
+    const sr = technicalAnalysis.supportResistance;
+    if (sr && !sr.error) {
+        (sr.supports || []).forEach(l => add(l.level, l.source ? `Support (${l.source})` : 'Support'));
+        (sr.resistances || []).forEach(l => add(l.level, l.source ? `Resistance (${l.source})` : 'Resistance'));
+    }
+
+    const liquidity = technicalAnalysis.liquidity;
+    if (liquidity && !liquidity.error) {
+        (liquidity.liquidityPools || []).filter(pool => !pool.swept)
+            .forEach(pool => add(pool.level, pool.type === 'buy-side' ? 'Buy-side liquidity' : 'Sell-side liquidity'));
+        (liquidity.accumulationZones || []).forEach(zone => add(zone.range.low, 'Accumulation low'));
+        (liquidity.distributionZones || []).forEach(zone => add(zone.range.high, 'Distribution high'));
+        // An open gap tends to get filled from the side price is on
+        (liquidity.fairValueGaps || []).filter(gap => !gap.filled)
+            .forEach(gap => add(gap.range.low > entry ? gap.range.low : gap.range.high, 'Fair value gap'));
+    }
+
+    return {
+        below: levels.filter(l => l.price < entry).sort((a, b) => b.price - a.price),
+        above: levels.filter(l => l.price > entry).sort((a, b) => a.price - b.price)
+    };
+}
+
+// Levels for a BUY or SELL at the last close. The stop sits just beyond the nearest protecting structure that is
+// neither inside the noise nor too far away, else at an ATR multiple; targets are the structure in the way,
+// topped up with R multiples when there is not enough of it. Null when the stop or every target would be at or below zero
+function calculateTradeLevels(action, candles, technicalAnalysis) {
+    const cfg = config.tradeLevels;
+    if ((action !== 'BUY' && action !== 'SELL') || !candles || candles.length === 0) return null;
+
+    const atrResult = calculateATR(candles);
+    if (!atrResult || !(atrResult.value > 0)) return null;
+    const atr = atrResult.value;
+
+    const entry = candles[candles.length - 1].close;
+    const side = action === 'BUY' ? 1 : -1;
+    const structure = collectStructureLevels(technicalAnalysis, entry);
+    const protecting = side === 1 ? structure.below : structure.above;
+    const ahead = side === 1 ? structure.above : structure.below;
+
+    // Stop
+    let stop = null,
+        stopSource = 'ATR';
+    for (const level of protecting) {
+        const candidate = level.price - side * cfg.stopBufferAtr * atr;
+        const distance = Math.abs(entry - candidate);
+        if (distance < cfg.minStopAtr * atr) continue;
+        if (distance <= cfg.maxStopAtr * atr) {
+            stop = candidate;
+            stopSource = level.source;
+        }
+        break;
+    }
+    if (stop === null) stop = entry - side * cfg.atrStop * atr;
+    // ATR can dwarf the price on a volatile small cap; a stop at or below zero is no level at all
+    if (!(stop > 0)) return null;
+    const risk = Math.abs(entry - stop);
+
+    // Targets
+    const targets = [];
+    const lastTarget = () => targets.length > 0 ? targets[targets.length - 1].price : entry;
+    for (const level of ahead) {
+        if (targets.length >= 3) break;
+        const reward = Math.abs(level.price - entry);
+        if (reward < cfg.minRiskReward * risk || Math.abs(level.price - lastTarget()) < cfg.targetSpacingAtr * atr) continue;
+        targets.push({ price: level.price, source: level.source });
+    }
+    // Top up with the next R multiple clear of the last target, stepping a whole R past the configured ones;
+    // a short stops short of targets at or below zero
+    while (targets.length < 3) {
+        const next = Math.abs(lastTarget() - entry) / risk + cfg.targetSpacingAtr * atr / risk;
+        const multiple = cfg.fallbackRiskRewards.find(m => m >= next) || Math.ceil((next + 1) * 2) / 2;
+        const price = entry + side * multiple * risk;
+        if (!(price > 0)) break;
+        targets.push({ price: price, source: `${multiple}R` });
+    }
+    if (targets.length === 0) return null;
+
+    const levels = {
+        direction: action,
+        entry: entry,
+        stop: stop,
+        stopSource: stopSource,
+        atr: atr,
+        risk: risk,
+        targets: targets.map((target, i) => ({
+            label: `TP${i + 1}`,
+            ...target,
+            riskReward: Math.abs(target.price - entry) / risk
+        }))
+    };
+    levels.riskReward = levels.targets.length > 0 ? levels.targets[0].riskReward : null;
+
+    if (config.debug) {
+        console.log(`🎯 TRADE LEVELS: ${action} @ ${formatPrice(entry)}, SL ${formatPrice(stop)} (${stopSource}), ` +
+            levels.targets.map(t => `${t.label} ${formatPrice(t.price)} (${t.riskReward.toFixed(1)}R, ${t.source})`).join(', '));
+    }
+    return levels;
+}
+
+// Long/short position box to the right of the last candle: reward zone up to the furthest target, risk zone to the stop
+function drawPositionBox(ctx, tradeLevels, candles, toCanvasX, toCanvasY, canvasWidth) {
+    if (!tradeLevels || candles.length === 0) return;
+
+    const last = candles[candles.length - 1];
+    const spacing = candles.length > 1 ? (candles[candles.length - 1].x_start - candles[0].x_start) / (candles.length - 1) : last.x_end - last.x_start;
+    const left = toCanvasX((last.x_start + last.x_end) / 2);
+    const right = Math.min(canvasWidth - 2, toCanvasX(last.x_end + spacing * config.tradeLevels.boxBars));
+    const width = Math.max(40, right - left);
+
+    const entryY = toCanvasY(tradeLevels.entry);
+    const stopY = toCanvasY(tradeLevels.stop);
+    const furthest = tradeLevels.targets[tradeLevels.targets.length - 1];
+
+    ctx.fillStyle = 'rgba(239, 68, 68, 0.18)';
+    ctx.fillRect(left, Math.min(entryY, stopY), width, Math.abs(stopY - entryY));
+    if (furthest) {
+        const targetY = toCanvasY(furthest.price);
+        ctx.fillStyle = 'rgba(34, 197, 94, 0.18)';
+        ctx.fillRect(left, Math.min(entryY, targetY), width, Math.abs(targetY - entryY));
+    }
+
+    const drawLevel = (price, color, dash, text) => {
+        const y = toCanvasY(price);
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(left + width, y);
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.fillText(text, left + width - 5, y - 3);
+    };
+
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    drawLevel(tradeLevels.entry, 'rgba(226, 232, 240, 0.9)', [], `${tradeLevels.direction === 'BUY' ? 'Long' : 'Short'} ${formatPrice(tradeLevels.entry)}`);
+    drawLevel(tradeLevels.stop, 'rgba(239, 68, 68, 0.95)', [], `SL ${formatPrice(tradeLevels.stop)}`);
+    tradeLevels.targets.forEach(target => {
+        drawLevel(target.price, 'rgba(34, 197, 94, 0.95)', [4, 3], `${target.label} ${formatPrice(target.price)} (${target.riskReward.toFixed(1)}R)`);
+    });
+    ctx.setLineDash([]);
+    ctx.textAlign = 'left';
+}
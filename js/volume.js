@@ -0,0 +1,100 @@
+// Volume Extraction - reads the volume histogram under the candles
+'use strict';
+
+// Find the volume bars: a dedicated sub-pane, or bars resting on the floor of the price pane
+function findVolumeRegion(imageData, plotArea, candles) {
+    if (!plotArea || plotArea.source !== 'detected') return null;
+
+    const pricePaneIndex = plotArea.panes.findIndex(pane => pane.role === 'price');
+    const volumePane = plotArea.panes.find((pane, i) => i > pricePaneIndex && pane.role === 'volume');
+    if (volumePane) {
+        return {
+            top: volumePane.top,
+            bottom: volumePane.bottom,
+            type: 'pane'
+        };
+    }
+
+    // TradingView-style overlay: bars share the price pane and rest on its floor below each candle
+    const pricePane = plotArea.panes[pricePaneIndex];
+    if (!pricePane || candles.length === 0) return null;
+
+    const { width } = imageData;
+    const isForeground = createForegroundTest(imageData, plotArea);
+    const floor = pricePane.bottom - 1;
+    let anchored = 0,
+        bandTop = floor;
+
+    candles.forEach(candle => {
+        const midX = Math.round((candle.x_start + candle.x_end) / 2);
+        const runTop = measureColumnRun(isForeground, width, midX, floor, pricePane.top);
+        // The run must start below the candle itself, otherwise it is the candle reaching the floor
+        if (runTop !== null && runTop > candle.low) {
+            anchored++;
+            bandTop = Math.min(bandTop, runTop);
+        }
+    });
+
+    const paneHeight = pricePane.bottom - pricePane.top;
+    if (anchored / candles.length < config.volume.overlayAnchoredRatio ||
+        floor - bandTop > paneHeight * config.volume.maxOverlayRatio) {
+        return null;
+    }
+
+    return {
+        top: bandTop,
+        bottom: pricePane.bottom,
+        type: 'overlay'
+    };
+}
+
+// Pixel test for anything drawn over the chart background
+function createForegroundTest(imageData, plotArea) {
+    const { data: pixels } = imageData;
+    const background = hexToRgb(plotArea.background);
+    const thresholdSq = config.plotArea.foregroundDistance ** 2;
+
+    return p => {
+        const i = p * 4;
+        return (pixels[i] - background[0]) ** 2 +
+            (pixels[i + 1] - background[1]) ** 2 +
+            (pixels[i + 2] - background[2]) ** 2 > thresholdSq;
+    };
+}
+
+// Top row of the bar rising from the floor in column x, or null when nothing is drawn there
+function measureColumnRun(isForeground, width, x, floor, ceiling) {
+    let y = floor;
+
+    // Allow a small gap between the pane floor and the bar
+    while (y > floor - config.plotArea.anchorTolerance && !isForeground(y * width + x)) y--;
+    if (!isForeground(y * width + x)) return null;
+
+    while (y - 1 >= ceiling && isForeground((y - 1) * width + x)) y--;
+    return y;
+}
+
+// Measure the bar under every candle and attach relative volume (0-1) to it
+function attachVolumeData(imageData, candles, volumeRegion, plotArea) {
+    const { width } = imageData;
+    const isForeground = createForegroundTest(imageData, plotArea);
+    const floor = volumeRegion.bottom - 1;
+
+    candles.forEach(candle => {
+        let barHeight = 0;
+        // Sample the body columns and keep the tallest run so a thin gap does not hide the bar
+        for (let x = candle.x_start; x <= candle.x_end; x++) {
+            const runTop = measureColumnRun(isForeground, width, x, floor, volumeRegion.top);
+            if (runTop !== null) barHeight = Math.max(barHeight, floor - runTop + 1);
+        }
+        candle.volumeHeight = barHeight;
+    });
+
+    const maxHeight = Math.max(...candles.map(c => c.volumeHeight));
+    candles.forEach(candle => {
+        candle.volume = maxHeight > 0 ? candle.volumeHeight / maxHeight : 0;
+    });
+
+    if (config.debug) console.log(`📊 VOLUME EXTRACTED (${volumeRegion.type}):`, candles.map(c => c.volume.toFixed(2)).join(' '));
+    return candles;
+}
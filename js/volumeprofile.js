@@ -0,0 +1,214 @@
+// Volume Profile - visible-range profile (POC, value area, high/low-volume nodes) and anchored VWAP with deviation bands
+'use strict';
+
+// Imported data carries raw volume; extracted panes only bar heights relative to the tallest bar
+function getCandleVolume(candle) {
+    return isFinite(candle.volumeRaw) ? candle.volumeRaw : isFinite(candle.volume) ? candle.volume : 0;
+}
+
+function hasCandleVolume(candles) {
+    return candles.some(c => getCandleVolume(c) > 0);
+}
+
+// Spread each candle's volume evenly over the price bins its range covers
+function buildVolumeProfile(candles, binCount) {
+    const low = Math.min(...candles.map(c => c.low));
+    const high = Math.max(...candles.map(c => c.high));
+    const size = (high - low) / binCount || 1;
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        low: low + i * size,
+        high: low + (i + 1) * size,
+        price: low + (i + 0.5) * size,
+        volume: 0
+    }));
+
+    candles.forEach(c => {
+        const volume = getCandleVolume(c);
+        if (volume <= 0) return;
+        const first = Math.min(binCount - 1, Math.floor((c.low - low) / size));
+        const last = Math.min(binCount - 1, Math.floor((c.high - low) / size));
+        const span = c.high - c.low;
+        for (let i = first; i <= last; i++) {
+            // Share of the candle's range inside this bin; a zero-range candle lands in one bin
+            const overlap = span > 0 ? (Math.min(c.high, bins[i].high) - Math.max(c.low, bins[i].low)) / span : 1;
+            bins[i].volume += volume * Math.max(0, overlap);
+        }
+    });
+
+    return bins;
+}
+
+// Value area: grow out from the POC, taking the heavier neighbouring bin each step, until the share is reached
+function findValueArea(bins, pocIndex, share) {
+    const total = bins.reduce((sum, b) => sum + b.volume, 0);
+    let lower = pocIndex,
+        upper = pocIndex,
+        volume = bins[pocIndex].volume;
+
+    while (volume < total * share && (lower > 0 || upper < bins.length - 1)) {
+        const below = lower > 0 ? bins[lower - 1].volume : -1;
+        const above = upper < bins.length - 1 ? bins[upper + 1].volume : -1;
+        if (above >= below) volume += bins[++upper].volume;
+        else volume += bins[--lower].volume;
+    }
+
+    return { high: bins[upper].high, low: bins[lower].low, lowerIndex: lower, upperIndex: upper };
+}
+
+// Local peaks and troughs of the profile relative to its average bin
+function findVolumeNodes(bins) {
+    const cfg = config.volumeProfile;
+    const average = bins.reduce((sum, b) => sum + b.volume, 0) / bins.length;
+    const highVolumeNodes = [],
+        lowVolumeNodes = [];
+
+    for (let i = 1; i < bins.length - 1; i++) {
+        const { volume } = bins[i];
+        const neighbours = [bins[i - 1].volume, bins[i + 1].volume];
+        if (neighbours.every(v => volume >= v) && volume >= average * cfg.highVolumeRatio) {
+            highVolumeNodes.push({ price: bins[i].price, volume: volume });
+        }
+        if (neighbours.every(v => volume <= v) && volume <= average * cfg.lowVolumeRatio) {
+            lowVolumeNodes.push({ price: bins[i].price, volume: volume });
+        }
+    }
+
+    return { highVolumeNodes, lowVolumeNodes };
+}
+
+// Where the VWAP starts: the first visible candle or the visible range's highest high / lowest low
+function resolveVWAPAnchor(candles, anchor) {
+    if (anchor === 'high') return candles.reduce((best, c, i) => c.high > candles[best].high ? i : best, 0);
+    if (anchor === 'low') return candles.reduce((best, c, i) => c.low < candles[best].low ? i : best, 0);
+    return 0;
+}
+
+// Volume-weighted average of the typical price from the anchor, with volume-weighted standard deviation bands
+function calculateAnchoredVWAP(candles, anchorIndex) {
+    const values = Array(anchorIndex).fill(null);
+    const deviations = Array(anchorIndex).fill(null);
+    let volumeSum = 0,
+        priceVolumeSum = 0,
+        squareSum = 0,
+        deviation = 0;
+
+    for (let i = anchorIndex; i < candles.length; i++) {
+        const c = candles[i];
+        const volume = getCandleVolume(c);
+        const typical = (c.high + c.low + c.close) / 3;
+        volumeSum += volume;
+        priceVolumeSum += typical * volume;
+        squareSum += typical * typical * volume;
+        if (volumeSum === 0) {
+            values.push(null);
+            deviations.push(null);
+            continue;
+        }
+        const vwap = priceVolumeSum / volumeSum;
+        deviation = Math.sqrt(Math.max(0, squareSum / volumeSum - vwap * vwap));
+        values.push(vwap);
+        deviations.push(deviation);
+    }
+
+    const value = values[values.length - 1];
+    return {
+        anchorIndex: anchorIndex,
+        value: value,
+        deviation: deviation,
+        bands: config.volumeProfile.vwapBands.map(multiplier => ({
+            multiplier: multiplier,
+            upper: value + deviation * multiplier,
+            lower: value - deviation * multiplier
+        })),
+        values: values,
+        deviations: deviations
+    };
+}
+
+function analyzeVolumeProfile(candles) {
+    const cfg = config.volumeProfile;
+    const empty = { available: false };
+    if (candles.length < cfg.minCandles || !hasCandleVolume(candles)) return empty;
+
+    const bins = buildVolumeProfile(candles, cfg.bins);
+    const pocIndex = bins.reduce((best, b, i) => b.volume > bins[best].volume ? i : best, 0);
+    const valueArea = findValueArea(bins, pocIndex, cfg.valueAreaShare);
+    const { highVolumeNodes, lowVolumeNodes } = findVolumeNodes(bins);
+    const vwap = calculateAnchoredVWAP(candles, resolveVWAPAnchor(candles, cfg.vwapAnchor));
+
+    if (config.debug) {
+        console.log(`📶 VOLUME PROFILE: POC ${formatPrice(bins[pocIndex].price)}, VA ${formatPrice(valueArea.low)} - ${formatPrice(valueArea.high)}, ` +
+            `VWAP ${formatPrice(vwap.value)}`);
+    }
+
+    return {
+        available: true,
+        bins: bins,
+        poc: bins[pocIndex].price,
+        valueArea: valueArea,
+        highVolumeNodes: highVolumeNodes,
+        lowVolumeNodes: lowVolumeNodes,
+        vwap: vwap
+    };
+}
+
+// POC, VAH and VAL as candidate S/R levels; touches count the candles trading through each
+function getVolumeProfileLevels(candles) {
+    const profile = analyzeVolumeProfile(candles);
+    if (!profile.available) return [];
+
+    const touches = level => candles.filter(c => c.low <= level && c.high >= level).length;
+    return [
+        { level: profile.poc, source: 'POC', strength: 1 },
+        { level: profile.valueArea.high, source: 'VAH', strength: 0.8 },
+        { level: profile.valueArea.low, source: 'VAL', strength: 0.8 }
+    ].map(level => ({ ...level, touches: touches(level.level) }));
+}
+
+// Histogram laid sideways against the right edge (value area brighter, POC highlighted) plus the VWAP and its bands
+function drawVolumeProfile(ctx, profile, candles, toCanvasX, toCanvasY, canvasWidth) {
+    if (!profile || !profile.available) return;
+
+    const maxVolume = Math.max(...profile.bins.map(b => b.volume)) || 1;
+    const maxWidth = canvasWidth * config.volumeProfile.histogramWidth;
+    profile.bins.forEach((bin, i) => {
+        const top = toCanvasY(bin.high),
+            bottom = toCanvasY(bin.low);
+        const width = bin.volume / maxVolume * maxWidth;
+        const inValueArea = i >= profile.valueArea.lowerIndex && i <= profile.valueArea.upperIndex;
+        ctx.fillStyle = bin.price === profile.poc ? 'rgba(250, 204, 21, 0.6)' :
+            inValueArea ? 'rgba(148, 163, 184, 0.45)' : 'rgba(148, 163, 184, 0.2)';
+        ctx.fillRect(canvasWidth - width, Math.min(top, bottom) + 1, width, Math.max(1, Math.abs(bottom - top) - 2));
+    });
+
+    ctx.fillStyle = 'rgba(250, 204, 21, 0.9)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`POC ${formatPrice(profile.poc)}`, canvasWidth - 5, toCanvasY(profile.poc) - 2);
+    ctx.textAlign = 'left';
+
+    const xAt = index => toCanvasX((candles[index].x_start + candles[index].x_end) / 2);
+    const drawSeries = (valueAt, color, dash) => {
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        let started = false;
+        profile.vwap.values.forEach((value, i) => {
+            if (value === null || !candles[i]) return;
+            const y = toCanvasY(valueAt(value, i));
+            if (!started) ctx.moveTo(xAt(i), y);
+            else ctx.lineTo(xAt(i), y);
+            started = true;
+        });
+        ctx.stroke();
+    };
+
+    const { deviations } = profile.vwap;
+    ctx.lineWidth = 1.5;
+    drawSeries(value => value, 'rgba(56, 189, 248, 0.9)', []);
+    ctx.lineWidth = 1;
+    profile.vwap.bands.forEach(band => {
+        drawSeries((value, i) => value + deviations[i] * band.multiplier, 'rgba(56, 189, 248, 0.45)', [4, 4]);
+        drawSeries((value, i) => value - deviations[i] * band.multiplier, 'rgba(56, 189, 248, 0.45)', [4, 4]);
+    });
+    ctx.setLineDash([]);
+}
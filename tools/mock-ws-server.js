@@ -0,0 +1,229 @@
+// Mock Market Feed - dependency-free WebSocket server streaming random-walk candles for offline testing
+// Usage: node tools/mock-ws-server.js [--port 8765] [--interval 2000] [--ticks 4]
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// --name value pairs from the command line
+function readOptions(argv) {
+    const options = { port: 8765, interval: 2000, ticks: 4 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (key in options) options[key] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+const TIMEFRAME_MINUTES = { '1m': 1, '5m': 5, '15m': 15, '30m': 30, '1h': 60, '4h': 240, '1D': 1440 };
+
+// Encode a text message as a single unmasked server frame
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete client frames off the buffer; returns the frames and the unconsumed remainder
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const mask = masked ? buffer.slice(cursor, cursor + 4) : null;
+        cursor += maskLength;
+        const payload = Buffer.from(buffer.slice(cursor, cursor + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ opcode, payload });
+        offset = cursor + length;
+    }
+
+    return { frames, rest: buffer.slice(offset) };
+}
+
+// Random-walk candle generator for one client
+function createMarket(symbol, timeframe, startPrice) {
+    const minutes = TIMEFRAME_MINUTES[timeframe] || 1;
+    let price = startPrice;
+
+    return {
+        symbol,
+        timeframe,
+        stepMs: minutes * 60000,
+        nextCandle(time) {
+            const open = price;
+            const close = open * (1 + (Math.random() - 0.49) * 0.01);
+            price = close;
+            return {
+                time,
+                open,
+                high: Math.max(open, close) * (1 + Math.random() * 0.003),
+                low: Math.min(open, close) * (1 - Math.random() * 0.003),
+                close,
+                volume: Math.round(50 + Math.random() * 950)
+            };
+        }
+    };
+}
+
+function handleClient(socket, options) {
+    let buffer = Buffer.alloc(0);
+    let market = createMarket('BTCUSDT', '1m', 42000);
+    let streamTimer = null;
+    let lastTime = null;
+
+    const send = message => {
+        if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+    };
+
+    // Stream the next candle in ticks, closing it after the configured number of updates
+    const startStreaming = () => {
+        clearInterval(streamTimer);
+        let tick = 0;
+        let target = market.nextCandle(lastTime + market.stepMs);
+
+        streamTimer = setInterval(() => {
+            tick++;
+            const closed = tick >= options.ticks;
+            const progress = tick / options.ticks;
+            const close = target.open + (target.close - target.open) * progress;
+            send({
+                type: 'candle',
+                closed,
+                candle: closed ? target : {
+                    time: target.time,
+                    open: target.open,
+                    high: Math.max(target.open, close),
+                    low: Math.min(target.open, close),
+                    close,
+                    volume: Math.round(target.volume * progress)
+                }
+            });
+
+            if (closed) {
+                lastTime = target.time;
+                tick = 0;
+                target = market.nextCandle(lastTime + market.stepMs);
+            }
+        }, options.interval / options.ticks);
+    };
+
+    const handleMessage = text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        if (message.type === 'subscribe') {
+            market = createMarket(message.symbol || 'BTCUSDT', message.timeframe || '1m', 42000);
+        } else if (message.type === 'history') {
+            const limit = Math.min(Number(message.limit) || 200, 1000);
+            const end = Math.floor(Date.now() / market.stepMs) * market.stepMs;
+            const candles = [];
+            for (let i = limit - 1; i >= 0; i--) candles.push(market.nextCandle(end - i * market.stepMs));
+            lastTime = end;
+            send({ type: 'history', symbol: market.symbol, timeframe: market.timeframe, candles });
+            startStreaming();
+        } else {
+            send({ type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    };
+
+    socket.on('data', chunk => {
+        const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+
+        decoded.frames.forEach(frame => {
+            if (frame.opcode === 0x1) {
+                handleMessage(frame.payload.toString('utf8'));
+            } else if (frame.opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+            } else if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(frame.payload.toString('utf8'), 0xa));
+            }
+        });
+    });
+
+    socket.on('close', () => clearInterval(streamTimer));
+    socket.on('error', () => clearInterval(streamTimer));
+}
+
+function startServer(options) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket endpoint - connect with ws://');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        console.log(`📡 Client connected from ${socket.remoteAddress}`);
+        handleClient(socket, options);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`📡 Mock market feed listening on ws://localhost:${options.port} ` +
+            `(${options.interval}ms per candle, ${options.ticks} updates each)`);
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    startServer(readOptions(process.argv.slice(2)));
+}
+
+module.exports = { startServer, encodeFrame, decodeFrames };